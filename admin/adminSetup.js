@@ -1,18 +1,209 @@
 const AdminJS = require('adminjs');
 const AdminJSExpress = require('@adminjs/express');
 const AdminJSMongoose = require('@adminjs/mongoose');
+const Order = require('../models/Order');
+const orderActions = require('../services/orderActions');
+const { allowedTransitions } = require('../services/orderLifecycle');
+const { queueOrderConfirmation } = require('../services/emailService');
+const { authenticate, hasRole, toPublicStaff } = require('../services/authService');
+const { logger } = require('../services/logger');
 
 AdminJS.registerAdapter(AdminJSMongoose);
 
-const adminOptions = {
-  resources: [],
-  branding: {
-    companyName: 'M&H Distributions Admin',
-    logo: false
+const orderActionForm = AdminJS.bundle('./components/OrderActionForm');
+
+const canFulfill = ({ currentAdmin }) => hasRole(currentAdmin, 'fulfillment');
+const isAdmin = ({ currentAdmin }) => hasRole(currentAdmin, 'admin');
+
+const canMoveTo = status => ({ record }) =>
+  Boolean(record) && allowedTransitions(record.param('orderStatus')).includes(status);
+
+// Wrap an order action so it runs on submit (or straight away for actions without a form)
+// and reports back through an AdminJS notice
+function orderAction(store, run, { hasForm = false } = {}) {
+  return async (request, response, context) => {
+    const { record, resource, currentAdmin, h } = context;
+
+    if (hasForm && request.method !== 'post') {
+      return { record: record.toJSON(currentAdmin) };
+    }
+
+    try {
+      const message = await run(record.id(), request.payload || {}, currentAdmin);
+      const updated = await resource.findOne(record.id());
+      return {
+        record: updated.toJSON(currentAdmin),
+        redirectUrl: h.recordActionUrl({ resourceId: resource.id(), recordId: record.id(), actionName: 'show' }),
+        notice: { message, type: 'success' }
+      };
+    } catch (error) {
+      return {
+        record: record.toJSON(currentAdmin),
+        notice: { message: error.message, type: 'error' }
+      };
+    }
+  };
+}
+
+function orderResource(store, { payments }) {
+  const readOnly = { list: false, filter: false, show: true, edit: false };
+
+  return {
+    resource: Order,
+    options: {
+      navigation: { name: 'Sales', icon: 'ShoppingCart' },
+      sort: { sortBy: 'createdAt', direction: 'desc' },
+      listProperties: ['orderNumber', 'customerInfo.email', 'orderStatus', 'paymentInfo.paymentStatus', 'paymentInfo.amount', 'fulfillmentStatus', 'trackingNumber', 'createdAt'],
+      filterProperties: ['orderNumber', 'orderStatus', 'paymentInfo.paymentStatus', 'customerInfo.email', 'createdAt'],
+      properties: {
+        // Status and payment changes go through the actions below, never raw edits
+        orderStatus: { isVisible: { list: true, filter: true, show: true, edit: false } },
+        'paymentInfo.squarePaymentToken': { isVisible: readOnly },
+        'paymentInfo.squareOrderId': { isVisible: readOnly },
+        'paymentInfo.amount': { isVisible: { list: true, filter: false, show: true, edit: false } },
+        'paymentInfo.currency': { isVisible: readOnly },
+        'paymentInfo.paymentStatus': { isVisible: { list: true, filter: true, show: true, edit: false } },
+        statusHistory: { isVisible: readOnly },
+        refunds: { isVisible: readOnly },
+        // Boxes are recorded through the API so quantities and fulfillment stay in step
+        shipments: { isVisible: readOnly },
+        fulfillmentStatus: { isVisible: { list: true, filter: true, show: true, edit: false } },
+        legacyId: { isVisible: readOnly },
+        createdAt: { isVisible: { list: true, filter: true, show: true, edit: false } },
+        updatedAt: { isVisible: readOnly },
+        __v: { isVisible: false }
+      },
+      actions: {
+        new: { isAccessible: false },
+        edit: { isAccessible: isAdmin },
+        delete: { isAccessible: false },
+        bulkDelete: { isAccessible: false },
+
+        markShipped: {
+          actionType: 'record',
+          label: 'Mark shipped',
+          icon: 'Delivery',
+          component: orderActionForm,
+          isAccessible: canFulfill,
+          isVisible: canMoveTo('shipped'),
+          custom: {
+            fields: [
+              { name: 'trackingNumber', label: 'Tracking number', required: true },
+              { name: 'carrier', label: 'Carrier (e.g. USPS, UPS, FedEx)' },
+              { name: 'notes', label: 'Note' }
+            ]
+          },
+          handler: orderAction(store, async (orderId, { trackingNumber, carrier, notes }, currentAdmin) => {
+            await orderActions.changeOrderStatus(store, orderId, {
+              status: 'shipped',
+              trackingNumber,
+              carrier,
+              notes,
+              actor: currentAdmin.email
+            });
+            return `Order marked shipped (${trackingNumber})`;
+          }, { hasForm: true })
+        },
+
+        cancelOrder: {
+          actionType: 'record',
+          label: 'Cancel',
+          icon: 'Close',
+          component: false,
+          guard: 'Cancel this order? This does not refund the customer.',
+          isAccessible: canFulfill,
+          isVisible: canMoveTo('cancelled'),
+          handler: orderAction(store, async (orderId, payload, currentAdmin) => {
+            await orderActions.changeOrderStatus(store, orderId, {
+              status: 'cancelled',
+              notes: 'Cancelled from admin panel',
+              actor: currentAdmin.email
+            });
+            return 'Order cancelled';
+          })
+        },
+
+        refund: {
+          actionType: 'record',
+          label: 'Refund',
+          icon: 'Money',
+          component: orderActionForm,
+          isAccessible: isAdmin,
+          isVisible: ({ record }) => Boolean(record) &&
+            ['paid', 'partially_refunded'].includes(record.param('paymentInfo.paymentStatus')),
+          custom: {
+            fields: [
+              { name: 'amount', label: 'Amount in USD (leave empty to refund the remaining balance)', type: 'number' },
+              { name: 'reason', label: 'Reason', required: true }
+            ]
+          },
+          handler: orderAction(store, async (orderId, { amount, reason }, currentAdmin) => {
+            const { refund } = await orderActions.refundOrder(store, orderId, {
+              amount: amount === '' || amount === undefined ? undefined : amount,
+              reason,
+              actor: currentAdmin.email,
+              payments
+            });
+            return `Refunded $${refund.amount.toFixed(2)}`;
+          }, { hasForm: true })
+        },
+
+        resendConfirmation: {
+          actionType: 'record',
+          label: 'Resend confirmation email',
+          icon: 'Email',
+          component: false,
+          guard: 'Send the order confirmation email to the customer again?',
+          isAccessible: canFulfill,
+          handler: orderAction(store, async (orderId) => {
+            const order = await store.orders.findById(orderId);
+            const message = await queueOrderConfirmation(store, order);
+            if (!message) {
+              throw new Error('Confirmation email could not be queued');
+            }
+            return 'Confirmation email queued';
+          })
+        }
+      }
+    }
+  };
+}
+
+// Build the AdminJS panel for the Order model, behind staff login.
+// Needs STORAGE_BACKEND=mongo since AdminJS works on the Mongoose model.
+function buildAdmin(store, { payments }) {
+  const admin = new AdminJS({
+    rootPath: '/admin',
+    resources: [orderResource(store, { payments })],
+    branding: {
+      companyName: 'M&H Distributions Admin',
+      logo: false
+    }
+  });
+
+  const secret = process.env.ADMIN_COOKIE_SECRET || process.env.AUTH_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('ADMIN_COOKIE_SECRET or AUTH_TOKEN_SECRET is required for the admin panel');
   }
-};
 
-const admin = new AdminJS(adminOptions);
-const adminRouter = AdminJSExpress.buildRouter(admin);
+  const adminRouter = AdminJSExpress.buildAuthenticatedRouter(admin, {
+    cookieName: 'mhd-admin',
+    cookiePassword: secret,
+    authenticate: async (email, password) => {
+      try {
+        return toPublicStaff(await authenticate(store, email, password));
+      } catch (error) {
+        logger.warn('Failed admin panel login', { email });
+        return null;
+      }
+    }
+  }, null, {
+    resave: false,
+    saveUninitialized: false,
+    secret
+  });
+
+  return { admin, adminRouter };
+}
 
-module.exports = { admin, adminRouter };
\ No newline at end of file
+module.exports = { buildAdmin };
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { useHistory } from 'react-router';
+import { ApiClient, useNotice } from 'adminjs';
+import { Box, Button, FormGroup, Input, Label, Text } from '@adminjs/design-system';
+
+const api = new ApiClient();
+
+// Form for order actions that need input (tracking number, refund amount and reason).
+// The fields come from the action's `custom.fields` in admin/adminSetup.js.
+const OrderActionForm = (props) => {
+  const { action, record, resource } = props;
+  const [values, setValues] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const addNotice = useNotice();
+  const history = useHistory();
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await api.recordAction({
+        resourceId: resource.id,
+        recordId: record.id,
+        actionName: action.name,
+        data: values
+      });
+      const { notice, redirectUrl } = response.data;
+      if (notice) addNotice(notice);
+      if (redirectUrl) history.push(redirectUrl);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box as="form" variant="white" onSubmit={handleSubmit}>
+      <Text mb="xl">Order {record.params.orderNumber}</Text>
+      {action.custom.fields.map(field => (
+        <FormGroup key={field.name}>
+          <Label required={field.required}>{field.label}</Label>
+          <Input
+            type={field.type || 'text'}
+            step={field.type === 'number' ? '0.01' : undefined}
+            required={field.required}
+            value={values[field.name] || ''}
+            onChange={event => setValues({ ...values, [field.name]: event.target.value })}
+          />
+        </FormGroup>
+      ))}
+      <Button variant="primary" type="submit" disabled={submitting}>
+        {action.label}
+      </Button>
+    </Box>
+  );
+};
+
+export default OrderActionForm;
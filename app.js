@@ -0,0 +1,215 @@
+const cors = require('cors');
+const express = require('express');
+const { createStore } = require('./repositories');
+const { requireAuth, requireRole, requireRoleOrToken } = require('./middleware/auth');
+const { idempotent } = require('./middleware/idempotency');
+const { validateRequest } = require('./middleware/validate');
+const { REQUEST_ID_HEADER, requestContext } = require('./middleware/requestContext');
+const { protectCheckout } = require('./middleware/checkoutProtection');
+const schemas = require('./schemas/orderSchemas');
+const authController = require('./controllers/authController');
+const staffController = require('./controllers/staffController');
+const productController = require('./controllers/productController');
+const inventoryController = require('./controllers/inventoryController');
+const discountController = require('./controllers/discountController');
+const reportController = require('./controllers/reportController');
+const orderController = require('./controllers/orderController');
+const emailController = require('./controllers/emailController');
+const checkoutController = require('./controllers/checkoutController');
+const trackingController = require('./controllers/trackingController');
+const healthController = require('./controllers/healthController');
+const blockController = require('./controllers/blockController');
+const reconciliationController = require('./controllers/reconciliationController');
+const documentController = require('./controllers/documentController');
+const customerController = require('./controllers/customerController');
+const { handleSquareWebhook } = require('./controllers/webhookController');
+const emailOutbox = require('./services/emailOutbox');
+const { createProductCatalog } = require('./services/productCatalog');
+const { createPaymentGateway } = require('./services/paymentGateways');
+const { systemClock } = require('./services/clock');
+const { createAppMetrics } = require('./services/metrics');
+const { logger } = require('./services/logger');
+
+// TRUST_PROXY is a hop count ("1"), true/false, or addresses/subnets as Express accepts them
+function parseTrustProxy(value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return /^\d+$/.test(String(value)) ? Number(value) : value;
+}
+
+// Build the Express app without listening or connecting to storage, so it can be started by
+// server.js or driven in-process by the tests. Every dependency can be swapped:
+//   store    - from repositories/index.js (default: STORAGE_BACKEND, files in config.dataDir)
+//   payments - from services/paymentGateways.js (default: PAYMENT_PROVIDER)
+//   mailer   - an email transport { name, send(message) } (default: EMAIL_TRANSPORT)
+//   clock    - { now() } used for record timestamps and expiry (default: system time); a
+//              store passed in brings its own store.clock, which should be the same one
+//   config   - { dataDir, corsOrigin, adminPanel, metricsToken, trustProxy }
+function createApp({
+  store,
+  payments = createPaymentGateway(),
+  mailer,
+  clock = systemClock,
+  config = {}
+} = {}) {
+  const {
+    dataDir = __dirname,
+    corsOrigin = 'https://www.mandhdistributions.com', // Your exact frontend URL
+    adminPanel,
+    metricsToken = process.env.METRICS_TOKEN,
+    trustProxy = process.env.TRUST_PROXY
+  } = config;
+
+  const app = express();
+
+  // Behind a load balancer (Railway) req.ip is the proxy's address unless Express trusts
+  // X-Forwarded-For; checkout rate limits are per client IP. e.g. TRUST_PROXY=1 for one hop.
+  // Without it every customer shares the proxy's IP, so one card tester blocks checkout site-wide.
+  // Set TRUST_PROXY=false to run without a proxy and silence the warning.
+  if (trustProxy !== undefined && trustProxy !== '') {
+    app.set('trust proxy', parseTrustProxy(trustProxy));
+  } else {
+    logger.warn('TRUST_PROXY is not set; checkout rate limits and card-testing blocks will treat every client behind a proxy as one IP');
+  }
+
+  // Order storage: JSON files (default) or MongoDB, see repositories/index.js
+  store = store || createStore({ dataDir, clock });
+  app.locals.store = store;
+  app.locals.clock = clock;
+
+  // Card payments: Square (default) or the local fake gateway, see services/paymentGateways.js
+  app.locals.payments = payments;
+
+  if (mailer) {
+    emailOutbox.useTransport(store, mailer);
+  }
+
+  // Product catalog from products.json in dataDir, see services/productCatalog.js
+  const catalog = createProductCatalog({ dataDir, clock });
+  catalog.load();
+  app.locals.catalog = catalog;
+
+  // Prometheus metrics for GET /metrics, see services/metrics.js
+  const metrics = createAppMetrics(store);
+  app.locals.metrics = metrics;
+  app.locals.metricsToken = metricsToken;
+
+  // Middleware
+
+  app.use(requestContext());
+  app.use(metrics.timeRequests());
+
+  app.use(cors({
+    origin: corsOrigin,
+    exposedHeaders: ['Idempotent-Replayed', REQUEST_ID_HEADER],
+    optionsSuccessStatus: 200 // For legacy browser support
+  }));
+  // AdminJS back office. It works on the Mongoose Order model and must be mounted before express.json.
+  if (adminPanel !== undefined ? adminPanel : store.backend === 'mongo') {
+    const { buildAdmin } = require('./admin/adminSetup');
+    const { admin, adminRouter } = buildAdmin(store, { payments });
+    app.use(admin.options.rootPath, adminRouter);
+  } else {
+    logger.info('Admin panel disabled (set STORAGE_BACKEND=mongo to enable /admin)');
+  }
+
+  app.use(express.json({
+    // Keep the raw body around for Square webhook signature checks
+    verify: (req, res, buf) => { req.rawBody = buf; }
+  }));
+
+  // Add this health check route (Railway needs this)
+  app.get('/', (req, res) => {
+    res.json({ 
+      status: 'online',
+      service: 'M&H Distributions Backend',
+      timestamp: clock.now().toISOString()
+    });
+  });
+
+  // Routes
+  app.get('/api/health', healthController.summary);
+  app.get('/api/health/live', healthController.live);
+  app.get('/api/health/ready', healthController.ready);
+  app.get('/metrics', requireRoleOrToken('viewer', req => req.app.locals.metricsToken), healthController.metrics);
+
+  app.post('/api/auth/login', authController.login);
+  app.get('/api/auth/me', requireAuth, authController.me);
+
+  app.get('/api/staff', requireRole('admin'), staffController.listStaff);
+  app.post('/api/staff', requireRole('admin'), validateRequest({ body: schemas.staffCreate }), staffController.createStaff);
+  app.patch('/api/staff/:staffId', requireRole('admin'), validateRequest({ body: schemas.staffUpdate }), staffController.updateStaff);
+
+  app.get('/api/products', productController.listActiveProducts);
+  app.get('/api/admin/products', requireRole('viewer'), productController.listProducts);
+  app.post('/api/admin/products', requireRole('admin'), productController.createProduct);
+  app.get('/api/admin/products/:sku', requireRole('viewer'), productController.getProduct);
+  app.patch('/api/admin/products/:sku', requireRole('admin'), productController.updateProduct);
+  app.delete('/api/admin/products/:sku', requireRole('admin'), productController.deleteProduct);
+
+  app.get('/api/admin/inventory', requireRole('viewer'), inventoryController.listStock);
+  app.get('/api/admin/inventory/:sku', requireRole('viewer'), inventoryController.getStock);
+  app.patch('/api/admin/inventory/:sku', requireRole('fulfillment'), inventoryController.updateStockSettings);
+  app.post('/api/admin/inventory/:sku/adjustments', requireRole('fulfillment'), inventoryController.adjustStock);
+
+  app.get('/api/admin/discounts', requireRole('viewer'), discountController.listCodes);
+  app.post('/api/admin/discounts', requireRole('admin'), discountController.createCode);
+  app.get('/api/admin/discounts/:code', requireRole('viewer'), discountController.getCode);
+  app.patch('/api/admin/discounts/:code', requireRole('admin'), discountController.updateCode);
+
+  app.get('/api/admin/blocks', requireRole('admin'), blockController.listBlocks);
+  app.delete('/api/admin/blocks/:blockId', requireRole('admin'), blockController.clearBlock);
+
+  app.get('/api/admin/reconciliation', requireRole('admin'), validateRequest({ query: schemas.reconciliation }), reconciliationController.reconcilePayments);
+  app.post('/api/admin/reconciliation/recovery-orders', requireRole('admin'), validateRequest({ body: schemas.recoveryOrder }), reconciliationController.createRecoveryOrder);
+
+  app.get('/api/customers', requireRole('viewer'), validateRequest({ query: schemas.customerList }), customerController.listCustomers);
+  app.get('/api/customers/:customerId', requireRole('viewer'), customerController.getCustomer);
+  app.get('/api/customers/:customerId/orders', requireRole('viewer'), validateRequest({ query: schemas.customerOrders }), customerController.listCustomerOrders);
+  app.post('/api/customers/:customerId/square-customer', requireRole('admin'), customerController.linkSquareCustomer);
+
+  // Checkout stays public; everything else about orders needs a staff login
+  app.post('/api/checkout/quote', validateRequest({ body: schemas.quote }), checkoutController.createQuote);
+  app.post('/api/orders', protectCheckout(), validateRequest({ body: schemas.checkout }), idempotent(), orderController.createOrder);
+  app.post('/api/process-payment', protectCheckout(), validateRequest({ body: schemas.checkout }), idempotent(), orderController.createOrder);
+  app.get('/api/track/:orderNumber', validateRequest({ query: schemas.trackOrder }), trackingController.trackOrder);
+  app.get('/api/orders', requireRole('viewer'), validateRequest({ query: schemas.orderList }), orderController.getAllOrders);
+  app.get('/api/orders/export.csv', requireRole('viewer'), validateRequest({ query: schemas.orderFilters }), orderController.exportOrdersCsv);
+  app.get('/api/orders/packing-slips.pdf', requireRole('fulfillment'), documentController.batchPackingSlipsPdf);
+  app.get('/api/orders/:orderId/invoice.pdf', requireRole('viewer'), documentController.invoicePdf);
+  app.get('/api/orders/:orderId/packing-slip.pdf', requireRole('fulfillment'), documentController.packingSlipPdf);
+  app.patch('/api/orders/:orderId/status', requireRole('fulfillment'), validateRequest({ body: schemas.statusUpdate }), orderController.updateOrderStatus);
+  app.get('/api/orders/:orderId/shipments', requireRole('viewer'), orderController.listShipments);
+  app.post('/api/orders/:orderId/shipments', requireRole('fulfillment'), validateRequest({ body: schemas.shipment }), orderController.createShipment);
+  app.patch('/api/orders/:orderId/shipments/:shipmentId', requireRole('fulfillment'), validateRequest({ body: schemas.shipmentUpdate }), orderController.updateShipment);
+  app.post('/api/orders/:orderId/refunds', requireRole('admin'), validateRequest({ body: schemas.refund }), orderController.refundOrder);
+  app.post('/api/orders/:orderId/emails/resend', requireRole('fulfillment'), emailController.resendOrderEmail);
+
+  app.get('/api/emails/failed', requireRole('fulfillment'), emailController.listFailedEmails);
+  app.post('/api/emails/:messageId/retry', requireRole('fulfillment'), emailController.retryEmail);
+
+  app.get('/api/reports/sales', requireRole('viewer'), validateRequest({ query: schemas.salesReport }), reportController.salesReport);
+
+  app.post('/api/webhooks/square', handleSquareWebhook);
+
+  // Error handling
+  app.use((error, req, res, next) => {
+    logger.error('Unhandled error', { err: error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Endpoint not found'
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
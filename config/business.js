@@ -0,0 +1,14 @@
+// Company details printed on invoices and packing slips
+module.exports = {
+  name: 'M&H Distributions',
+  website: 'www.mandhdistributions.com',
+  email: process.env.BUSINESS_EMAIL || '',
+  phone: process.env.BUSINESS_PHONE || '',
+  // One line per entry, e.g. BUSINESS_ADDRESS="100 Main St|Oakland, CA 94607"
+  address: (process.env.BUSINESS_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+  brandColor: '#1f4e5f',
+
+  // Invoice numbers are INVOICE_PREFIX followed by a zero-padded sequence: INV-000001, INV-000002, ...
+  invoicePrefix: process.env.INVOICE_PREFIX || 'INV-',
+  invoiceDigits: 6
+};
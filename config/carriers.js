@@ -0,0 +1,23 @@
+// Carriers we ship with, keyed by name in lower case without spaces or punctuation
+// ('FedEx', 'fed-ex' and 'FEDEX' all match `fedex`). `trackingUrl` is the carrier's public
+// tracking page with {trackingNumber} filled in. Shipments with any other carrier are
+// recorded under the name staff typed and get no tracking link.
+
+module.exports = {
+  usps: {
+    name: 'USPS',
+    trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}'
+  },
+  ups: {
+    name: 'UPS',
+    trackingUrl: 'https://www.ups.com/track?loc=en_US&tracknum={trackingNumber}'
+  },
+  fedex: {
+    name: 'FedEx',
+    trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}'
+  },
+  dhl: {
+    name: 'DHL',
+    trackingUrl: 'https://www.dhl.com/us-en/home/tracking/tracking-express.html?submit=1&tracking-id={trackingNumber}'
+  }
+};
@@ -0,0 +1,50 @@
+// Shipping and sales tax rules used by POST /api/checkout/quote and POST /api/orders.
+// Amounts are in USD, weights in pounds (set `weight` on each product in the catalog).
+
+// FREE_SHIPPING_THRESHOLD: unset for the $100 default, empty to disable free shipping, or an
+// amount (0 ships everything free). Anything else stops the app from starting.
+function parseFreeShippingThreshold(value) {
+  if (value === undefined) return 100;
+  if (value.trim() === '') return null;
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw new Error(`FREE_SHIPPING_THRESHOLD must be empty or an amount of 0 or more, got "${value}"`);
+  }
+  return threshold;
+}
+
+module.exports = {
+  shipping: {
+    // 'flat', 'weight' or 'price'
+    method: process.env.SHIPPING_METHOD || 'price',
+
+    // Orders with a merchandise subtotal at or above this ship free (null to disable)
+    freeShippingThreshold: parseFreeShippingThreshold(process.env.FREE_SHIPPING_THRESHOLD),
+
+    flatRate: 8.95,
+
+    // First tier whose `upTo` is at or above the cart weight/subtotal wins; `upTo: null` catches the rest
+    weightTiers: [
+      { upTo: 1, rate: 5.95 },
+      { upTo: 5, rate: 9.95 },
+      { upTo: 20, rate: 14.95 },
+      { upTo: null, rate: 24.95 }
+    ],
+    priceTiers: [
+      { upTo: 25, rate: 6.95 },
+      { upTo: 75, rate: 9.95 },
+      { upTo: null, rate: 12.95 }
+    ]
+  },
+
+  // Sales tax rate on merchandise by shipping state. States not listed are not taxed.
+  taxRates: {
+    CA: 0.0725,
+    NJ: 0.06625,
+    NY: 0.04,
+    TX: 0.0625
+  },
+
+  // How long a signed quote can be used to check out
+  quoteTtl: process.env.QUOTE_TTL || '30m'
+};
@@ -0,0 +1,26 @@
+// Checkout abuse limits used by middleware/checkoutProtection.js. Windows are fixed
+// (e.g. 10:00-10:10), so a client may get up to twice the limit across a window boundary.
+
+const MINUTE = 60 * 1000;
+
+module.exports = {
+  // Checkout attempts per client IP, valid or not
+  perIp: {
+    limit: Number(process.env.CHECKOUT_IP_LIMIT) || 20,
+    windowMs: 10 * MINUTE
+  },
+
+  // Checkout attempts per customer email. Kept short: anyone can send a customer's email, so
+  // a stranger can hold this window shut for the customer
+  perEmail: {
+    limit: Number(process.env.CHECKOUT_EMAIL_LIMIT) || 10,
+    windowMs: 10 * MINUTE
+  },
+
+  // This many declined payments from one IP within the window blocks the IP for blockMs
+  declines: {
+    threshold: Number(process.env.CARD_DECLINE_THRESHOLD) || 5,
+    windowMs: 60 * MINUTE,
+    blockMs: (Number(process.env.CARD_DECLINE_BLOCK_MINUTES) || 24 * 60) * MINUTE
+  }
+};
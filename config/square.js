@@ -0,0 +1,9 @@
+const { Client, Environment } = require('square');
+
+// Square client configuration
+const squareClient = new Client({
+  environment: process.env.SQUARE_ENVIRONMENT === 'production' ? Environment.Production : Environment.Sandbox,
+  accessToken: process.env.SQUARE_ACCESS_TOKEN
+});
+
+module.exports = squareClient;
@@ -0,0 +1,31 @@
+const { authenticate, issueToken, toPublicStaff } = require('../services/authService');
+const { logger } = require('../services/logger');
+
+exports.login = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const { email, password } = req.body;
+    const user = await authenticate(store, email, password);
+
+    logger.info('Staff login', { staffId: user.id, email: user.email });
+
+    res.json({
+      success: true,
+      token: issueToken(user),
+      user: toPublicStaff(user)
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      logger.warn('Failed staff login', { email: req.body.email });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+exports.me = (req, res) => {
+  res.json({ success: true, user: req.user });
+};
@@ -0,0 +1,33 @@
+const rateLimiter = require('../services/rateLimiter');
+const { logger } = require('../services/logger');
+
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// Checkout clients currently blocked for declined payments
+exports.listBlocks = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const blocks = await rateLimiter.listBlocks(store);
+    res.json({ success: true, blocks, count: blocks.length });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+exports.clearBlock = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const block = await rateLimiter.clearBlock(store, req.params.blockId, { actor: req.user.email });
+    logger.info('Checkout block cleared', { blockId: block.id, subject: block.subject, actor: req.user.email });
+    res.json({ success: true, block });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
@@ -0,0 +1,40 @@
+const jwt = require('jsonwebtoken');
+const checkoutQuote = require('../services/checkoutQuote');
+const discounts = require('../services/discounts');
+
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// POST /api/checkout/quote
+// Body: { items: [{ sku, quantity }], customerDetails: { state, zipCode, ... }, discountCode? }
+// Pass the returned quoteToken to POST /api/orders to be charged exactly this total.
+exports.createQuote = async (req, res) => {
+  const { store, catalog } = req.app.locals;
+
+  try {
+    const lines = req.body.products || req.body.items || [];
+    const address = req.body.customerDetails || req.body.customerInfo || {};
+    const discount = req.body.discountCode
+      ? await discounts.findUsableCode(store, req.body.discountCode, { email: address.email || req.body.customer })
+      : null;
+
+    const quote = checkoutQuote.buildQuote(lines, address, { catalog, discount });
+    const quoteToken = checkoutQuote.signQuote(quote, address);
+
+    res.json({
+      success: true,
+      quote: {
+        items: quote.items,
+        ...quote.breakdown,
+        expiresAt: new Date(jwt.decode(quoteToken).exp * 1000).toISOString()
+      },
+      quoteToken
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
@@ -0,0 +1,85 @@
+const customers = require('../services/customers');
+const { logger } = require('../services/logger');
+
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// GET /api/customers?email=&page=&limit=
+exports.listCustomers = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const { email, page = 1, limit = 50 } = req.query;
+    const { customers: found, total } = await store.customers.list({ email, page, limit });
+
+    res.json({
+      success: true,
+      customers: found,
+      count: found.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    logger.error('Listing customers failed', { err: error });
+    sendError(res, error);
+  }
+};
+
+exports.getCustomer = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const customer = await customers.findCustomer(store, req.params.customerId);
+    res.json({ success: true, customer });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// GET /api/customers/:customerId/orders?page=&limit=
+exports.listCustomerOrders = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const { customer, orders, orderCount, lifetimeValue, averageOrderValue } =
+      await customers.customerOrders(store, req.params.customerId, { page, limit });
+
+    res.json({
+      success: true,
+      customer,
+      orders,
+      orderCount,
+      lifetimeValue,
+      averageOrderValue,
+      count: orders.length,
+      totalPages: Math.ceil(orderCount / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    logger.error('Listing customer orders failed', { err: error, customerId: req.params.customerId });
+    sendError(res, error);
+  }
+};
+
+// POST /api/customers/:customerId/square-customer - find or create the Square Customer record
+exports.linkSquareCustomer = async (req, res) => {
+  const { store, payments } = req.app.locals;
+
+  try {
+    const customer = await customers.linkSquareCustomer(store, req.params.customerId, { payments });
+    res.json({ success: true, customer });
+  } catch (error) {
+    logger.error('Linking Square customer failed', { err: error, customerId: req.params.customerId });
+    res.status(error.statusCode || 502).json({
+      success: false,
+      error: error.message,
+      ...(error.code && { code: error.code })
+    });
+  }
+};
@@ -0,0 +1,62 @@
+const discounts = require('../services/discounts');
+const { logger } = require('../services/logger');
+
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+exports.listCodes = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const codes = await discounts.listCodes(store);
+    res.json({ success: true, codes, count: codes.length });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// One code with its redemptions, newest first
+exports.getCode = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const code = await discounts.getCode(store, req.params.code);
+    const redemptions = await discounts.listRedemptions(store, code.code);
+    res.json({ success: true, code, redemptions });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// POST /api/admin/discounts
+// { code, type: 'percent' | 'fixed', value, minimumAmount?, startsAt?, endsAt?,
+//   maxRedemptions?, perCustomerLimit?, skus?, description? }
+exports.createCode = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const code = await discounts.createCode(store, req.body, { actor: req.user.email });
+    logger.info('Discount code created', { code: code.code, actor: req.user.email });
+    res.status(201).json({ success: true, code });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// PATCH /api/admin/discounts/:code - e.g. { active: false } to deactivate
+exports.updateCode = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    // The code itself and its redemption count can't be changed
+    const code = await discounts.updateCode(store, req.params.code, req.body);
+    logger.info('Discount code updated', { code: code.code, active: code.active, actor: req.user.email });
+    res.json({ success: true, code });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
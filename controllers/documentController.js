@@ -0,0 +1,78 @@
+const orderDocuments = require('../services/orderDocuments');
+const { ensureInvoiceNumber } = require('../services/invoices');
+const { logger } = require('../services/logger');
+
+// Orders waiting to be packed, for the batch packing slip PDF
+const PACKING_STATUSES = ['paid', 'processing'];
+const MAX_BATCH = 500;
+
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+function sendPdf(res, pdf, filename) {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+}
+
+// GET /api/orders/:orderId/invoice.pdf - numbers the invoice the first time it is generated
+exports.invoicePdf = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const order = await ensureInvoiceNumber(store, req.params.orderId);
+    sendPdf(res, orderDocuments.renderInvoice(order), `invoice-${order.invoiceNumber}.pdf`);
+  } catch (error) {
+    logger.error('Invoice generation failed', { err: error, orderId: req.params.orderId });
+    sendError(res, error);
+  }
+};
+
+// GET /api/orders/:orderId/packing-slip.pdf
+exports.packingSlipPdf = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const order = await store.orders.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    sendPdf(res, orderDocuments.renderPackingSlip(order), `packing-slip-${order.orderNumber}.pdf`);
+  } catch (error) {
+    logger.error('Packing slip generation failed', { err: error, orderId: req.params.orderId });
+    sendError(res, error);
+  }
+};
+
+// GET /api/orders/packing-slips.pdf - every paid or processing order, oldest first
+exports.batchPackingSlipsPdf = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const orders = [];
+    for await (const order of store.orders.iterate({ status: PACKING_STATUSES })) {
+      orders.push(order);
+      if (orders.length > MAX_BATCH) {
+        return res.status(413).json({
+          success: false,
+          error: `More than ${MAX_BATCH} orders are waiting to be packed; print them in smaller batches`
+        });
+      }
+    }
+    orders.reverse();
+
+    const day = store.clock.now().toISOString().slice(0, 10);
+    logger.info('Packing slips generated', { orders: orders.length });
+    sendPdf(res, orderDocuments.renderPackingSlips(orders, { title: `Packing slips ${day}` }), `packing-slips-${day}.pdf`);
+  } catch (error) {
+    logger.error('Packing slip batch failed', { err: error });
+    sendError(res, error);
+  }
+};
@@ -0,0 +1,82 @@
+const emailService = require('../services/emailService');
+const emailOutbox = require('../services/emailOutbox');
+const { logger } = require('../services/logger');
+
+const RESEND_TYPES = {
+  confirmation: emailService.queueOrderConfirmation,
+  status: emailService.queueStatusUpdate
+};
+
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// Queue a fresh copy of an order email, e.g. when a customer says it never arrived
+exports.resendOrderEmail = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const { type = 'confirmation' } = req.body || {};
+    const queueEmail = RESEND_TYPES[type];
+    if (!queueEmail) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${Object.keys(RESEND_TYPES).join(', ')}`
+      });
+    }
+
+    const order = await store.orders.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    const message = await queueEmail(store, order);
+    if (!message) {
+      return res.status(500).json({ success: false, error: 'Email could not be queued' });
+    }
+
+    logger.info('Email resend queued', { orderNumber: order.orderNumber, type, messageId: message.id, actor: req.user.email });
+    res.status(202).json({ success: true, message: emailOutbox.toSummary(message) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Messages that used up every attempt, newest first, with the error from each attempt
+exports.listFailedEmails = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const messages = await store.outbox.find({ status: 'failed' }, { sort: { updatedAt: -1 } });
+    res.json({
+      success: true,
+      messages: messages.map(emailOutbox.toSummary),
+      count: messages.length
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+exports.retryEmail = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const message = await emailOutbox.retry(store, req.params.messageId);
+    if (!message) {
+      return res.status(404).json({ success: false, error: 'No failed email with that id' });
+    }
+
+    emailOutbox.deliver(store, message).catch(error => {
+      logger.error('Email retry failed', { err: error, messageId: message.id });
+    });
+
+    logger.info('Failed email requeued', { messageId: message.id, actor: req.user.email });
+    res.status(202).json({ success: true, message: emailOutbox.toSummary(message) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
@@ -0,0 +1,59 @@
+const { checkReadiness } = require('../services/healthChecks');
+const { logger } = require('../services/logger');
+
+// GET /api/health/live - the process is up and serving requests. Checks nothing else, so a
+// Square or database outage never gets the container restarted.
+exports.live = (req, res) => {
+  res.json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: req.app.locals.clock.now().toISOString()
+  });
+};
+
+// GET /api/health/ready - storage and email are usable; 503 with the failing checks otherwise.
+// Square is checked too, but only reported: an outage there doesn't take the app out of rotation.
+exports.ready = async (req, res) => {
+  const { store, payments, clock } = req.app.locals;
+  const { ready, checks } = await checkReadiness({ store, payments });
+
+  if (!ready) {
+    logger.warn('Readiness check failed', { checks });
+  } else if (Object.values(checks).some(check => check.status !== 'ok')) {
+    logger.warn('Informational readiness check failed', { checks });
+  }
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks,
+    timestamp: clock.now().toISOString()
+  });
+};
+
+// GET /api/health - summary kept for existing monitors; use /live and /ready for probes
+exports.summary = async (req, res, next) => {
+  const { store, payments, clock } = req.app.locals;
+  try {
+    res.json({
+      status: 'OK',
+      message: 'M&H Distributions Backend is running',
+      payments: payments.name,
+      database: store.backend === 'mongo' ? 'MongoDB' : 'JSON File Storage',
+      ordersCount: await store.orders.count(),
+      timestamp: clock.now().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /metrics - Prometheus text format. Needs METRICS_TOKEN or a staff login, see app.js.
+exports.metrics = async (req, res, next) => {
+  const { metrics } = req.app.locals;
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await metrics.render());
+  } catch (error) {
+    next(error);
+  }
+};
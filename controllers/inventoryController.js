@@ -0,0 +1,66 @@
+const inventory = require('../services/inventory');
+const { logger } = require('../services/logger');
+
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+exports.listStock = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const items = await inventory.listStock(store);
+    res.json({ success: true, items, count: items.length });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Stock level plus the most recent adjustments for one SKU
+exports.getStock = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const item = await inventory.getStock(store, req.params.sku);
+    if (!item) {
+      return res.status(404).json({ success: false, error: `Stock is not tracked for ${req.params.sku}` });
+    }
+    const adjustments = await inventory.listAdjustments(store, req.params.sku);
+    res.json({ success: true, item, adjustments });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// POST /api/admin/inventory/:sku/adjustments  { change: 24, reason: 'PO 1042 received' }
+exports.adjustStock = async (req, res) => {
+  const { store, catalog } = req.app.locals;
+
+  try {
+    // Only catalog SKUs can be stocked
+    const product = catalog.getProduct(req.params.sku);
+    const { change, reason } = req.body;
+
+    const item = await inventory.adjust(store, product.sku, { change, reason, actor: req.user.email });
+    logger.info('Stock adjusted', { sku: item.sku, change, reason, onHand: item.onHand, actor: req.user.email });
+
+    res.status(201).json({ success: true, item });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// PATCH /api/admin/inventory/:sku  { reorderThreshold: 10 }
+exports.updateStockSettings = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const item = await inventory.setReorderThreshold(store, req.params.sku, req.body.reorderThreshold);
+    res.json({ success: true, item });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
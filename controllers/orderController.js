@@ -1,116 +1,430 @@
-const Order = require('../models/Order');
-const { sendEmail } = require('../services/emailService');
-const squareClient = require('../config/square');
+const crypto = require('crypto');
+const { queueOrderConfirmation } = require('../services/emailService');
+const { toCents } = require('../services/money');
+const checkoutQuote = require('../services/checkoutQuote');
+const inventory = require('../services/inventory');
+const discounts = require('../services/discounts');
+const customers = require('../services/customers');
+const orderActions = require('../services/orderActions');
+const orderCsv = require('../services/orderCsv');
+const { unshippedItems, fulfillmentStatusFor } = require('../services/shipments');
+const { parseOrderFilters } = require('../services/orderQuery');
+const { paymentIdempotencyKey } = require('../middleware/idempotency');
+const rateLimiter = require('../services/rateLimiter');
+const { logger } = require('../services/logger');
 
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details && { details: error.details })
+  });
+}
+
+// Accept both checkout payload styles: { customerInfo } (the old /api/process-payment)
+// and { customer, customerDetails } (the storefront's /api/orders)
+function customerInfoFrom(body) {
+  const details = body.customerInfo || body.customerDetails || {};
+  return {
+    firstName: details.firstName,
+    lastName: details.lastName,
+    email: details.email || body.customer,
+    phone: details.phone,
+    address: details.address,
+    city: details.city,
+    state: details.state,
+    zipCode: details.zipCode,
+    country: details.country || 'US'
+  };
+}
+
+// The card has been charged by now, so a failure here is logged for follow-up rather than
+// failing the order. The reservation then expires and the stock needs a manual adjustment.
+async function commitStock(store, reservation, reference) {
+  try {
+    await inventory.commit(store, reservation, { reference });
+  } catch (error) {
+    logger.error('Payment captured but stock was not decremented', { err: error, reference });
+  }
+}
+
+// Find or create the buyer's customer record. The card has been charged by now, so a
+// failure here is logged and the order is saved without a customer.
+async function attachCustomer(store, customerInfo, { shippingAddress, payments }) {
+  try {
+    return await customers.recordCheckout(store, customerInfo, { shippingAddress, payments });
+  } catch (error) {
+    logger.error('Could not attach order to a customer', { err: error });
+    return null;
+  }
+}
+
+// Count a declined card towards blocking the client (see middleware/checkoutProtection.js).
+// The customer still gets the decline, so a failure here is only logged.
+async function recordDecline(store, client, code) {
+  if (!client) return;
+  try {
+    await rateLimiter.recordDecline(store, client, code);
+  } catch (error) {
+    logger.error('Could not record declined payment', { err: error, code });
+  }
+}
+
+// POST /api/orders and POST /api/process-payment
 exports.createOrder = async (req, res) => {
+  const { store, payments, metrics, catalog } = req.app.locals;
+
   try {
-    const { customerInfo, items, squarePaymentToken, totalAmount } = req.body;
-
-    // Process payment with Square
-    const paymentResult = await squareClient.paymentsApi.createPayment({
-      sourceId: squarePaymentToken,
-      amountMoney: {
-        amount: Math.round(totalAmount * 100), // Convert to cents
-        currency: 'USD'
-      },
-      idempotencyKey: require('crypto').randomBytes(32).toString('hex')
-    });
+    logger.info('Processing order', { body: req.body });
 
-    if (paymentResult.result.payment.status === 'COMPLETED') {
-      // Create order record
-      const order = new Order({
-        customerInfo,
-        items,
-        paymentInfo: {
-          squarePaymentToken: paymentResult.result.payment.id,
-          squareOrderId: paymentResult.result.payment.orderId,
-          amount: totalAmount,
-          paymentStatus: 'paid'
+    const { total, paymentToken, quoteToken, discountCode } = req.body;
+    const lines = req.body.products || req.body.items || []; // [{ sku, quantity }]
+    const customerInfo = customerInfoFrom(req.body);
+
+    // Price the cart, shipping and tax on the server - never trust client amounts.
+    // With a quoteToken from POST /api/checkout/quote the charge is exactly the quoted total.
+    let quote;
+    let discount = null;
+    try {
+      if (discountCode) {
+        discount = await discounts.findUsableCode(store, discountCode, { email: customerInfo.email });
+      }
+      quote = quoteToken
+        ? checkoutQuote.redeemQuote(quoteToken, lines, customerInfo, { catalog, discount })
+        : checkoutQuote.buildQuote(lines, customerInfo, { catalog, discount });
+    } catch (pricingError) {
+      return sendError(res, pricingError);
+    }
+
+    if (total !== undefined && toCents(total) !== quote.totalCents) {
+      logger.warn('Client total mismatch', { clientTotal: total, expectedTotal: quote.breakdown.total });
+      return res.status(400).json({
+        success: false,
+        error: 'Order total does not match current prices',
+        expectedTotal: quote.breakdown.total,
+        quote: quote.breakdown
+      });
+    }
+
+    // Hold the stock before charging so an order we can't fill is refused up front
+    let reservation;
+    try {
+      reservation = await inventory.reserve(store, quote.items);
+    } catch (stockError) {
+      return sendError(res, stockError);
+    }
+
+    // Count the discount use before charging so usage limits can't be exceeded
+    let redemption = null;
+    if (discount) {
+      try {
+        redemption = await discounts.claim(store, discount, {
+          email: customerInfo.email,
+          amountCents: toCents(quote.breakdown.discount)
+        });
+      } catch (discountError) {
+        await inventory.release(store, reservation);
+        return sendError(res, discountError);
+      }
+    }
+
+    let payment;
+    try {
+      payment = await payments.charge({
+        sourceId: paymentToken,
+        // Tied to the client's Idempotency-Key when one was sent (see middleware/idempotency.js)
+        idempotencyKey: req.idempotency ? paymentIdempotencyKey(req.idempotency) : 'order-' + crypto.randomUUID(),
+        amountCents: quote.totalCents,
+        currency: 'USD',
+        buyerEmail: customerInfo.email,
+        billingAddress: {
+          addressLine1: customerInfo.address || '',
+          locality: customerInfo.city || '',
+          administrativeDistrictLevel1: customerInfo.state || '',
+          postalCode: customerInfo.zipCode || '',
+          country: 'US'
         },
-        orderStatus: 'paid'
+        note: `M&H Distributions - ${customerInfo.firstName} ${customerInfo.lastName}`
       });
 
-      await order.save();
+      metrics.paymentSucceeded();
+      logger.info('Payment processed', { paymentId: payment.id, paymentStatus: payment.status, provider: payments.name });
 
-      // Send confirmation emails
-      await sendOrderConfirmationEmails(order);
+    } catch (paymentError) {
+      metrics.paymentFailed(paymentError.code);
+      logger.warn('Payment failed', { code: paymentError.code, reason: paymentError.message, provider: payments.name });
+      await inventory.release(store, reservation);
+      if (redemption) {
+        await discounts.release(store, redemption);
+      }
+      await recordDecline(store, req.checkoutClient, paymentError.code);
 
-      res.status(201).json({
-        success: true,
-        order: order,
-        message: 'Order created successfully'
+      // A timeout may still have charged the card. The Idempotency-Key is released on
+      // errors, so a retry with the same key charges again with the same Square idempotency
+      // key and Square returns that payment instead of taking a second one.
+      return res.status(paymentError.code === 'TIMEOUT' ? 504 : 400).json({
+        success: false,
+        error: `Payment failed: ${paymentError.message}`,
+        code: paymentError.code,
+        details: paymentError.details || 'No additional details'
       });
     }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error creating order',
-      error: error.message
+
+    const paid = payment.status === 'COMPLETED';
+    const shippingAddress = {
+      firstName: customerInfo.firstName,
+      lastName: customerInfo.lastName,
+      address: customerInfo.address,
+      city: customerInfo.city,
+      state: customerInfo.state,
+      zipCode: customerInfo.zipCode
+    };
+    const customer = await attachCustomer(store, customerInfo, { shippingAddress, payments });
+
+    let order;
+    try {
+      order = await store.orders.create({
+        ...(customer && { customerId: customer.id }),
+        customerInfo,
+        items: quote.items,
+        pricing: quote.breakdown,
+        inventory: { committed: reservation.lines },
+        paymentInfo: {
+          squarePaymentToken: payment.id,
+          squareOrderId: payment.orderId,
+          amount: quote.breakdown.total,
+          currency: 'USD',
+          paymentStatus: paid ? 'paid' : 'pending'
+        },
+        orderStatus: paid ? 'paid' : 'pending',
+        shippingAddress,
+        notes: ''
+      });
+    } catch (storeError) {
+      // The card was charged - make sure this shows up for manual follow-up
+      logger.error('Payment captured but order was not saved', { err: storeError, paymentId: payment.id });
+      // Replay this answer to retries with the same Idempotency-Key rather than running them again
+      if (req.idempotency) {
+        req.idempotency.paymentCaptured = true;
+      }
+      await commitStock(store, reservation, payment.id);
+      // The customer paid the discounted price, so the use counts
+      if (redemption) {
+        await discounts.confirm(store, redemption, { paymentId: payment.id });
+      }
+      return res.status(500).json({
+        success: false,
+        error: 'Payment was taken but the order could not be saved. Please contact support.',
+        paymentId: payment.id
+      });
+    }
+
+    await commitStock(store, reservation, order.orderNumber);
+    if (redemption) {
+      await discounts.confirm(store, redemption, { orderNumber: order.orderNumber, paymentId: payment.id });
+    }
+
+    // Queued before we respond; delivery and retries happen in the background
+    await queueOrderConfirmation(store, order);
+
+    logger.info('Order created', { orderId: order.id, orderNumber: order.orderNumber, total: quote.breakdown.total });
+
+    res.json({
+      success: true,
+      order,
+      paymentId: payment.id,
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      orderTotal: quote.breakdown.total,
+      message: 'Order processed successfully'
     });
+
+  } catch (error) {
+    logger.error('Order processing failed', { err: error });
+    sendError(res, error);
   }
 };
 
-exports.updateOrderStatus = async (req, res) => {
+exports.getAllOrders = async (req, res) => {
+  const { store } = req.app.locals;
+
   try {
-    const { orderId } = req.params;
-    const { status, trackingNumber, notes } = req.body;
-
-    const order = await Order.findByIdAndUpdate(
-      orderId,
-      { 
-        orderStatus: status,
-        ...(trackingNumber && { trackingNumber }),
-        ...(notes && { notes }),
-        updatedAt: new Date()
-      },
-      { new: true }
-    );
+    const filters = parseOrderFilters(req.query);
+    const { page = 1, limit = 50 } = req.query;
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
+    const { orders, total } = await store.orders.list({ ...filters, page, limit });
+
+    res.json({
+      success: true,
+      orders,
+      count: orders.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    logger.error('Listing orders failed', { err: error });
+    sendError(res, error);
+  }
+};
+
+// GET /api/orders/export.csv - same filters as GET /api/orders, streamed a batch at a time
+exports.exportOrdersCsv = async (req, res) => {
+  const { store } = req.app.locals;
+
+  const filters = parseOrderFilters(req.query);
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="orders-${store.clock.now().toISOString().slice(0, 10)}.csv"`);
+  res.write(orderCsv.header());
+
+  try {
+    for await (const order of store.orders.iterate(filters)) {
+      // Respect backpressure so a large export doesn't pile up in memory
+      if (!res.write(orderCsv.rows(order))) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
     }
+    res.end();
+  } catch (error) {
+    // Headers are gone by now; cut the download short so it isn't mistaken for a full export
+    logger.error('Order export failed', { err: error });
+    res.destroy(error);
+  }
+};
 
-    // Send status update emails
-    await sendOrderStatusUpdateEmails(order);
+exports.updateOrderStatus = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const { status, trackingNumber, carrier, notes } = req.body;
+    const order = await orderActions.changeOrderStatus(store, req.params.orderId, {
+      status,
+      trackingNumber,
+      carrier,
+      notes,
+      actor: req.user.email
+    });
 
     res.json({
       success: true,
-      order: order,
+      order,
       message: `Order status updated to ${status}`
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error updating order status',
-      error: error.message
+    if (error.statusCode === 409 && error.details) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        allowedStatuses: error.details.allowedStatuses
+      });
+    }
+    logger.error('Order status update failed', { err: error, orderId: req.params.orderId });
+    sendError(res, error);
+  }
+};
+
+// GET /api/orders/:orderId/shipments
+exports.listShipments = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const order = await store.orders.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    res.json({
+      success: true,
+      fulfillmentStatus: order.fulfillmentStatus || fulfillmentStatusFor(order),
+      shipments: order.shipments || [],
+      unshippedItems: unshippedItems(order)
     });
+  } catch (error) {
+    logger.error('Shipment list failed', { err: error, orderId: req.params.orderId });
+    sendError(res, error);
   }
 };
 
-exports.getAllOrders = async (req, res) => {
+// POST /api/orders/:orderId/shipments
+exports.createShipment = async (req, res) => {
+  const { store } = req.app.locals;
+
   try {
-    const { status, page = 1, limit = 10 } = req.query;
-    
-    const query = status ? { orderStatus: status } : {};
-    
-    const orders = await Order.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const { carrier, trackingNumber, items, shippedAt, notes } = req.body;
+    const { shipment, order } = await orderActions.createShipment(store, req.params.orderId, {
+      carrier,
+      trackingNumber,
+      items,
+      shippedAt,
+      notes,
+      actor: req.user.email
+    });
+
+    res.status(201).json({
+      success: true,
+      shipment,
+      order,
+      message: `Shipment ${shipment.trackingNumber} recorded`
+    });
+  } catch (error) {
+    if (error.details && error.details.fields) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        fields: error.details.fields
+      });
+    }
+    logger.error('Shipment failed', { err: error, orderId: req.params.orderId });
+    sendError(res, error);
+  }
+};
 
-    const total = await Order.countDocuments(query);
+// PATCH /api/orders/:orderId/shipments/:shipmentId
+exports.updateShipment = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const { shipment, order } = await orderActions.markShipmentDelivered(
+      store,
+      req.params.orderId,
+      req.params.shipmentId,
+      { deliveredAt: req.body.deliveredAt, actor: req.user.email }
+    );
 
     res.json({
-      orders,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
+      success: true,
+      shipment,
+      order,
+      message: `Shipment ${shipment.trackingNumber} marked delivered`
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching orders',
-      error: error.message
+    logger.error('Shipment update failed', { err: error, orderId: req.params.orderId });
+    sendError(res, error);
+  }
+};
+
+exports.refundOrder = async (req, res) => {
+  const { store, payments } = req.app.locals;
+
+  try {
+    const { amount, reason } = req.body;
+    const { refund, order } = await orderActions.refundOrder(store, req.params.orderId, {
+      amount,
+      reason,
+      actor: req.user.email,
+      payments,
+      requestKey: req.get('idempotency-key')
     });
+
+    res.json({
+      success: true,
+      refund,
+      order,
+      message: `Refunded $${refund.amount.toFixed(2)}`
+    });
+  } catch (error) {
+    logger.error('Refund failed', { err: error, orderId: req.params.orderId });
+    sendError(res, error);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,77 @@
+const { logger } = require('../services/logger');
+
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// Public storefront listing - active products only
+exports.listActiveProducts = (req, res) => {
+  const { catalog } = req.app.locals;
+
+  const products = catalog.listProducts();
+  res.json({
+    success: true,
+    products,
+    count: products.length
+  });
+};
+
+exports.listProducts = (req, res) => {
+  const { catalog } = req.app.locals;
+
+  const products = catalog.listProducts({ includeInactive: true });
+  res.json({
+    success: true,
+    products,
+    count: products.length
+  });
+};
+
+exports.getProduct = (req, res) => {
+  const { catalog } = req.app.locals;
+
+  try {
+    res.json({ success: true, product: catalog.getProduct(req.params.sku) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+exports.createProduct = (req, res) => {
+  const { catalog } = req.app.locals;
+
+  try {
+    const product = catalog.createProduct(req.body);
+    logger.info('Product created', { sku: product.sku });
+    res.status(201).json({ success: true, product });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+exports.updateProduct = (req, res) => {
+  const { catalog } = req.app.locals;
+
+  try {
+    const product = catalog.updateProduct(req.params.sku, req.body);
+    logger.info('Product updated', { sku: product.sku });
+    res.json({ success: true, product });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+exports.deleteProduct = (req, res) => {
+  const { catalog } = req.app.locals;
+
+  try {
+    const product = catalog.deleteProduct(req.params.sku);
+    logger.info('Product deleted', { sku: product.sku });
+    res.json({ success: true, product });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
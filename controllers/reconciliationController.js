@@ -0,0 +1,37 @@
+const reconciliation = require('../services/paymentReconciliation');
+const { parseOrderFilters } = require('../services/orderQuery');
+const { logger } = require('../services/logger');
+
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// GET /api/admin/reconciliation?from=2026-10-01&to=2026-10-07 (default: the last 24 hours)
+exports.reconcilePayments = async (req, res) => {
+  const { store, payments } = req.app.locals;
+
+  try {
+    const { from, to } = parseOrderFilters(req.query);
+    const report = await reconciliation.reconcilePayments(store, payments, { from, to });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    logger.error('Payment reconciliation failed', { err: error });
+    sendError(res, error);
+  }
+};
+
+// POST /api/admin/reconciliation/recovery-orders
+// Body: { paymentId } - an orphaned payment from the report above
+exports.createRecoveryOrder = async (req, res) => {
+  const { store, payments } = req.app.locals;
+
+  try {
+    const order = await reconciliation.createRecoveryOrder(store, payments, req.body.paymentId, { actor: req.user.email });
+    res.status(201).json({ success: true, order });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
@@ -0,0 +1,34 @@
+const { createSalesReport } = require('../services/salesReport');
+const { parseOrderFilters } = require('../services/orderQuery');
+const { logger } = require('../services/logger');
+
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// GET /api/reports/sales?groupBy=day|week|month&from=2026-10-01&to=2026-10-31
+exports.salesReport = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const filters = parseOrderFilters(req.query);
+    const report = createSalesReport({ groupBy: req.query.groupBy || 'day' });
+
+    for await (const order of store.orders.iterate(filters)) {
+      report.add(order);
+    }
+
+    res.json({
+      success: true,
+      from: filters.from || null,
+      to: filters.to || null,
+      ...report.result()
+    });
+  } catch (error) {
+    logger.error('Sales report failed', { err: error });
+    sendError(res, error);
+  }
+};
@@ -0,0 +1,69 @@
+const { hashPassword, toPublicStaff } = require('../services/authService');
+const { logger } = require('../services/logger');
+
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+exports.listStaff = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const staff = await store.staff.list();
+    res.json({ success: true, staff: staff.map(toPublicStaff) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Body checked by schemas.staffCreate
+exports.createStaff = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const { email, name, password, role = 'viewer' } = req.body;
+
+    if (await store.staff.findByEmail(email)) {
+      return res.status(409).json({ success: false, error: 'A staff account with that email already exists' });
+    }
+
+    const user = await store.staff.create({ email, name, role, passwordHash: hashPassword(password) });
+    logger.info('Staff account created', { staffId: user.id, role: user.role, actor: req.user.email });
+
+    res.status(201).json({ success: true, user: toPublicStaff(user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Change role, name, active flag or password (body checked by schemas.staffUpdate)
+exports.updateStaff = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const { name, role, active, password } = req.body;
+
+    if (req.params.staffId === req.user.id && (active === false || (role && role !== 'admin'))) {
+      return res.status(400).json({ success: false, error: 'You cannot demote or disable your own account' });
+    }
+
+    const user = await store.staff.update(req.params.staffId, {
+      ...(name !== undefined && { name }),
+      ...(role !== undefined && { role }),
+      ...(active !== undefined && { active }),
+      ...(password !== undefined && { passwordHash: hashPassword(password) })
+    });
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Staff account not found' });
+    }
+
+    logger.info('Staff account updated', { staffId: user.id, actor: req.user.email });
+    res.json({ success: true, user: toPublicStaff(user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
@@ -0,0 +1,81 @@
+const { fulfillmentStatusFor } = require('../services/shipments');
+const { logger } = require('../services/logger');
+
+// Customer-facing order lookup. The caller proves they own the order with its email
+// address and ZIP code; anything that doesn't match gets the same 404 as an unknown
+// order number, so the endpoint can't be used to probe which orders exist.
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Compare the 5-digit ZIP so "90001" matches "90001-1234"
+function normalizeZip(zip) {
+  return String(zip || '').trim().slice(0, 5);
+}
+
+function ownsOrder(order, email, zip) {
+  const zips = [order.shippingAddress && order.shippingAddress.zipCode, order.customerInfo.zipCode]
+    .filter(Boolean)
+    .map(normalizeZip);
+
+  return Boolean(normalizeEmail(email)) &&
+    normalizeEmail(order.customerInfo.email) === normalizeEmail(email) &&
+    zips.includes(normalizeZip(zip));
+}
+
+// What a customer may see: no payment details, staff names or internal notes
+function toTrackingView(order) {
+  return {
+    orderNumber: order.orderNumber,
+    status: order.orderStatus,
+    placedAt: order.createdAt,
+    timeline: (order.statusHistory || []).map(entry => ({
+      status: entry.to,
+      timestamp: entry.timestamp
+    })),
+    items: order.items.map(item => ({
+      sku: item.sku,
+      name: item.name,
+      quantity: item.quantity
+    })),
+    fulfillmentStatus: order.fulfillmentStatus || fulfillmentStatusFor(order),
+    shipments: (order.shipments || []).map(shipment => ({
+      carrier: shipment.carrier || null,
+      trackingNumber: shipment.trackingNumber,
+      trackingUrl: shipment.trackingUrl || null,
+      status: shipment.status,
+      shippedAt: shipment.shippedAt,
+      deliveredAt: shipment.deliveredAt || null,
+      items: shipment.items.map(({ sku, name, quantity }) => ({ sku, name, quantity }))
+    })),
+    // Latest shipment, for clients that only show one
+    carrier: order.carrier || null,
+    trackingNumber: order.trackingNumber || null
+  };
+}
+
+// GET /api/track/:orderNumber?email=...&zip=...
+exports.trackOrder = async (req, res) => {
+  const { store } = req.app.locals;
+
+  try {
+    const { email, zip } = req.query;
+    const order = await store.orders.findByOrderNumber(req.params.orderNumber.trim());
+
+    if (!order || !ownsOrder(order, email, zip)) {
+      return res.status(404).json({
+        success: false,
+        error: 'No order found with that order number, email and ZIP code'
+      });
+    }
+
+    res.json({ success: true, order: toTrackingView(order) });
+  } catch (error) {
+    logger.error('Order tracking failed', { err: error });
+    res.status(500).json({
+      success: false,
+      error: 'Could not look up the order'
+    });
+  }
+};
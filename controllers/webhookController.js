@@ -0,0 +1,82 @@
+const squareWebhook = require('../services/squareWebhook');
+const inventory = require('../services/inventory');
+const { logger } = require('../services/logger');
+
+// Attempts at applying an event before giving up on an order that keeps changing
+const MAX_APPLY_ATTEMPTS = 5;
+
+// Apply a change to the order, re-reading it if a refund or another event changed it since
+// we read it so neither overwrites the other
+async function applyToOrder(store, order, change) {
+  let current = order;
+  for (let attempt = 0; attempt < MAX_APPLY_ATTEMPTS; attempt++) {
+    const { paymentStatus, refunds, disputes } = squareWebhook.applyEvent(change, {
+      paymentStatus: current.paymentInfo.paymentStatus,
+      amountPaid: current.paymentInfo.amount,
+      refunds: current.refunds,
+      disputes: current.disputes
+    });
+    const updated = await store.orders.update(
+      current.id,
+      {
+        refunds,
+        disputes,
+        paymentInfo: { ...current.paymentInfo, paymentStatus }
+      },
+      { where: { updatedAt: current.updatedAt, refunds: { $size: (current.refunds || []).length } } }
+    );
+    if (updated) return updated;
+    current = await store.orders.findById(current.id);
+  }
+  // Square retries the delivery later
+  throw new Error(`Order ${order.orderNumber} changed concurrently`);
+}
+
+exports.handleSquareWebhook = async (req, res) => {
+  const { store } = req.app.locals;
+
+  if (!squareWebhook.verifyRequest(req)) {
+    logger.warn('Rejected Square webhook with invalid signature');
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+
+  const event = req.body;
+
+  try {
+    if (await store.webhookEvents.findOne({ eventId: event.event_id })) {
+      logger.info('Duplicate Square webhook ignored', { eventId: event.event_id });
+      return res.json({ success: true, duplicate: true });
+    }
+
+    const change = squareWebhook.describeEvent(event, { at: store.clock.now() });
+    const order = change && change.paymentId && await store.orders.findByPaymentId(change.paymentId);
+
+    if (order) {
+      const updated = await applyToOrder(store, order, change);
+      const { paymentStatus } = updated.paymentInfo;
+      // Refunds issued from the Square dashboard restock too. A lost chargeback doesn't: the
+      // customer kept the goods.
+      if (paymentStatus === 'refunded' && change.kind === 'refund') {
+        await inventory.restockOrder(store, updated, { reason: 'Order refunded in Square', actor: 'square' });
+      }
+      logger.info('Square webhook applied', { eventId: event.event_id, type: event.type, orderNumber: order.orderNumber, paymentStatus });
+    } else {
+      logger.info('Square webhook with no matching order', { eventId: event.event_id, type: event.type });
+    }
+
+    // Applying an event is idempotent, so a concurrent redelivery that slipped past the check is harmless
+    await store.webhookEvents.insert({ eventId: event.event_id, type: event.type, receivedAt: store.clock.now().toISOString() });
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.json({ success: true, duplicate: true });
+    }
+    // Non-2xx makes Square retry the delivery later
+    logger.error('Square webhook processing failed', { err: error, eventId: event.event_id });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
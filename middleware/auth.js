@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { hasRole, verifyToken, toPublicStaff } = require('../services/authService');
+
+// Requires a staff bearer token: `Authorization: Bearer <token>`.
+// The account is re-read on every request so deactivation and role changes apply immediately.
+async function requireAuth(req, res, next) {
+  const { store } = req.app.locals;
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const user = await store.staff.findById(verifyToken(token));
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account is disabled or no longer exists'
+      });
+    }
+
+    req.user = toPublicStaff(user);
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Authenticates, then requires at least `role` (viewer < fulfillment < admin)
+function requireRole(role) {
+  return [
+    requireAuth,
+    (req, res, next) => {
+      if (!hasRole(req.user, role)) {
+        return res.status(403).json({
+          success: false,
+          error: `Requires ${role} access`
+        });
+      }
+      next();
+    }
+  ];
+}
+
+function tokenMatches(header, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(String(header || ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// For endpoints scraped by machines: `Authorization: Bearer <shared token>` gets in when
+// getToken(req) returns one, anything else needs a staff login with at least `role`.
+// Without a shared token configured the endpoint is staff only, never open.
+function requireRoleOrToken(role, getToken) {
+  const [authenticate, checkRole] = requireRole(role);
+  return (req, res, next) => {
+    const token = getToken(req);
+    if (token && tokenMatches(req.get('authorization'), token)) return next();
+    authenticate(req, res, () => checkRole(req, res, next));
+  };
+}
+
+module.exports = {
+  requireAuth,
+  requireRole,
+  requireRoleOrToken
+};
@@ -0,0 +1,36 @@
+const rateLimiter = require('../services/rateLimiter');
+
+// The customer email on a checkout body, before validation has run
+function checkoutEmail(body = {}) {
+  const details = body.customerInfo || body.customerDetails || {};
+  const email = details.email || body.customer;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+}
+
+// Per-IP and per-email checkout rate limits, and refusal of clients blocked for card testing
+// (see services/rateLimiter.js). Runs before validation so malformed attempts count too.
+// Sets req.checkoutClient for the order controller to report declined payments against.
+// Over the limit: 429 with Retry-After (seconds).
+function protectCheckout() {
+  return async (req, res, next) => {
+    const { store } = req.app.locals;
+    req.checkoutClient = { ip: req.ip, email: checkoutEmail(req.body || {}) };
+
+    try {
+      await rateLimiter.admitCheckout(store, req.checkoutClient);
+    } catch (error) {
+      if (error.statusCode !== 429) {
+        return next(error);
+      }
+      res.set('Retry-After', String(error.details.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        retryAfter: error.details.retryAfter
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { protectCheckout };
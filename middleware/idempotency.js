@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { logger } = require('../services/logger');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// An in-progress key older than this belongs to a request that died mid-flight
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// JSON with sorted object keys, so the same body always fingerprints the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Square idempotency key for a charge, derived from the client's key and body so a retry
+// that slips past our own record (e.g. after a crash) is still deduplicated by Square
+function paymentIdempotencyKey({ key, fingerprint }) {
+  return `order-${sha256(`${key}:${fingerprint}`).slice(0, 32)}`;
+}
+
+async function claimKey(store, key, fingerprint) {
+  const now = store.clock.now();
+  const existing = await store.idempotencyKeys.findOne({ key });
+
+  if (!existing) {
+    try {
+      return {
+        record: await store.idempotencyKeys.insert({
+          key,
+          fingerprint,
+          status: 'in_progress',
+          createdAt: now.toISOString(),
+          expiresAt: new Date(now.getTime() + KEY_TTL_MS).toISOString()
+        })
+      };
+    } catch (error) {
+      // Lost a race with a concurrent request using the same key
+      if (error.code === 11000) return { inProgress: true };
+      throw error;
+    }
+  }
+
+  const expired = new Date(existing.expiresAt) < now;
+  const stale = existing.status === 'in_progress' && now - new Date(existing.createdAt) > LOCK_TIMEOUT_MS;
+
+  if (!expired && existing.fingerprint !== fingerprint) {
+    return { mismatch: true };
+  }
+  if (!expired && existing.status === 'completed') {
+    return { replay: existing };
+  }
+  if (!expired && !stale) {
+    return { inProgress: true };
+  }
+
+  // Take over an expired or abandoned key, unless another request just did
+  const record = await store.idempotencyKeys.update(
+    existing.id,
+    {
+      fingerprint,
+      status: 'in_progress',
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + KEY_TTL_MS).toISOString()
+    },
+    { where: { status: existing.status, createdAt: existing.createdAt } }
+  );
+  return record ? { record } : { inProgress: true };
+}
+
+// Honours an optional `Idempotency-Key` header on checkout. The first request with a key
+// runs normally and its response is stored; retries with the same key and body get that
+// response back (with `Idempotent-Replayed: true`) instead of charging again.
+//
+// Successes are stored. Other 4xx and 5xx responses release the key: a 4xx charged nothing
+// and the customer may fix the cart and resubmit; a 5xx such as a payment TIMEOUT must run
+// again, and because the Square idempotency key is derived from this key and body
+// (paymentIdempotencyKey), Square hands back the original payment instead of charging twice.
+// The exception is an error after the card was charged (the handler sets
+// req.idempotency.paymentCaptured): running it again would commit stock and discount uses a
+// second time, so that response is stored and replayed too.
+function idempotent() {
+  return async (req, res, next) => {
+    const { store } = req.app.locals;
+    const key = req.get('idempotency-key');
+
+    if (key === undefined) {
+      return next();
+    }
+    if (!key || key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        error: 'Idempotency-Key must be between 1 and 255 characters'
+      });
+    }
+
+    try {
+      const fingerprint = sha256(canonicalJson(req.body || {}));
+      const claim = await claimKey(store, key, fingerprint);
+
+      if (claim.mismatch) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used with a different request body'
+        });
+      }
+      if (claim.inProgress) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+      if (claim.replay) {
+        logger.info('Replaying checkout response', { idempotencyKey: key });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.replay.statusCode).json(claim.replay.response);
+      }
+
+      req.idempotency = { key, fingerprint };
+
+      // Store the response before it goes out, so a retry can never see a finished
+      // request as still in progress
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        const statusCode = res.statusCode;
+        const saved = statusCode >= 400 && !req.idempotency.paymentCaptured
+          ? store.idempotencyKeys.remove(claim.record.id)
+          : store.idempotencyKeys.update(claim.record.id, {
+            status: 'completed',
+            statusCode,
+            response: body,
+            completedAt: store.clock.now().toISOString()
+          });
+
+        saved
+          .catch(error => logger.error('Could not save Idempotency-Key result', { err: error, idempotencyKey: key }))
+          .then(() => sendJson(body));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Drop keys past their expiry. MongoDB does this itself with a TTL index; the JSON store
+// needs it run from the maintenance worker (services/maintenance.js).
+async function pruneExpiredKeys(store) {
+  return store.idempotencyKeys.removeMany({ expiresAt: { $lte: store.clock.now().toISOString() } });
+}
+
+module.exports = {
+  idempotent,
+  pruneExpiredKeys,
+  paymentIdempotencyKey
+};
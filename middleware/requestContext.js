@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { logger, runWithContext } = require('../services/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Accept a caller's ID (e.g. from the load balancer) only if it is safe to echo and log
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Give every request a correlation ID: taken from an incoming X-Request-Id or generated,
+// returned in the X-Request-Id response header and attached to every log line written while
+// the request is handled. Logs one line per finished request.
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const fields = {
+        requestId: req.id,
+        method: req.method,
+        // The route pattern rather than the URL, so query strings (tracking emails) stay out
+        route: req.route ? req.baseUrl + req.route.path : req.path,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6)
+      };
+      if (res.statusCode >= 500) {
+        logger.error('Request failed', fields);
+      } else {
+        logger.info('Request completed', fields);
+      }
+    });
+
+    runWithContext({ requestId: req.id }, next);
+  };
+}
+
+module.exports = { REQUEST_ID_HEADER, requestContext };
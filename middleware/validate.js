@@ -0,0 +1,37 @@
+const { validate } = require('../services/schema');
+
+// Validate req.body and/or req.query against schemas from schemas/. Every problem comes
+// back in one 400 so the frontend can highlight each input:
+//   { success: false, error: 'Invalid request', fields: { 'customerInfo.zipCode': '...' } }
+// On success the cleaned values replace req.body / req.query.
+function validateRequest({ body, query }) {
+  return (req, res, next) => {
+    const fields = {};
+    const results = {};
+
+    if (body) {
+      const { value, errors } = validate(body, req.body);
+      Object.assign(fields, errors);
+      results.body = value;
+    }
+    if (query) {
+      const { value, errors } = validate(query, req.query);
+      Object.assign(fields, errors);
+      results.query = value;
+    }
+
+    if (Object.keys(fields).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        fields
+      });
+    }
+
+    if (results.body) req.body = results.body;
+    if (results.query) req.query = results.query;
+    next();
+  };
+}
+
+module.exports = { validateRequest };
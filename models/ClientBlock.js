@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A checkout client IP blocked after too many declined payments
+const clientBlockSchema = new mongoose.Schema({
+  // 'ip:203.0.113.7'
+  subject: { type: String, required: true, index: true },
+  reason: { type: String, required: true },
+  declines: { type: Number },
+  lastDeclineCode: { type: String },
+  expiresAt: { type: Date, required: true },
+  clearedAt: { type: Date },
+  clearedBy: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('ClientBlock', clientBlockSchema);
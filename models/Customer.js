@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A buyer, one per email address. Orders point here through customerId; see services/customers.js.
+const customerSchema = new mongoose.Schema({
+  // Lower-cased; the de-duplication key
+  email: { type: String, unique: true, required: true, lowercase: true, trim: true },
+  firstName: { type: String },
+  lastName: { type: String },
+  phone: { type: String },
+  // Square Customer this buyer is linked to, when Square customer sync is on
+  squareCustomerId: { type: String },
+  // Shipping addresses used at checkout, most recently used first
+  addresses: [{
+    _id: false,
+    id: { type: String, required: true },
+    firstName: { type: String },
+    lastName: { type: String },
+    address: { type: String, required: true },
+    city: { type: String },
+    state: { type: String },
+    zipCode: { type: String },
+    country: { type: String, default: 'US' },
+    lastUsedAt: { type: Date }
+  }],
+  lastOrderAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Customer', customerSchema);
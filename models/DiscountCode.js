@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Promotion code applied at checkout. `value` is a percentage for type "percent" and
+// USD for type "fixed"; an empty `skus` list means the code applies to the whole cart.
+const discountCodeSchema = new mongoose.Schema({
+  code: { type: String, unique: true, required: true, uppercase: true, trim: true },
+  description: { type: String },
+  type: { type: String, enum: ['percent', 'fixed'], required: true },
+  value: { type: Number, required: true, min: 0 },
+  minimumAmount: { type: Number, min: 0 },
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  maxRedemptions: { type: Number, min: 1 },
+  perCustomerLimit: { type: Number, min: 1 },
+  skus: [{ type: String }],
+  active: { type: Boolean, default: true },
+  redemptionCount: { type: Number, default: 0 },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('DiscountCode', discountCodeSchema);
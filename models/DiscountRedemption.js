@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// One use of a discount code. Pending while the card is being charged, redeemed once
+// the order is placed; a failed payment deletes it.
+const discountRedemptionSchema = new mongoose.Schema({
+  code: { type: String, required: true, index: true },
+  email: { type: String, required: true, lowercase: true },
+  amount: { type: Number, required: true },
+  status: { type: String, enum: ['pending', 'redeemed'], default: 'pending' },
+  orderNumber: { type: String },
+  paymentId: { type: String },
+  // CODE:email:n for codes with a per-customer limit (services/discounts.js)
+  customerSlot: { type: String, unique: true, sparse: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('DiscountRedemption', discountRedemptionSchema);
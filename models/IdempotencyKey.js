@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Client-supplied Idempotency-Key for checkout, with the response it produced
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  fingerprint: { type: String, required: true },
+  status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+  statusCode: { type: Number },
+  response: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+  // Mongo drops the key once it expires
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
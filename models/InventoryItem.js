@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Stock level for one catalog SKU. `reserved` units are held by checkouts in progress,
+// so what can be sold is onHand - reserved.
+const inventoryItemSchema = new mongoose.Schema({
+  sku: { type: String, unique: true, required: true },
+  onHand: { type: Number, required: true, min: 0, default: 0 },
+  reserved: { type: Number, required: true, min: 0, default: 0 },
+  reorderThreshold: { type: Number, min: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('InventoryItem', inventoryItemSchema);
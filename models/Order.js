@@ -1,7 +1,11 @@
 const mongoose = require('mongoose');
+const { generateOrderNumber } = require('../services/orderNumbers');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: { type: String, unique: true, required: true },
+  legacyId: { type: String },
+  // Customer record this order belongs to (services/customers.js); older orders may not have one
+  customerId: { type: String, index: true },
   customerInfo: {
     firstName: { type: String, required: true },
     lastName: { type: String, required: true },
@@ -14,20 +18,63 @@ const orderSchema = new mongoose.Schema({
     country: { type: String, default: 'US' }
   },
   paymentInfo: {
-    squarePaymentToken: { type: String, required: true },
+    // Square payment ID (orders imported from the old orders.json may not have one). One order per payment.
+    squarePaymentToken: { type: String, unique: true, sparse: true },
     squareOrderId: { type: String },
     amount: { type: Number, required: true },
     currency: { type: String, default: 'USD' },
     paymentStatus: { 
       type: String, 
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'disputed'],
       default: 'pending'
     }
   },
+  // Checkout breakdown; paymentInfo.amount is the total that was charged
+  pricing: {
+    subtotal: { type: Number },
+    discountCode: { type: String },
+    discount: { type: Number },
+    shipping: { type: Number },
+    shippingMethod: { type: String },
+    tax: { type: Number },
+    taxRate: { type: Number },
+    taxState: { type: String },
+    total: { type: Number }
+  },
+  // Stock taken off the shelf by this order, returned once on cancellation or full refund
+  inventory: {
+    committed: [{
+      _id: false,
+      sku: { type: String, required: true },
+      quantity: { type: Number, required: true }
+    }],
+    restockedAt: { type: Date }
+  },
+  refunds: [{
+    _id: false,
+    squareRefundId: { type: String, required: true },
+    amount: { type: Number, required: true },
+    reason: { type: String, required: true },
+    status: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Chargebacks Square told us about (services/squareWebhook.js). A lost dispute leaves the
+  // order refunded without a refund record.
+  disputes: [{
+    _id: false,
+    squareDisputeId: { type: String, required: true },
+    state: { type: String, required: true },
+    reason: { type: String },
+    amount: { type: Number },
+    updatedAt: { type: Date }
+  }],
   items: [{
+    _id: false,
+    sku: { type: String },
     name: { type: String, required: true },
     price: { type: Number, required: true },
     quantity: { type: Number, required: true },
+    lineTotal: { type: Number },
     description: { type: String }
   }],
   orderStatus: {
@@ -35,7 +82,41 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'paid', 'processing', 'fulfilled', 'cancelled', 'shipped', 'delivered'],
     default: 'pending'
   },
+  statusHistory: [{
+    _id: false,
+    from: { type: String },
+    to: { type: String, required: true },
+    actor: { type: String, default: 'system' },
+    note: { type: String },
+    timestamp: { type: Date, default: Date.now }
+  }],
+  // Latest shipment's tracking details; see shipments for every box
   trackingNumber: { type: String },
+  carrier: { type: String },
+  fulfillmentStatus: {
+    type: String,
+    enum: ['unfulfilled', 'partially_fulfilled', 'fulfilled'],
+    default: 'unfulfilled'
+  },
+  // Boxes sent so far and the line quantities in each (see services/shipments.js)
+  shipments: [{
+    _id: false,
+    id: { type: String, required: true },
+    carrier: { type: String },
+    trackingNumber: { type: String, required: true },
+    trackingUrl: { type: String },
+    items: [{
+      _id: false,
+      sku: { type: String },
+      name: { type: String, required: true },
+      quantity: { type: Number, required: true }
+    }],
+    status: { type: String, enum: ['shipped', 'delivered'], default: 'shipped' },
+    shippedAt: { type: Date, required: true },
+    deliveredAt: { type: Date },
+    notes: { type: String },
+    createdBy: { type: String }
+  }],
   shippingAddress: {
     firstName: { type: String },
     lastName: { type: String },
@@ -45,14 +126,22 @@ const orderSchema = new mongoose.Schema({
     zipCode: { type: String }
   },
   notes: { type: String },
+  // Assigned the first time the invoice is generated (services/invoices.js)
+  invoiceNumber: { type: String, unique: true, sparse: true },
+  invoicedAt: { type: Date },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
-orderSchema.pre('save', async function(next) {
+// Runs before validation so the required orderNumber is set on new orders
+orderSchema.pre('validate', function(next) {
   if (this.isNew) {
-    const date = new Date();
-    this.orderNumber = `MHD-${date.getFullYear()}${(date.getMonth()+1).toString().padStart(2, '0')}${date.getDate().toString().padStart(2, '0')}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+    if (!this.orderNumber) {
+      this.orderNumber = generateOrderNumber();
+    }
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ from: null, to: this.orderStatus, actor: 'system', note: 'Order created' });
+    }
   }
   next();
 });
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Outgoing email, written before delivery and retried by the email worker
+const outboxMessageSchema = new mongoose.Schema({
+  kind: { type: String, required: true },
+  orderId: { type: String, index: true },
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  html: { type: String },
+  text: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, required: true },
+  nextAttemptAt: { type: Date, default: Date.now },
+  attemptLog: [{
+    _id: false,
+    at: { type: Date },
+    error: { type: String }
+  }],
+  lastError: { type: String },
+  providerId: { type: String },
+  sentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Hits on one rate limit for one client in one fixed window, e.g. checkout attempts from an IP
+const rateLimitCounterSchema = new mongoose.Schema({
+  // `${bucket}:${subject}:${windowStart}`
+  key: { type: String, required: true, unique: true },
+  bucket: { type: String, required: true },
+  subject: { type: String, required: true, index: true },
+  windowStart: { type: Date, required: true },
+  count: { type: Number, default: 0 },
+  // Mongo drops the counter once its window is over
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
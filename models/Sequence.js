@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// A named counter for sequential numbers, e.g. invoice numbers (see services/invoices.js)
+const sequenceSchema = new mongoose.Schema({
+  name: { type: String, unique: true, required: true },
+  value: { type: Number, required: true, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Sequence', sequenceSchema);
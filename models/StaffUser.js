@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const staffUserSchema = new mongoose.Schema({
+  email: { type: String, unique: true, required: true, lowercase: true, trim: true },
+  name: { type: String },
+  role: {
+    type: String,
+    enum: ['viewer', 'fulfillment', 'admin'],
+    default: 'viewer'
+  },
+  passwordHash: { type: String, required: true },
+  active: { type: Boolean, default: true },
+  lastLoginAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('StaffUser', staffUserSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Log entry for every change to a SKU's on-hand stock
+const stockAdjustmentSchema = new mongoose.Schema({
+  sku: { type: String, required: true, index: true },
+  change: { type: Number, required: true },
+  onHandAfter: { type: Number, required: true },
+  reason: { type: String, required: true },
+  actor: { type: String, default: 'system' },
+  reference: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('StockAdjustment', stockAdjustmentSchema);
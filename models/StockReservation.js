@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Stock held while a checkout is being charged. Released if the payment fails or the
+// reservation expires, committed (taken off onHand) once the payment succeeds.
+const stockReservationSchema = new mongoose.Schema({
+  lines: [{
+    _id: false,
+    sku: { type: String, required: true },
+    quantity: { type: Number, required: true }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released'],
+    default: 'active',
+    index: true
+  },
+  reference: { type: String },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Square webhook events already processed, keyed by Square's event_id
+const webhookEventSchema = new mongoose.Schema({
+  eventId: { type: String, unique: true, required: true },
+  type: { type: String },
+  receivedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
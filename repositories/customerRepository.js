@@ -0,0 +1,49 @@
+const { systemClock } = require('../services/clock');
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Customer records keyed by lower-cased email, on top of a JsonCollection or MongoCollection
+function createCustomerRepository(collection, { clock = systemClock } = {}) {
+  return {
+    // Rejects with code 11000 if a customer with this email already exists
+    create(data) {
+      const now = clock.now().toISOString();
+      return collection.insert({
+        addresses: [],
+        ...data,
+        email: normalizeEmail(data.email),
+        createdAt: now,
+        updatedAt: now
+      });
+    },
+
+    findById(id) {
+      return collection.findById(id);
+    },
+
+    findByEmail(email) {
+      return collection.findOne({ email: normalizeEmail(email) });
+    },
+
+    async list({ email, page = 1, limit = 50 } = {}) {
+      const filter = email ? { email: normalizeEmail(email) } : {};
+      const [customers, total] = await Promise.all([
+        collection.find(filter, { sort: { createdAt: -1 }, skip: (page - 1) * limit, limit }),
+        collection.count(filter)
+      ]);
+      return { customers, total };
+    },
+
+    update(id, changes) {
+      return collection.update(id, { ...changes, updatedAt: clock.now().toISOString() });
+    },
+
+    count(filter) {
+      return collection.count(filter);
+    }
+  };
+}
+
+module.exports = createCustomerRepository;
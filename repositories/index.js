@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const JsonCollection = require('./jsonCollection');
+const createOrderRepository = require('./orderRepository');
+const createStaffRepository = require('./staffRepository');
+const createCustomerRepository = require('./customerRepository');
+const { isLegacyOrder, fromLegacyOrder } = require('../services/legacyOrders');
+const { systemClock } = require('../services/clock');
+
+// Older webhook-events.json files held bare event ID strings
+function normalizeWebhookEvent(record) {
+  return typeof record === 'string' ? { id: record, eventId: record } : record;
+}
+
+function jsonCollections(dataDir) {
+  return {
+    orders: new JsonCollection(path.join(dataDir, 'orders.json'), {
+      normalize: record => (isLegacyOrder(record) ? fromLegacyOrder(record) : record),
+      unique: ['paymentInfo.squarePaymentToken']
+    }),
+    webhookEvents: new JsonCollection(path.join(dataDir, 'webhook-events.json'), {
+      normalize: normalizeWebhookEvent,
+      unique: ['eventId']
+    }),
+    staff: new JsonCollection(path.join(dataDir, 'staff.json')),
+    customers: new JsonCollection(path.join(dataDir, 'customers.json'), { unique: ['email'] }),
+    outbox: new JsonCollection(path.join(dataDir, 'outbox.json')),
+    idempotencyKeys: new JsonCollection(path.join(dataDir, 'idempotency-keys.json'), { unique: ['key'] }),
+    inventory: new JsonCollection(path.join(dataDir, 'inventory.json'), { unique: ['sku'] }),
+    stockAdjustments: new JsonCollection(path.join(dataDir, 'stock-adjustments.json')),
+    stockReservations: new JsonCollection(path.join(dataDir, 'stock-reservations.json')),
+    discountCodes: new JsonCollection(path.join(dataDir, 'discount-codes.json'), { unique: ['code'] }),
+    discountRedemptions: new JsonCollection(path.join(dataDir, 'discount-redemptions.json'), { unique: ['customerSlot'] }),
+    rateLimitCounters: new JsonCollection(path.join(dataDir, 'rate-limit-counters.json'), { unique: ['key'] }),
+    clientBlocks: new JsonCollection(path.join(dataDir, 'client-blocks.json')),
+    sequences: new JsonCollection(path.join(dataDir, 'sequences.json'), { unique: ['name'] })
+  };
+}
+
+function mongoCollections() {
+  // Only load Mongoose when it is actually used
+  const MongoCollection = require('./mongoCollection');
+  return {
+    orders: new MongoCollection(require('../models/Order')),
+    webhookEvents: new MongoCollection(require('../models/WebhookEvent')),
+    staff: new MongoCollection(require('../models/StaffUser')),
+    customers: new MongoCollection(require('../models/Customer')),
+    outbox: new MongoCollection(require('../models/OutboxMessage')),
+    idempotencyKeys: new MongoCollection(require('../models/IdempotencyKey')),
+    inventory: new MongoCollection(require('../models/InventoryItem')),
+    stockAdjustments: new MongoCollection(require('../models/StockAdjustment')),
+    stockReservations: new MongoCollection(require('../models/StockReservation')),
+    discountCodes: new MongoCollection(require('../models/DiscountCode')),
+    discountRedemptions: new MongoCollection(require('../models/DiscountRedemption')),
+    rateLimitCounters: new MongoCollection(require('../models/RateLimitCounter')),
+    clientBlocks: new MongoCollection(require('../models/ClientBlock')),
+    sequences: new MongoCollection(require('../models/Sequence'))
+  };
+}
+
+// Build the storage layer for the configured backend:
+//   STORAGE_BACKEND=json (default) - JSON files next to server.js
+//   STORAGE_BACKEND=mongo          - MongoDB at MONGODB_URI
+// `clock` stamps createdAt/updatedAt on orders, staff and customers and is shared as store.clock.
+function createStore({
+  backend = process.env.STORAGE_BACKEND || 'json',
+  dataDir = path.join(__dirname, '..'),
+  mongoUri = process.env.MONGODB_URI,
+  clock = systemClock
+} = {}) {
+  if (!['json', 'mongo'].includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+
+  const collections = backend === 'mongo' ? mongoCollections() : jsonCollections(dataDir);
+
+  return {
+    backend,
+    clock,
+    orders: createOrderRepository(collections.orders, { clock }),
+    webhookEvents: collections.webhookEvents,
+    staff: createStaffRepository(collections.staff, { clock }),
+    customers: createCustomerRepository(collections.customers, { clock }),
+    outbox: collections.outbox,
+    idempotencyKeys: collections.idempotencyKeys,
+    inventory: collections.inventory,
+    stockAdjustments: collections.stockAdjustments,
+    stockReservations: collections.stockReservations,
+    discountCodes: collections.discountCodes,
+    discountRedemptions: collections.discountRedemptions,
+    rateLimitCounters: collections.rateLimitCounters,
+    clientBlocks: collections.clientBlocks,
+    sequences: collections.sequences,
+
+    async connect() {
+      if (backend === 'mongo') {
+        if (!mongoUri) {
+          throw new Error('MONGODB_URI is required when STORAGE_BACKEND=mongo');
+        }
+        await require('mongoose').connect(mongoUri);
+      }
+      await Promise.all(Object.values(collections).map(collection => collection.load()));
+    },
+
+    // Readiness probe: can we still write? Throws if not.
+    async ping() {
+      if (backend === 'mongo') {
+        const { connection } = require('mongoose');
+        if (connection.readyState !== 1) {
+          throw new Error('MongoDB is not connected');
+        }
+        await connection.db.admin().ping();
+        return;
+      }
+      const probeFile = path.join(dataDir, `.write-probe-${process.pid}`);
+      await fs.promises.writeFile(probeFile, String(Date.now()));
+      await fs.promises.unlink(probeFile);
+    },
+
+    async disconnect() {
+      if (backend === 'mongo') {
+        await require('mongoose').disconnect();
+      }
+    }
+  };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Read a dotted path ('paymentInfo.paymentStatus') out of a record
+function getPath(record, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), record);
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+// Equality filters plus the few Mongo operators the repositories use ($in, $ne, $gte, $lte, $size, $exists)
+function matches(record, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = getPath(record, key);
+    if (condition && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([op, operand]) => {
+        if (op === '$in') return operand.includes(value);
+        if (op === '$ne') return value !== operand;
+        if (op === '$gte') return value != null && new Date(value) >= new Date(operand);
+        if (op === '$lte') return value != null && new Date(value) <= new Date(operand);
+        if (op === '$size') return Array.isArray(value) && value.length === operand;
+        if (op === '$exists') return (value !== undefined) === operand;
+        throw new Error(`Unsupported filter operator: ${op}`);
+      });
+    }
+    return comparable(value) === comparable(condition);
+  });
+}
+
+function clone(record) {
+  return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+// An array of records kept in memory and persisted to a JSON file on every write.
+// Method signatures mirror MongoCollection so repositories work with either.
+class JsonCollection {
+  constructor(filePath, { normalize, unique = [] } = {}) {
+    this.filePath = filePath;
+    this.normalize = normalize;
+    this.unique = unique;
+    this.records = [];
+  }
+
+  async load() {
+    if (fs.existsSync(this.filePath)) {
+      const records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.records = this.normalize ? records.map(this.normalize) : records;
+    }
+    return this.records.length;
+  }
+
+  save() {
+    // Write to a temp file and rename so a crash never leaves a half-written file
+    const tempFile = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(this.records, null, 2));
+    fs.renameSync(tempFile, this.filePath);
+  }
+
+  async insert(doc) {
+    const { id = crypto.randomBytes(12).toString('hex'), ...fields } = doc;
+    const record = clone({ id, ...fields });
+
+    // Same error code Mongo uses for a unique index violation. Like a sparse index, records
+    // without the field never conflict.
+    const conflict = this.unique.find(key => {
+      const value = getPath(record, key);
+      return value != null && this.records.some(existing => getPath(existing, key) === value);
+    });
+    if (conflict) {
+      const error = new Error(`Duplicate ${conflict}: ${getPath(record, conflict)}`);
+      error.code = 11000;
+      throw error;
+    }
+
+    this.records.push(record);
+    this.save();
+    return clone(record);
+  }
+
+  async findById(id) {
+    return clone(this.records.find(record => record.id === id));
+  }
+
+  async findOne(filter) {
+    return clone(this.records.find(record => matches(record, filter)));
+  }
+
+  async find(filter, { sort, skip = 0, limit } = {}) {
+    let results = this.records.filter(record => matches(record, filter));
+    if (sort) {
+      const [[key, direction]] = Object.entries(sort);
+      results = [...results].sort((a, b) => {
+        const left = comparable(getPath(a, key));
+        const right = comparable(getPath(b, key));
+        return (left > right ? 1 : left < right ? -1 : 0) * direction;
+      });
+    }
+    results = results.slice(skip, limit ? skip + limit : undefined);
+    return results.map(clone);
+  }
+
+  async count(filter) {
+    return this.records.filter(record => matches(record, filter)).length;
+  }
+
+  // Shallow-merge `changes` into a record. `where` adds preconditions; returns null if they fail.
+  async update(id, changes, { where } = {}) {
+    const index = this.records.findIndex(record => record.id === id && matches(record, where));
+    if (index === -1) return null;
+
+    this.records[index] = clone({ ...this.records[index], ...changes, id });
+    this.save();
+    return clone(this.records[index]);
+  }
+
+  async remove(id) {
+    const record = this.records.find(r => r.id === id);
+    if (!record) return null;
+
+    this.records = this.records.filter(r => r !== record);
+    this.save();
+    return clone(record);
+  }
+
+  // Resolves with the number of records removed
+  async removeMany(filter) {
+    const before = this.records.length;
+    this.records = this.records.filter(record => !matches(record, filter));
+    if (this.records.length !== before) {
+      this.save();
+    }
+    return before - this.records.length;
+  }
+}
+
+module.exports = JsonCollection;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Map Mongo's _id onto the `id` field the rest of the app uses
+function toRecord(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...rest } = doc;
+  return { id: String(_id), ...rest };
+}
+
+function toQuery(filter = {}) {
+  const { id, ...rest } = filter;
+  return id === undefined ? rest : { _id: id, ...rest };
+}
+
+// A Mongoose model behind the same interface as JsonCollection
+class MongoCollection {
+  constructor(Model) {
+    this.Model = Model;
+  }
+
+  async load() {
+    return this.Model.estimatedDocumentCount();
+  }
+
+  async insert(doc) {
+    const { id, ...fields } = doc;
+    const created = await this.Model.create(fields);
+    return toRecord(created.toObject());
+  }
+
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return toRecord(await this.Model.findById(id).lean());
+  }
+
+  async findOne(filter) {
+    return toRecord(await this.Model.findOne(toQuery(filter)).lean());
+  }
+
+  async find(filter, { sort, skip = 0, limit } = {}) {
+    let query = this.Model.find(toQuery(filter)).skip(skip);
+    if (sort) query = query.sort(sort);
+    if (limit) query = query.limit(limit);
+    return (await query.lean()).map(toRecord);
+  }
+
+  async count(filter) {
+    return this.Model.countDocuments(toQuery(filter));
+  }
+
+  async update(id, changes, { where } = {}) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const { id: ignored, ...fields } = changes;
+    const updated = await this.Model.findOneAndUpdate(
+      { _id: id, ...toQuery(where) },
+      { $set: fields },
+      { new: true, runValidators: true }
+    ).lean();
+    return toRecord(updated);
+  }
+
+  async remove(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return toRecord(await this.Model.findByIdAndDelete(id).lean());
+  }
+
+  async removeMany(filter) {
+    const { deletedCount } = await this.Model.deleteMany(toQuery(filter));
+    return deletedCount;
+  }
+}
+
+module.exports = MongoCollection;
@@ -0,0 +1,81 @@
+const { generateOrderNumber } = require('../services/orderNumbers');
+const { systemClock } = require('../services/clock');
+
+// Filters shared by the order list, reports and CSV export. `from`/`to` bound createdAt;
+// `status` may be a list of statuses.
+function orderFilter({ status, paymentStatus, customerId, from, to } = {}) {
+  const filter = {};
+  if (customerId) filter.customerId = customerId;
+  if (status) filter.orderStatus = Array.isArray(status) ? { $in: status } : status;
+  if (paymentStatus) filter['paymentInfo.paymentStatus'] = paymentStatus;
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+  return filter;
+}
+
+// Order persistence in the Order model shape, on top of a JsonCollection or MongoCollection.
+// Every method resolves with plain order objects carrying a string `id`.
+function createOrderRepository(collection, { clock = systemClock } = {}) {
+  return {
+    async create(data) {
+      const date = clock.now();
+      const now = date.toISOString();
+      return collection.insert({
+        orderNumber: generateOrderNumber(date),
+        refunds: [],
+        shipments: [],
+        fulfillmentStatus: 'unfulfilled',
+        statusHistory: [{ from: null, to: data.orderStatus, actor: 'system', note: 'Order created', timestamp: now }],
+        createdAt: now,
+        ...data,
+        updatedAt: now
+      });
+    },
+
+    findById(id) {
+      return collection.findById(id);
+    },
+
+    findByOrderNumber(orderNumber) {
+      return collection.findOne({ orderNumber });
+    },
+
+    findByPaymentId(paymentId) {
+      return collection.findOne({ 'paymentInfo.squarePaymentToken': paymentId });
+    },
+
+    async list({ page = 1, limit = 50, ...filters } = {}) {
+      const filter = orderFilter(filters);
+      const [orders, total] = await Promise.all([
+        collection.find(filter, { sort: { createdAt: -1 }, skip: (page - 1) * limit, limit }),
+        collection.count(filter)
+      ]);
+      return { orders, total };
+    },
+
+    // Every matching order, newest first, fetched a batch at a time
+    async *iterate(filters, { batchSize = 200 } = {}) {
+      const filter = orderFilter(filters);
+      for (let skip = 0; ; skip += batchSize) {
+        const batch = await collection.find(filter, { sort: { createdAt: -1 }, skip, limit: batchSize });
+        yield* batch;
+        if (batch.length < batchSize) return;
+      }
+    },
+
+    // `options.where` guards the write, e.g. { orderStatus: 'paid' } for status transitions
+    update(id, changes, options) {
+      return collection.update(id, { ...changes, updatedAt: clock.now().toISOString() }, options);
+    },
+
+    count(filter) {
+      return collection.count(filter);
+    }
+  };
+}
+
+module.exports = createOrderRepository;
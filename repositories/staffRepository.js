@@ -0,0 +1,39 @@
+const { systemClock } = require('../services/clock');
+
+// Staff accounts for the order back office, on top of a JsonCollection or MongoCollection
+function createStaffRepository(collection, { clock = systemClock } = {}) {
+  return {
+    create(data) {
+      const now = clock.now().toISOString();
+      return collection.insert({
+        active: true,
+        ...data,
+        email: data.email.trim().toLowerCase(),
+        createdAt: now,
+        updatedAt: now
+      });
+    },
+
+    findById(id) {
+      return collection.findById(id);
+    },
+
+    findByEmail(email) {
+      return collection.findOne({ email: String(email || '').trim().toLowerCase() });
+    },
+
+    list() {
+      return collection.find({}, { sort: { createdAt: 1 } });
+    },
+
+    update(id, changes) {
+      return collection.update(id, { ...changes, updatedAt: clock.now().toISOString() });
+    },
+
+    count(filter) {
+      return collection.count(filter);
+    }
+  };
+}
+
+module.exports = createStaffRepository;
@@ -0,0 +1,206 @@
+const s = require('../services/schema');
+const { STATUSES } = require('../services/orderLifecycle');
+const { GROUPINGS } = require('../services/salesReport');
+const { ROLES } = require('../services/authService');
+
+const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'disputed'];
+
+// States, DC, territories and military mail codes
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY',
+  'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND',
+  'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+  'DC', 'PR', 'GU', 'VI', 'AS', 'MP', 'AA', 'AE', 'AP'
+];
+
+const email = (options = {}) => s.string({
+  ...options,
+  max: 254,
+  transform: value => value.toLowerCase(),
+  pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  message: 'must be a valid email address'
+});
+
+const usState = (options = {}) => s.string({
+  ...options,
+  transform: value => value.toUpperCase(),
+  pattern: new RegExp(`^(${US_STATES.join('|')})$`),
+  message: 'must be a two-letter US state code'
+});
+
+const zipCode = (options = {}) => s.string({
+  ...options,
+  pattern: /^\d{5}(-\d{4})?$/,
+  message: 'must be a 5-digit ZIP code (or ZIP+4)'
+});
+
+const phone = (options = {}) => s.string({
+  ...options,
+  max: 30,
+  pattern: /^\+?[\d\s().-]{7,}$/,
+  message: 'must be a phone number'
+});
+
+const cartLines = s.array(s.object({
+  sku: s.string({ required: true, max: 64 }),
+  quantity: s.integer({ required: true, min: 1, max: 1000 })
+}), { min: 1 });
+
+// Mirrors the required customerInfo fields in models/Order.js
+const customer = ({ emailRequired }) => s.object({
+  firstName: s.string({ required: true, max: 100 }),
+  lastName: s.string({ required: true, max: 100 }),
+  email: email({ required: emailRequired }),
+  phone: phone({ required: true }),
+  address: s.string({ required: true, max: 200 }),
+  city: s.string({ required: true, max: 100 }),
+  state: usState({ required: true }),
+  zipCode: zipCode({ required: true }),
+  country: s.string({ values: ['US'] })
+});
+
+// Both checkout payload styles are accepted: { customerInfo, items } and
+// { customer, customerDetails, products }
+function requireCartAndCustomer(body, errors) {
+  if (!body.items && !body.products) {
+    errors.items = 'is required';
+  }
+  if (!body.customerInfo && !body.customerDetails) {
+    errors.customerInfo = 'is required';
+  }
+  if (body.customerDetails && !body.customerDetails.email && !body.customer) {
+    errors['customerDetails.email'] = 'is required';
+  }
+}
+
+exports.checkout = s.object({
+  paymentToken: s.string({ required: true, max: 1024 }),
+  quoteToken: s.string({ max: 4096 }),
+  discountCode: s.string({ max: 32 }),
+  total: s.money({ min: 0.01 }),
+  items: cartLines,
+  products: cartLines,
+  customerInfo: customer({ emailRequired: true }),
+  customerDetails: customer({ emailRequired: false }),
+  customer: email()
+}, { check: requireCartAndCustomer });
+
+// A quote only needs where the order ships
+const shippingDestination = s.object({
+  state: usState({ required: true }),
+  zipCode: zipCode({ required: true }),
+  email: email()
+});
+
+exports.quote = s.object({
+  items: cartLines,
+  products: cartLines,
+  customerDetails: shippingDestination,
+  customerInfo: shippingDestination,
+  customer: email(),
+  discountCode: s.string({ max: 32 })
+}, {
+  check(body, errors) {
+    if (!body.items && !body.products) {
+      errors.items = 'is required';
+    }
+    if (!body.customerDetails && !body.customerInfo) {
+      errors.customerDetails = 'is required';
+    }
+  }
+});
+
+exports.statusUpdate = s.object({
+  status: s.string({ required: true, values: STATUSES }),
+  trackingNumber: s.string({ max: 100 }),
+  carrier: s.string({ max: 50 }),
+  notes: s.string({ max: 1000 })
+});
+
+exports.shipment = s.object({
+  carrier: s.string({ required: true, max: 50 }),
+  trackingNumber: s.string({ required: true, max: 100 }),
+  // Leave out to ship everything that hasn't shipped yet
+  items: s.array(s.object({
+    sku: s.string({ required: true, max: 100 }),
+    quantity: s.integer({ required: true, min: 1, max: 1000 })
+  }), { min: 1 }),
+  shippedAt: s.date(),
+  notes: s.string({ max: 1000 })
+});
+
+exports.shipmentUpdate = s.object({
+  status: s.string({ required: true, values: ['delivered'] }),
+  deliveredAt: s.date()
+});
+
+exports.refund = s.object({
+  amount: s.money({ min: 0.01 }),
+  reason: s.string({ required: true, max: 500 })
+});
+
+const filterFields = {
+  status: s.string({ values: STATUSES }),
+  paymentStatus: s.string({ values: PAYMENT_STATUSES }),
+  from: s.date(),
+  to: s.date()
+};
+
+function fromBeforeTo(query, errors) {
+  if (query.from && query.to && new Date(query.from) > new Date(query.to)) {
+    errors.from = 'must be before to';
+  }
+}
+
+exports.orderFilters = s.object(filterFields, { check: fromBeforeTo });
+
+exports.orderList = s.object({
+  ...filterFields,
+  page: s.integer({ min: 1 }),
+  limit: s.integer({ min: 1, max: 500 })
+}, { check: fromBeforeTo });
+
+exports.customerList = s.object({
+  email: email(),
+  page: s.integer({ min: 1 }),
+  limit: s.integer({ min: 1, max: 500 })
+});
+
+exports.customerOrders = s.object({
+  page: s.integer({ min: 1 }),
+  limit: s.integer({ min: 1, max: 500 })
+});
+
+exports.salesReport = s.object({
+  ...filterFields,
+  groupBy: s.string({ values: GROUPINGS })
+}, { check: fromBeforeTo });
+
+exports.reconciliation = s.object({
+  from: s.date(),
+  to: s.date()
+}, { check: fromBeforeTo });
+
+exports.recoveryOrder = s.object({
+  paymentId: s.string({ required: true, max: 192 })
+});
+
+exports.trackOrder = s.object({
+  email: email({ required: true }),
+  zip: zipCode({ required: true })
+});
+
+// Password length is checked by authService.hashPassword
+exports.staffCreate = s.object({
+  email: email({ required: true }),
+  name: s.string({ max: 100 }),
+  password: s.string({ required: true, max: 200 }),
+  role: s.string({ values: ROLES })
+});
+
+exports.staffUpdate = s.object({
+  name: s.string({ max: 100 }),
+  role: s.string({ values: ROLES }),
+  active: s.boolean(),
+  password: s.string({ max: 200 })
+});
@@ -0,0 +1,45 @@
+// Attach orders placed before customer accounts existed to a customer, creating one per email:
+//   node scripts/backfill-customers.js [--dry-run]
+// Orders are replayed oldest first so each customer ends up with their latest details and
+// addresses. Orders that already have a customer are left alone, so it can be re-run.
+require('dotenv').config();
+
+const { createStore } = require('../repositories');
+const customers = require('../services/customers');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  const store = createStore();
+  await store.connect();
+
+  const pending = [];
+  for await (const order of store.orders.iterate({})) {
+    if (!order.customerId && order.customerInfo && order.customerInfo.email) {
+      pending.push(order);
+    }
+  }
+  pending.reverse();
+
+  const emails = new Set(pending.map(order => order.customerInfo.email.trim().toLowerCase()));
+  console.log(`📂 ${pending.length} orders from ${emails.size} customers have no customer record`);
+
+  if (!dryRun) {
+    for (const order of pending) {
+      const customer = await customers.recordCheckout(store, order.customerInfo, {
+        shippingAddress: order.shippingAddress,
+        at: order.createdAt,
+        syncSquare: false
+      });
+      await store.orders.update(order.id, { customerId: customer.id });
+    }
+  }
+
+  console.log(`✅ ${dryRun ? 'Would attach' : 'Attached'} ${pending.length} orders`);
+  await store.disconnect();
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+// Create (or reset the password of) a staff account, e.g. the first admin:
+//   node scripts/create-staff.js owner@mandhdistributions.com 'a long password' admin
+require('dotenv').config();
+
+const { createStore } = require('../repositories');
+const { ROLES, hashPassword } = require('../services/authService');
+
+async function main() {
+  const [email, password, role = 'viewer'] = process.argv.slice(2);
+  if (!email || !password || !ROLES.includes(role)) {
+    throw new Error(`Usage: node scripts/create-staff.js <email> <password> [${ROLES.join('|')}]`);
+  }
+
+  const store = createStore();
+  await store.connect();
+
+  const passwordHash = hashPassword(password);
+  const existing = await store.staff.findByEmail(email);
+
+  if (existing) {
+    await store.staff.update(existing.id, { passwordHash, role, active: true });
+    console.log(`✅ Updated ${existing.email} (${role})`);
+  } else {
+    const user = await store.staff.create({ email, role, passwordHash });
+    console.log(`✅ Created ${user.email} (${role})`);
+  }
+
+  await store.disconnect();
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
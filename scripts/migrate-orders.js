@@ -0,0 +1,74 @@
+// Import an existing orders.json into MongoDB as Order documents:
+//   MONGODB_URI=mongodb://... node scripts/migrate-orders.js [path/to/orders.json] [--dry-run]
+// Records that fail Order model validation are reported and skipped; orders whose
+// orderNumber already exists in MongoDB are skipped so the command can be re-run.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { isLegacyOrder, fromLegacyOrder } = require('../services/legacyOrders');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const file = path.resolve(args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..', 'orders.json'));
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Orders file not found: ${file}`);
+  }
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is required');
+  }
+
+  const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+  console.log(`📂 Read ${records.length} orders from ${file}`);
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const report = { imported: 0, existing: 0, invalid: [] };
+
+  for (const [index, record] of records.entries()) {
+    const { id, ...fields } = isLegacyOrder(record) ? fromLegacyOrder(record) : record;
+    const label = fields.orderNumber || id || `#${index + 1}`;
+    const order = new Order({ legacyId: id, ...fields });
+
+    const validationError = order.validateSync();
+    if (validationError) {
+      report.invalid.push({
+        order: label,
+        errors: Object.values(validationError.errors).map(error => error.message)
+      });
+      continue;
+    }
+
+    if (await Order.exists({ orderNumber: order.orderNumber })) {
+      report.existing++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await order.save();
+    }
+    report.imported++;
+  }
+
+  console.log(`✅ ${dryRun ? 'Would import' : 'Imported'} ${report.imported} orders`);
+  console.log(`⏭️  Skipped ${report.existing} orders already in MongoDB`);
+  if (report.invalid.length > 0) {
+    console.log(`⚠️ Skipped ${report.invalid.length} invalid orders:`);
+    report.invalid.forEach(({ order, errors }) => {
+      console.log(`   ${order}: ${errors.join('; ')}`);
+    });
+  }
+
+  await mongoose.disconnect();
+  process.exitCode = report.invalid.length > 0 ? 2 : 0;
+}
+
+main().catch(async (error) => {
+  console.error('❌ Migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+// Sign a Square webhook fixture and post it to a locally running server:
+//   SQUARE_WEBHOOK_SIGNATURE_KEY=test-key node scripts/post-square-webhook.js test/fixtures/square-webhooks/refund.created.json
+// Set SQUARE_WEBHOOK_URL on both sides if the server is not at http://localhost:$PORT
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { SIGNATURE_HEADER, signPayload } = require('../services/squareWebhook');
+
+async function main() {
+  const [fixture, paymentId] = process.argv.slice(2);
+  if (!fixture) {
+    console.error('Usage: node scripts/post-square-webhook.js <fixture.json> [paymentId]');
+    process.exit(1);
+  }
+
+  const signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+  if (!signatureKey) {
+    console.error('❌ SQUARE_WEBHOOK_SIGNATURE_KEY is not set');
+    process.exit(1);
+  }
+
+  const url = process.env.SQUARE_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/webhooks/square`;
+  let body = fs.readFileSync(path.resolve(fixture), 'utf8');
+
+  // Point the fixture at a real local order's payment ID
+  if (paymentId) {
+    body = body.split('KkAkhdMsgzn59SM8A89WgKwekxLZY').join(paymentId);
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: signPayload(body, signatureKey, url)
+    },
+    body
+  });
+
+  console.log(`${response.status} ${await response.text()}`);
+}
+
+main().catch(error => {
+  console.error('❌ Failed to post webhook:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+// Match Square payments against local orders and report what doesn't line up:
+//   node scripts/reconcile-payments.js [--from=2026-10-01] [--to=2026-10-07] [--recover]
+// Checks the last 24 hours by default. --recover saves a recovery order for each orphaned
+// payment (a charge with no order). Exits with 2 when anything needs attention.
+require('dotenv').config();
+
+const { createStore } = require('../repositories');
+const { createPaymentGateway } = require('../services/paymentGateways');
+const { parseOrderFilters } = require('../services/orderQuery');
+const reconciliation = require('../services/paymentReconciliation');
+const { formatMoney } = require('../services/money');
+
+function option(args, name) {
+  const arg = args.find(each => each.startsWith(`--${name}=`));
+  return arg && arg.slice(name.length + 3);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const recover = args.includes('--recover');
+  const { from, to } = parseOrderFilters({ from: option(args, 'from'), to: option(args, 'to') });
+
+  const store = createStore();
+  await store.connect();
+  const payments = createPaymentGateway();
+
+  const report = await reconciliation.reconcilePayments(store, payments, { from, to });
+  const { orphanedPayments, ordersWithoutPayments, amountMismatches } = report;
+
+  console.log(`📂 ${report.paymentsChecked} Square payments and ${report.ordersChecked} orders from ${report.from} to ${report.to}`);
+
+  if (orphanedPayments.length > 0) {
+    console.log(`⚠️ ${orphanedPayments.length} payments without an order:`);
+    orphanedPayments.forEach(payment => {
+      console.log(`   ${payment.paymentId} ${formatMoney(payment.amount)} ${payment.createdAt} ${payment.buyerEmail || ''}`);
+    });
+  }
+  if (ordersWithoutPayments.length > 0) {
+    console.log(`⚠️ ${ordersWithoutPayments.length} orders without a Square payment:`);
+    ordersWithoutPayments.forEach(order => {
+      console.log(`   ${order.orderNumber} ${formatMoney(order.amount)} ${order.reason} ${order.paymentId || ''}`);
+    });
+  }
+  if (amountMismatches.length > 0) {
+    console.log(`⚠️ ${amountMismatches.length} orders charged a different amount:`);
+    amountMismatches.forEach(mismatch => {
+      console.log(`   ${mismatch.orderNumber} order ${formatMoney(mismatch.orderAmount)}, Square ${formatMoney(mismatch.paymentAmount)}`);
+    });
+  }
+
+  if (recover) {
+    for (const payment of orphanedPayments) {
+      const order = await reconciliation.createRecoveryOrder(store, payments, payment.paymentId, { actor: 'reconciliation' });
+      console.log(`🛠️  Created recovery order ${order.orderNumber} for ${payment.paymentId}`);
+    }
+  } else if (orphanedPayments.length > 0) {
+    console.log('   Re-run with --recover to create recovery orders for them');
+  }
+
+  const problems = orphanedPayments.length + ordersWithoutPayments.length + amountMismatches.length;
+  if (problems === 0) {
+    console.log('✅ Every payment matches an order');
+  }
+
+  await store.disconnect();
+  process.exitCode = problems > 0 ? 2 : 0;
+}
+
+main().catch((error) => {
+  console.error('❌ Reconciliation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const HttpError = require('./httpError');
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'fulfillment', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 10;
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Passwords are stored as scrypt$<salt>$<hash>
+function hashPassword(password) {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password || ''), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function tokenSecret() {
+  if (!process.env.AUTH_TOKEN_SECRET) {
+    throw new HttpError(500, 'AUTH_TOKEN_SECRET is not configured');
+  }
+  return process.env.AUTH_TOKEN_SECRET;
+}
+
+// `aud` of staff login tokens. Other tokens signed with the same secret (checkout quotes,
+// see services/checkoutQuote.js) carry their own audience and are refused here.
+const STAFF_AUDIENCE = 'staff';
+
+function issueToken(user) {
+  return jwt.sign({ sub: user.id, role: user.role }, tokenSecret(), {
+    audience: STAFF_AUDIENCE,
+    expiresIn: process.env.AUTH_TOKEN_TTL || '12h'
+  });
+}
+
+// Resolves the staff ID from a token, or throws a 401
+function verifyToken(token) {
+  try {
+    return jwt.verify(token, tokenSecret(), { audience: STAFF_AUDIENCE }).sub;
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    throw new HttpError(401, 'Invalid or expired token');
+  }
+}
+
+// Staff record without the password hash, safe to return from the API
+function toPublicStaff(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+// Compared against when the email is unknown, so response time doesn't reveal which accounts exist
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+async function authenticate(store, email, password) {
+  const user = await store.staff.findByEmail(email);
+  const valid = verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+
+  if (!user || !valid || !user.active) {
+    throw new HttpError(401, 'Invalid email or password');
+  }
+
+  await store.staff.update(user.id, { lastLoginAt: store.clock.now().toISOString() });
+  return user;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  verifyToken,
+  toPublicStaff,
+  authenticate
+};
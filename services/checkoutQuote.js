@@ -0,0 +1,128 @@
+const jwt = require('jsonwebtoken');
+const HttpError = require('./httpError');
+const { toCents, fromCents } = require('./money');
+const { discountFor } = require('./discounts');
+const checkoutConfig = require('../config/checkout');
+
+// A quote prices a cart for a shipping address: subtotal - discount + shipping + sales tax.
+// It is handed to the client as a signed token, and checkout only charges a quoted
+// total if the same cart still prices to the same amount.
+
+// `aud` of quote tokens, so a quote can't pass for a staff login when they share a secret
+const QUOTE_AUDIENCE = 'checkout-quote';
+
+function quoteSecret() {
+  const secret = process.env.QUOTE_TOKEN_SECRET || process.env.AUTH_TOKEN_SECRET;
+  if (!secret) {
+    throw new HttpError(500, 'QUOTE_TOKEN_SECRET or AUTH_TOKEN_SECRET is not configured');
+  }
+  return secret;
+}
+
+function tierRate(tiers, value) {
+  const tier = tiers.find(t => t.upTo === null || value <= t.upTo);
+  return tier ? tier.rate : 0;
+}
+
+// `merchandiseCents` is the subtotal after any discount
+function shippingFor(pricing, merchandiseCents, rules) {
+  if (rules.freeShippingThreshold != null && merchandiseCents >= toCents(rules.freeShippingThreshold)) {
+    return { cents: 0, method: 'free' };
+  }
+  switch (rules.method) {
+    case 'flat':
+      return { cents: toCents(rules.flatRate), method: 'flat' };
+    case 'weight':
+      return { cents: toCents(tierRate(rules.weightTiers, pricing.totalWeight)), method: 'weight' };
+    case 'price':
+      return { cents: toCents(tierRate(rules.priceTiers, fromCents(merchandiseCents))), method: 'price' };
+    default:
+      throw new Error(`Unknown shipping method: ${rules.method}`);
+  }
+}
+
+function normalizeState(state) {
+  return String(state || '').trim().toUpperCase();
+}
+
+// Order-independent summary of the cart, so a reordered but identical cart still matches
+function cartKey(items) {
+  return items.map(item => `${item.sku}x${item.quantity}`).sort().join(',');
+}
+
+// `catalog` prices the lines (app.locals.catalog); `discount` is a code record from
+// discounts.findUsableCode, already checked for dates and limits
+function buildQuote(lines, address, { catalog, discount = null, config = checkoutConfig }) {
+  const state = normalizeState(address && address.state);
+  if (!state) {
+    throw new HttpError(400, 'A shipping state is required to calculate tax and shipping');
+  }
+
+  const pricing = catalog.priceItems(lines);
+  const discountCents = discount ? discountFor(discount, pricing.items, pricing.totalCents) : 0;
+  const merchandiseCents = pricing.totalCents - discountCents;
+
+  // Shipping tiers and tax apply to what the customer pays for the goods
+  const shipping = shippingFor(pricing, merchandiseCents, config.shipping);
+  const taxRate = config.taxRates[state] || 0;
+  const taxCents = Math.round(merchandiseCents * taxRate);
+  const totalCents = merchandiseCents + shipping.cents + taxCents;
+
+  return {
+    items: pricing.items,
+    totalCents,
+    breakdown: {
+      subtotal: pricing.total,
+      ...(discount && { discountCode: discount.code, discount: fromCents(discountCents) }),
+      shipping: fromCents(shipping.cents),
+      shippingMethod: shipping.method,
+      tax: fromCents(taxCents),
+      taxRate,
+      taxState: state,
+      total: fromCents(totalCents)
+    }
+  };
+}
+
+function signQuote(quote, address, { config = checkoutConfig } = {}) {
+  return jwt.sign({
+    cart: cartKey(quote.items),
+    discountCode: quote.breakdown.discountCode || null,
+    state: quote.breakdown.taxState,
+    zip: String((address && address.zipCode) || '').trim(),
+    totalCents: quote.totalCents
+  }, quoteSecret(), { audience: QUOTE_AUDIENCE, expiresIn: config.quoteTtl });
+}
+
+// Check a quote token against the cart being checked out and reprice it.
+// Resolves with the quote to charge, which always has the quoted total.
+function redeemQuote(token, lines, address, { catalog, discount = null, config = checkoutConfig }) {
+  let claims;
+  try {
+    claims = jwt.verify(token, quoteSecret(), { audience: QUOTE_AUDIENCE });
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    throw new HttpError(400, 'Quote is invalid or has expired, please request a new one');
+  }
+
+  const quote = buildQuote(lines, address, { catalog, discount, config });
+  const zip = String((address && address.zipCode) || '').trim();
+
+  if (claims.cart !== cartKey(quote.items) || claims.state !== quote.breakdown.taxState || claims.zip !== zip ||
+      claims.discountCode !== (quote.breakdown.discountCode || null)) {
+    throw new HttpError(400, 'Quote does not match this cart, shipping address and discount code');
+  }
+  if (claims.totalCents !== quote.totalCents) {
+    throw new HttpError(409, 'Prices changed since this quote was issued', {
+      quote: { items: quote.items, ...quote.breakdown }
+    });
+  }
+
+  return quote;
+}
+
+module.exports = {
+  buildQuote,
+  signQuote,
+  redeemQuote
+};
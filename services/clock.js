@@ -0,0 +1,6 @@
+// Where record timestamps and order numbers get the current time. Tests pass a fixed clock.
+const systemClock = {
+  now: () => new Date()
+};
+
+module.exports = { systemClock };
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const HttpError = require('./httpError');
+const { createSalesReport } = require('./salesReport');
+const { logger } = require('./logger');
+
+// Customer accounts, one per email address. Checkout attaches every new order to its
+// customer, creating the customer on their first order, and remembers the shipping address.
+// With SQUARE_CUSTOMER_SYNC=true each customer is also linked to a Square Customer record
+// (found by email, or created).
+
+const SQUARE_CUSTOMER_SYNC = process.env.SQUARE_CUSTOMER_SYNC === 'true';
+const MAX_ADDRESSES = 10;
+
+function addressKey(address) {
+  return [address.address, address.city, address.state, address.zipCode]
+    .map(part => String(part || '').trim().toLowerCase().replace(/\s+/g, ' '))
+    .join('|');
+}
+
+// Saved addresses with `address` moved (or added) to the front
+function rememberAddress(addresses = [], address, at) {
+  if (!address || !address.address) return addresses;
+
+  const existing = addresses.find(saved => addressKey(saved) === addressKey(address));
+  const saved = {
+    id: existing ? existing.id : crypto.randomBytes(6).toString('hex'),
+    firstName: address.firstName,
+    lastName: address.lastName,
+    address: address.address,
+    city: address.city,
+    state: address.state,
+    zipCode: address.zipCode,
+    country: address.country || 'US',
+    lastUsedAt: at
+  };
+
+  return [saved, ...addresses.filter(other => other !== existing)].slice(0, MAX_ADDRESSES);
+}
+
+async function findCustomer(store, customerId) {
+  const customer = await store.customers.findById(customerId);
+  if (!customer) {
+    throw new HttpError(404, 'Customer not found');
+  }
+  return customer;
+}
+
+async function findOrCreate(store, { email, firstName, lastName, phone }) {
+  const existing = await store.customers.findByEmail(email);
+  if (existing) return existing;
+
+  try {
+    const customer = await store.customers.create({ email, firstName, lastName, phone });
+    logger.info('Customer created', { customerId: customer.id });
+    return customer;
+  } catch (error) {
+    // Two first orders from the same buyer at once; use the record the other one made
+    if (error.code === 11000) return store.customers.findByEmail(email);
+    throw error;
+  }
+}
+
+async function linkCustomer(store, customer, { payments }) {
+  const [address] = customer.addresses || [];
+  const { id, created } = await payments.findOrCreateCustomer({
+    email: customer.email,
+    givenName: customer.firstName,
+    familyName: customer.lastName,
+    phone: customer.phone,
+    address: address && {
+      addressLine1: address.address,
+      locality: address.city,
+      administrativeDistrictLevel1: address.state,
+      postalCode: address.zipCode,
+      country: address.country || 'US'
+    },
+    referenceId: customer.id
+  });
+
+  logger.info('Customer linked to Square', { customerId: customer.id, squareCustomerId: id, created });
+  return store.customers.update(customer.id, { squareCustomerId: id });
+}
+
+// Find or create the customer placing an order, refresh their contact details and save
+// the shipping address. Resolves with the customer. Linking to Square (when enabled) runs
+// in the background so it never holds up the order. `at` is when the order was placed.
+async function recordCheckout(store, customerInfo, {
+  shippingAddress,
+  payments,
+  syncSquare = SQUARE_CUSTOMER_SYNC,
+  at = store.clock.now()
+} = {}) {
+  const now = new Date(at).toISOString();
+  const customer = await findOrCreate(store, customerInfo);
+
+  const updated = await store.customers.update(customer.id, {
+    firstName: customerInfo.firstName || customer.firstName,
+    lastName: customerInfo.lastName || customer.lastName,
+    phone: customerInfo.phone || customer.phone,
+    addresses: rememberAddress(customer.addresses, shippingAddress || customerInfo, now),
+    lastOrderAt: now
+  });
+
+  if (syncSquare && payments && !updated.squareCustomerId) {
+    linkCustomer(store, updated, { payments }).catch(error => {
+      logger.error('Could not link customer to Square', { err: error, customerId: updated.id });
+    });
+  }
+
+  return updated;
+}
+
+// Link a customer to Square on demand, whatever SQUARE_CUSTOMER_SYNC says
+async function linkSquareCustomer(store, customerId, { payments }) {
+  const customer = await findCustomer(store, customerId);
+  if (customer.squareCustomerId) {
+    return customer;
+  }
+  return linkCustomer(store, customer, { payments });
+}
+
+// A page of the customer's orders, newest first, with their order count and lifetime value
+// (net of refunds, paid orders only, as in the sales report)
+async function customerOrders(store, customerId, { page = 1, limit = 50 } = {}) {
+  const customer = await findCustomer(store, customerId);
+  const { orders, total } = await store.orders.list({ customerId: customer.id, page, limit });
+
+  const report = createSalesReport();
+  for await (const order of store.orders.iterate({ customerId: customer.id })) {
+    report.add(order);
+  }
+  const { totals } = report.result();
+
+  return {
+    customer,
+    orders,
+    orderCount: total,
+    lifetimeValue: totals.netRevenue,
+    averageOrderValue: totals.averageOrderValue
+  };
+}
+
+module.exports = {
+  findCustomer,
+  recordCheckout,
+  linkSquareCustomer,
+  customerOrders
+};
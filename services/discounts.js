@@ -0,0 +1,258 @@
+const HttpError = require('./httpError');
+const { toCents, fromCents } = require('./money');
+const { logger } = require('./logger');
+
+// Discount codes: checked when a quote or order is priced, then claimed before the card
+// is charged so total and per-customer limits hold even under concurrent checkouts.
+
+const TYPES = ['percent', 'fixed'];
+const MAX_CAS_ATTEMPTS = 5;
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function optionalNumber(value, name, { integer = false, min = 0 } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    throw new HttpError(400, `${name} must be ${integer ? 'a whole number' : 'a number'} of at least ${min}`);
+  }
+  return number;
+}
+
+function optionalDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} must be a date`);
+  }
+  return date.toISOString();
+}
+
+// Validate the settings shared by create and update
+function validateSettings(settings, existing = {}) {
+  const merged = { ...existing, ...settings };
+  const changes = {};
+
+  if (settings.type !== undefined || !existing.type) {
+    if (!TYPES.includes(merged.type)) {
+      throw new HttpError(400, `type must be one of: ${TYPES.join(', ')}`);
+    }
+    changes.type = merged.type;
+  }
+  if (settings.value !== undefined || existing.value === undefined) {
+    changes.value = optionalNumber(settings.value, 'value', { min: 0.01 });
+    if (changes.value === null) {
+      throw new HttpError(400, 'value is required');
+    }
+  }
+  const value = changes.value !== undefined ? changes.value : existing.value;
+  if (merged.type === 'percent' && value > 100) {
+    throw new HttpError(400, 'A percent discount cannot be more than 100');
+  }
+
+  if (settings.description !== undefined) changes.description = String(settings.description);
+  if (settings.minimumAmount !== undefined) changes.minimumAmount = optionalNumber(settings.minimumAmount, 'minimumAmount');
+  if (settings.startsAt !== undefined) changes.startsAt = optionalDate(settings.startsAt, 'startsAt');
+  if (settings.endsAt !== undefined) changes.endsAt = optionalDate(settings.endsAt, 'endsAt');
+  if (settings.maxRedemptions !== undefined) {
+    changes.maxRedemptions = optionalNumber(settings.maxRedemptions, 'maxRedemptions', { integer: true, min: 1 });
+  }
+  if (settings.perCustomerLimit !== undefined) {
+    changes.perCustomerLimit = optionalNumber(settings.perCustomerLimit, 'perCustomerLimit', { integer: true, min: 1 });
+  }
+  if (settings.skus !== undefined) {
+    if (!Array.isArray(settings.skus)) {
+      throw new HttpError(400, 'skus must be an array of SKUs');
+    }
+    changes.skus = settings.skus.map(sku => String(sku).trim().toUpperCase()).filter(Boolean);
+  }
+  if (settings.active !== undefined) changes.active = Boolean(settings.active);
+
+  const startsAt = changes.startsAt !== undefined ? changes.startsAt : existing.startsAt;
+  const endsAt = changes.endsAt !== undefined ? changes.endsAt : existing.endsAt;
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    throw new HttpError(400, 'endsAt must be after startsAt');
+  }
+
+  return changes;
+}
+
+exports.listCodes = async (store) => {
+  return store.discountCodes.find({}, { sort: { createdAt: -1 } });
+};
+
+exports.getCode = async (store, code) => {
+  const discount = await store.discountCodes.findOne({ code: normalizeCode(code) });
+  if (!discount) {
+    throw new HttpError(404, `Discount code not found: ${normalizeCode(code)}`);
+  }
+  return discount;
+};
+
+exports.listRedemptions = async (store, code) => {
+  return store.discountRedemptions.find({ code: normalizeCode(code) }, { sort: { createdAt: -1 } });
+};
+
+exports.createCode = async (store, settings, { actor } = {}) => {
+  const code = normalizeCode(settings.code);
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    throw new HttpError(400, 'code must be 3-32 letters, numbers, dashes or underscores');
+  }
+
+  const now = store.clock.now().toISOString();
+  try {
+    return await store.discountCodes.insert({
+      code,
+      skus: [],
+      active: true,
+      ...validateSettings(settings),
+      redemptionCount: 0,
+      createdBy: actor,
+      createdAt: now,
+      updatedAt: now
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new HttpError(409, `Discount code already exists: ${code}`);
+    }
+    throw error;
+  }
+};
+
+exports.updateCode = async (store, code, settings) => {
+  const discount = await exports.getCode(store, code);
+  return store.discountCodes.update(discount.id, {
+    ...validateSettings(settings, discount),
+    updatedAt: store.clock.now().toISOString()
+  });
+};
+
+// Look up a code and check it can be used right now (by `email`, when known).
+// Cart-dependent rules are checked by discountFor once the cart is priced.
+exports.findUsableCode = async (store, code, { email } = {}) => {
+  const discount = await store.discountCodes.findOne({ code: normalizeCode(code) });
+  const now = store.clock.now();
+
+  if (!discount || !discount.active) {
+    throw new HttpError(400, `Discount code ${normalizeCode(code)} is not valid`);
+  }
+  if (discount.startsAt && new Date(discount.startsAt) > now) {
+    throw new HttpError(400, `Discount code ${discount.code} is not active yet`);
+  }
+  if (discount.endsAt && new Date(discount.endsAt) <= now) {
+    throw new HttpError(400, `Discount code ${discount.code} has expired`);
+  }
+  if (discount.maxRedemptions && discount.redemptionCount >= discount.maxRedemptions) {
+    throw new HttpError(400, `Discount code ${discount.code} has been fully redeemed`);
+  }
+  if (discount.perCustomerLimit && email) {
+    const used = await store.discountRedemptions.count({ code: discount.code, email: normalizeEmail(email) });
+    if (used >= discount.perCustomerLimit) {
+      throw new HttpError(400, `Discount code ${discount.code} has already been used`);
+    }
+  }
+
+  return discount;
+};
+
+// Discount in cents for priced cart items ({ sku, lineTotal }) with a merchandise subtotal
+exports.discountFor = (discount, items, subtotalCents) => {
+  if (discount.minimumAmount && subtotalCents < toCents(discount.minimumAmount)) {
+    throw new HttpError(400, `Discount code ${discount.code} needs an order of at least $${discount.minimumAmount.toFixed(2)}`);
+  }
+
+  const eligible = discount.skus && discount.skus.length > 0
+    ? items.filter(item => discount.skus.includes(item.sku))
+    : items;
+  const eligibleCents = eligible.reduce((sum, item) => sum + toCents(item.lineTotal), 0);
+  if (eligibleCents === 0) {
+    throw new HttpError(400, `Discount code ${discount.code} does not apply to any item in the cart`);
+  }
+
+  const cents = discount.type === 'percent'
+    ? Math.round(eligibleCents * discount.value / 100)
+    : toCents(discount.value);
+  return Math.min(cents, eligibleCents);
+};
+
+// Save a pending redemption. With a per-customer limit each redemption takes one of the
+// customer's numbered slots (CODE:email:1, CODE:email:2, ...); slots are unique, so two
+// concurrent checkouts can't both take the customer's last use.
+async function insertRedemption(store, discount, { email, amountCents }) {
+  const redemption = {
+    code: discount.code,
+    email: normalizeEmail(email),
+    amount: fromCents(amountCents),
+    status: 'pending',
+    createdAt: store.clock.now().toISOString()
+  };
+  if (!discount.perCustomerLimit) {
+    return store.discountRedemptions.insert(redemption);
+  }
+
+  for (let slot = 1; slot <= discount.perCustomerLimit; slot++) {
+    try {
+      return await store.discountRedemptions.insert({ ...redemption, customerSlot: `${discount.code}:${redemption.email}:${slot}` });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new HttpError(400, `Discount code ${discount.code} has already been used`);
+}
+
+// Count one use before charging. Throws if the code ran out in the meantime.
+exports.claim = async (store, discount, { email, amountCents }) => {
+  const usable = await exports.findUsableCode(store, discount.code, { email });
+  const redemption = await insertRedemption(store, usable, { email, amountCents });
+
+  try {
+    for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+      // The customer's limit is held by the redemption's slot, so only the code itself is checked here
+      const current = await exports.findUsableCode(store, discount.code);
+      const updated = await store.discountCodes.update(
+        current.id,
+        { redemptionCount: current.redemptionCount + 1 },
+        { where: { redemptionCount: current.redemptionCount } }
+      );
+      if (updated) return redemption;
+    }
+    throw new HttpError(409, `Discount code ${discount.code} is busy, please retry`);
+  } catch (error) {
+    await store.discountRedemptions.remove(redemption.id);
+    throw error;
+  }
+};
+
+// Undo a claim when the payment fails
+exports.release = async (store, redemption) => {
+  const removed = await store.discountRedemptions.remove(redemption.id);
+  if (!removed) return;
+
+  for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+    const current = await store.discountCodes.findOne({ code: redemption.code });
+    if (!current) return;
+    const updated = await store.discountCodes.update(
+      current.id,
+      { redemptionCount: Math.max(0, current.redemptionCount - 1) },
+      { where: { redemptionCount: current.redemptionCount } }
+    );
+    if (updated) return;
+  }
+  logger.error('Could not release discount redemption', { code: redemption.code, redemptionId: redemption.id });
+};
+
+// Mark a claim used once the card is charged. `orderNumber` is missing when the order
+// couldn't be saved; `paymentId` still ties the use to the charge.
+exports.confirm = async (store, redemption, { orderNumber, paymentId }) => {
+  return store.discountRedemptions.update(redemption.id, {
+    status: 'redeemed',
+    ...(orderNumber && { orderNumber }),
+    ...(paymentId && { paymentId })
+  });
+};
@@ -0,0 +1,184 @@
+const { createTransport } = require('./emailTransports');
+const { logger } = require('./logger');
+
+// Every email is written to store.outbox before it is sent, so a provider outage or a
+// restart never loses one. A message is pending until delivered, retried with exponential
+// backoff, and marked failed once it runs out of attempts.
+
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.EMAIL_RETRY_BASE_MS) || 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const WORKER_INTERVAL_MS = Number(process.env.EMAIL_WORKER_INTERVAL_MS) || 15 * 1000;
+const BATCH_SIZE = 20;
+
+// Each store sends through its own transport, so apps sharing a process (the tests) never
+// send through each other's. The EMAIL_TRANSPORT one is created on first use, so a
+// misconfigured transport shows up as a failed attempt, not a crash.
+const transports = new WeakMap();
+function getTransport(store) {
+  if (!transports.has(store)) {
+    transports.set(store, createTransport());
+  }
+  return transports.get(store);
+}
+
+// Readiness check: resolves with the transport name, throws if EMAIL_TRANSPORT is misconfigured
+function checkTransport(store) {
+  return getTransport(store).name;
+}
+
+// Send this store's email through `mailer` instead of the EMAIL_TRANSPORT one (see createApp)
+function useTransport(store, mailer) {
+  transports.set(store, mailer);
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+// Outbox record without the rendered bodies, for API responses
+function toSummary(message) {
+  const { html, text, ...summary } = message;
+  return summary;
+}
+
+async function enqueue(store, { kind, orderId, from, to, subject, html, text }) {
+  const now = store.clock.now().toISOString();
+  return store.outbox.insert({
+    kind,
+    orderId,
+    from,
+    to,
+    subject,
+    html,
+    text,
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: now,
+    attemptLog: [],
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+// Make one delivery attempt. Resolves with the updated record, or null if another
+// worker already claimed the message. Never throws on a transport error.
+async function deliver(store, message) {
+  const claimed = await store.outbox.update(
+    message.id,
+    { status: 'sending', updatedAt: store.clock.now().toISOString() },
+    { where: { status: 'pending' } }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const attempts = claimed.attempts + 1;
+  const transport = getTransport(store);
+  try {
+    const { id } = await transport.send({
+      from: claimed.from,
+      to: claimed.to,
+      subject: claimed.subject,
+      html: claimed.html,
+      text: claimed.text
+    });
+    logger.info('Email sent', { messageId: claimed.id, kind: claimed.kind, transport: transport.name, providerId: id });
+    const now = store.clock.now().toISOString();
+    return store.outbox.update(claimed.id, {
+      status: 'sent',
+      attempts,
+      providerId: id,
+      sentAt: now,
+      updatedAt: now
+    });
+  } catch (error) {
+    const now = store.clock.now();
+    const failed = attempts >= claimed.maxAttempts;
+    logger[failed ? 'error' : 'warn']('Email delivery attempt failed', {
+      messageId: claimed.id,
+      kind: claimed.kind,
+      attempt: attempts,
+      maxAttempts: claimed.maxAttempts,
+      reason: error.message
+    });
+    return store.outbox.update(claimed.id, {
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      lastError: error.message,
+      attemptLog: [...(claimed.attemptLog || []), { at: now.toISOString(), error: error.message }],
+      nextAttemptAt: new Date(now.getTime() + (failed ? 0 : retryDelay(attempts))).toISOString(),
+      updatedAt: now.toISOString()
+    });
+  }
+}
+
+// Deliver every message whose next attempt is due, oldest first
+async function processDue(store, { limit = BATCH_SIZE } = {}) {
+  const due = await store.outbox.find(
+    { status: 'pending', nextAttemptAt: { $lte: store.clock.now().toISOString() } },
+    { sort: { nextAttemptAt: 1 }, limit }
+  );
+  for (const message of due) {
+    await deliver(store, message);
+  }
+  return due.length;
+}
+
+// Put a failed message back in the queue with a fresh set of attempts
+async function retry(store, messageId) {
+  const now = store.clock.now().toISOString();
+  return store.outbox.update(
+    messageId,
+    {
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: MAX_ATTEMPTS,
+      nextAttemptAt: now,
+      updatedAt: now
+    },
+    { where: { status: 'failed' } }
+  );
+}
+
+// Poll the outbox in the background. Messages left in "sending" by a crash mid-send are
+// requeued on start; that can send one email twice, which beats never sending it.
+async function startWorker(store, { intervalMs = WORKER_INTERVAL_MS } = {}) {
+  const stuck = await store.outbox.find({ status: 'sending' });
+  for (const message of stuck) {
+    await store.outbox.update(message.id, { status: 'pending', updatedAt: store.clock.now().toISOString() });
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDue(store);
+    } catch (error) {
+      logger.error('Email worker error', { err: error });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  logger.info('Email worker started', { intervalMs, maxAttempts: MAX_ATTEMPTS });
+  tick();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  enqueue,
+  deliver,
+  processDue,
+  retry,
+  startWorker,
+  toSummary,
+  checkTransport,
+  useTransport
+};
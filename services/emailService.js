@@ -1,20 +1,60 @@
-// Mock email service for local testing
-exports.sendOrderConfirmationEmails = async (order) => {
-  console.log('📧 [MOCK] Sending order confirmation emails:');
-  console.log('   To customer:', order.customerInfo.email);
-  console.log('   Order:', order.orderNumber);
-  console.log('   Amount: $' + order.paymentInfo.amount);
-  console.log('   Items:', order.items.map(item => `${item.name} x${item.quantity}`).join(', '));
-  
-  // In production, this would send real emails via SendGrid
-  return Promise.resolve();
+const templates = require('./emailTemplates');
+const emailOutbox = require('./emailOutbox');
+const { logger } = require('./logger');
+
+const FROM = process.env.EMAIL_FROM || 'onboarding@resend.dev';
+
+// Queue one rendered template and try to send it right away; the email worker retries
+// anything that fails. Never throws: a failed email must not fail the order.
+async function queue(store, { kind, orderId, to }, { subject, html, text }) {
+  try {
+    const message = await emailOutbox.enqueue(store, {
+      kind,
+      orderId,
+      from: FROM,
+      to,
+      subject,
+      html,
+      text
+    });
+    emailOutbox.deliver(store, message).catch(error => {
+      logger.error('Email delivery error', { err: error, kind, messageId: message.id });
+    });
+    return message;
+  } catch (error) {
+    logger.error('Could not queue email', { err: error, kind, orderId });
+    return null;
+  }
+}
+
+function toCustomer(order, kind) {
+  return { kind, orderId: order.id, to: order.customerInfo.email };
+}
+
+exports.queueOrderConfirmation = async (store, order) => {
+  return queue(store, toCustomer(order, 'order_confirmation'), templates.orderConfirmation(order));
+};
+
+exports.queueStatusUpdate = async (store, order) => {
+  if (order.orderStatus === 'shipped') {
+    return queue(store, toCustomer(order, 'order_shipped'), templates.orderShipped(order));
+  }
+  if (order.orderStatus === 'cancelled') {
+    return queue(store, toCustomer(order, 'order_cancelled'), templates.orderCancelled(order));
+  }
+  return queue(store, toCustomer(order, 'status_update'), templates.statusUpdate(order));
 };
 
-exports.sendOrderStatusUpdateEmails = async (order) => {
-  console.log('📧 [MOCK] Sending status update email:');
-  console.log('   To:', order.customerInfo.email);
-  console.log('   Order:', order.orderNumber);
-  console.log('   New Status:', order.orderStatus);
-  
-  return Promise.resolve();
-};
\ No newline at end of file
+// One email per shipment, with its tracking link and what's in the box
+exports.queueShipmentNotice = async (store, order, shipment) => {
+  return queue(store, toCustomer(order, 'shipment'), templates.shipmentSent(order, shipment));
+};
+
+exports.queueRefundNotice = async (store, order, refund) => {
+  return queue(store, toCustomer(order, 'refund'), templates.orderRefunded(order, refund));
+};
+
+// Staff alert when a SKU falls below its reorder threshold
+exports.queueLowStockAlert = async (store, to, item) => {
+  return queue(store, { kind: 'low_stock', to }, templates.lowStockAlert(item));
+};
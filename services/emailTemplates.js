@@ -0,0 +1,318 @@
+const { formatMoney } = require('./money');
+
+// Every template returns { subject, html, text }. HTML is built with the `html` tag below,
+// which escapes every interpolated value unless it was produced by `html` itself.
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  paid: 'Payment received',
+  processing: 'Being prepared',
+  fulfilled: 'Packed and ready to ship',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+const CELL = 'padding: 8px; border-bottom: 1px solid #ddd;';
+
+function layout(heading, body) {
+  return html`
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #333;">${heading}</h1>
+        ${body}
+        <p style="color: #666; font-size: 0.9em;">Thank you for shopping with M&amp;H Distributions!</p>
+      </div>
+    `.value;
+}
+
+function textFooter() {
+  return '\nThank you for shopping with M&H Distributions!';
+}
+
+function addressHtml(address) {
+  return html`
+        <p>
+          ${address.firstName} ${address.lastName}<br>
+          ${address.address}<br>
+          ${address.city}, ${address.state} ${address.zipCode}
+        </p>`;
+}
+
+function addressText(address) {
+  return `${address.firstName} ${address.lastName}\n${address.address}\n${address.city}, ${address.state} ${address.zipCode}`;
+}
+
+function shippingAddress(order) {
+  return order.shippingAddress && order.shippingAddress.address ? order.shippingAddress : order.customerInfo;
+}
+
+function lineTotal(item) {
+  return item.lineTotal !== undefined ? item.lineTotal : item.price * item.quantity;
+}
+
+// Subtotal, shipping and tax lines for orders placed with a checkout breakdown
+function pricingLines(order) {
+  const pricing = order.pricing;
+  if (!pricing || pricing.total == null) return [];
+  return [
+    ['Subtotal', formatMoney(pricing.subtotal)],
+    ...(pricing.discount ? [[`Discount (${pricing.discountCode})`, `-${formatMoney(pricing.discount)}`]] : []),
+    ['Shipping', pricing.shipping ? formatMoney(pricing.shipping) : 'Free'],
+    [`Tax${pricing.taxState ? ` (${pricing.taxState})` : ''}`, formatMoney(pricing.tax)]
+  ];
+}
+
+function itemsTableHtml(order) {
+  return html`
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr>
+            <th style="${CELL} text-align: left;">Item</th>
+            <th style="${CELL} text-align: right;">Qty</th>
+            <th style="${CELL} text-align: right;">Price</th>
+            <th style="${CELL} text-align: right;">Total</th>
+          </tr>
+          ${order.items.map(item => html`
+          <tr>
+            <td style="${CELL}">${item.name}${item.sku ? html` <span style="color: #666;">(${item.sku})</span>` : ''}</td>
+            <td style="${CELL} text-align: right;">${item.quantity}</td>
+            <td style="${CELL} text-align: right;">${formatMoney(item.price)}</td>
+            <td style="${CELL} text-align: right;">${formatMoney(lineTotal(item))}</td>
+          </tr>`)}
+          ${pricingLines(order).map(([label, amount]) => html`
+          <tr>
+            <td style="${CELL}" colspan="3">${label}</td>
+            <td style="${CELL} text-align: right;">${amount}</td>
+          </tr>`)}
+          <tr>
+            <td style="${CELL}" colspan="3"><strong>Total</strong></td>
+            <td style="${CELL} text-align: right;"><strong>${formatMoney(order.paymentInfo.amount)}</strong></td>
+          </tr>
+        </table>`;
+}
+
+function itemsText(order) {
+  const lines = order.items.map(item =>
+    `- ${item.name}${item.sku ? ` (${item.sku})` : ''} x${item.quantity} @ ${formatMoney(item.price)} = ${formatMoney(lineTotal(item))}`
+  );
+  const totals = pricingLines(order).map(([label, amount]) => `${label}: ${amount}`);
+  return [...lines, ...totals, `Total: ${formatMoney(order.paymentInfo.amount)}`].join('\n');
+}
+
+exports.orderConfirmation = (order) => {
+  const address = shippingAddress(order);
+  return {
+    subject: `Order Confirmation - Order #${order.orderNumber}`,
+    html: layout('Thank You For Your Order!', html`
+        <p>Hi ${order.customerInfo.firstName},</p>
+        <p>Your order <strong>#${order.orderNumber}</strong> has been confirmed
+          (placed ${new Date(order.createdAt).toLocaleDateString('en-US')}).</p>
+        <h2>Order Details</h2>
+        ${itemsTableHtml(order)}
+        <h2>Shipping To</h2>
+        ${addressHtml(address)}
+        <p>We'll notify you when your order ships.</p>`),
+    text: [
+      `Hi ${order.customerInfo.firstName},`,
+      '',
+      `Thank you for your order #${order.orderNumber}. It has been confirmed.`,
+      '',
+      itemsText(order),
+      '',
+      'Shipping to:',
+      addressText(address),
+      '',
+      "We'll notify you when your order ships.",
+      textFooter()
+    ].join('\n')
+  };
+};
+
+exports.statusUpdate = (order) => {
+  const label = STATUS_LABELS[order.orderStatus] || order.orderStatus;
+  return {
+    subject: `Order #${order.orderNumber} update: ${label}`,
+    html: layout('Order Update', html`
+        <p>Hi ${order.customerInfo.firstName},</p>
+        <p>The status of your order <strong>#${order.orderNumber}</strong> is now <strong>${label}</strong>.</p>`),
+    text: [
+      `Hi ${order.customerInfo.firstName},`,
+      '',
+      `The status of your order #${order.orderNumber} is now: ${label}.`,
+      textFooter()
+    ].join('\n')
+  };
+};
+
+function trackingHtml({ carrier, trackingNumber, trackingUrl }) {
+  if (!trackingNumber) return '';
+  const number = trackingUrl ? html`<a href="${trackingUrl}">${trackingNumber}</a>` : trackingNumber;
+  return html`<p>Tracking number: <strong>${number}</strong>${carrier ? ` (${carrier})` : ''}</p>`;
+}
+
+function trackingText({ carrier, trackingNumber, trackingUrl }) {
+  if (!trackingNumber) return [];
+  return [
+    `Tracking number: ${trackingNumber}${carrier ? ` (${carrier})` : ''}`,
+    ...(trackingUrl ? [`Track it: ${trackingUrl}`] : [])
+  ];
+}
+
+// Tracking details of the order's latest shipment, or the order's own for older orders
+function latestTracking(order) {
+  const shipments = order.shipments || [];
+  return shipments.length > 0 ? shipments[shipments.length - 1] : order;
+}
+
+exports.orderShipped = (order) => {
+  const address = shippingAddress(order);
+  return {
+    subject: `Your order #${order.orderNumber} has shipped`,
+    html: layout('Your Order Is On Its Way!', html`
+        <p>Hi ${order.customerInfo.firstName},</p>
+        <p>Your order <strong>#${order.orderNumber}</strong> has shipped.</p>
+        ${trackingHtml(latestTracking(order))}
+        <h2>Shipping To</h2>
+        ${addressHtml(address)}`),
+    text: [
+      `Hi ${order.customerInfo.firstName},`,
+      '',
+      `Your order #${order.orderNumber} has shipped.`,
+      ...trackingText(latestTracking(order)),
+      '',
+      'Shipping to:',
+      addressText(address),
+      textFooter()
+    ].join('\n')
+  };
+};
+
+// Sent for each shipment. Orders that ship in several boxes say which part this is.
+exports.shipmentSent = (order, shipment) => {
+  const address = shippingAddress(order);
+  const boxes = order.shipments || [shipment];
+  const complete = order.fulfillmentStatus === 'fulfilled';
+  const subject = !complete
+    ? `Part of your order #${order.orderNumber} has shipped`
+    : boxes.length > 1
+      ? `The rest of your order #${order.orderNumber} has shipped`
+      : `Your order #${order.orderNumber} has shipped`;
+  const note = complete
+    ? (boxes.length > 1 ? `This is the last of ${boxes.length} shipments for your order.` : '')
+    : "The rest of your order will follow in a separate shipment; we'll email you when it ships.";
+
+  return {
+    subject,
+    html: layout('Your Order Is On Its Way!', html`
+        <p>Hi ${order.customerInfo.firstName},</p>
+        <p>A shipment from your order <strong>#${order.orderNumber}</strong> is on its way.</p>
+        ${trackingHtml(shipment)}
+        <h2>In This Shipment</h2>
+        <ul>
+          ${shipment.items.map(item => html`
+          <li>${item.name}${item.sku ? html` <span style="color: #666;">(${item.sku})</span>` : ''} x${item.quantity}</li>`)}
+        </ul>
+        ${note ? html`<p>${note}</p>` : ''}
+        <h2>Shipping To</h2>
+        ${addressHtml(address)}`),
+    text: [
+      `Hi ${order.customerInfo.firstName},`,
+      '',
+      `A shipment from your order #${order.orderNumber} is on its way.`,
+      ...trackingText(shipment),
+      '',
+      'In this shipment:',
+      ...shipment.items.map(item => `- ${item.name}${item.sku ? ` (${item.sku})` : ''} x${item.quantity}`),
+      ...(note ? ['', note] : []),
+      '',
+      'Shipping to:',
+      addressText(address),
+      textFooter()
+    ].join('\n')
+  };
+};
+
+exports.orderCancelled = (order) => ({
+  subject: `Your order #${order.orderNumber} has been cancelled`,
+  html: layout('Order Cancelled', html`
+        <p>Hi ${order.customerInfo.firstName},</p>
+        <p>Your order <strong>#${order.orderNumber}</strong> has been cancelled.</p>
+        <p>If you were charged, you will receive a separate email once your refund is issued.
+          Reply to this email if you have any questions.</p>`),
+  text: [
+    `Hi ${order.customerInfo.firstName},`,
+    '',
+    `Your order #${order.orderNumber} has been cancelled.`,
+    'If you were charged, you will receive a separate email once your refund is issued.',
+    'Reply to this email if you have any questions.',
+    textFooter()
+  ].join('\n')
+});
+
+exports.orderRefunded = (order, refund) => {
+  const full = order.paymentInfo.paymentStatus === 'refunded';
+  return {
+    subject: `Refund issued for order #${order.orderNumber}`,
+    html: layout('Refund Issued', html`
+        <p>Hi ${order.customerInfo.firstName},</p>
+        <p>We have issued a ${full ? 'full' : 'partial'} refund of <strong>${formatMoney(refund.amount)}</strong>
+          for order <strong>#${order.orderNumber}</strong>.</p>
+        <p>Reason: ${refund.reason}</p>
+        <p>Refunds usually appear on your statement within 5-10 business days.</p>`),
+    text: [
+      `Hi ${order.customerInfo.firstName},`,
+      '',
+      `We have issued a ${full ? 'full' : 'partial'} refund of ${formatMoney(refund.amount)} for order #${order.orderNumber}.`,
+      `Reason: ${refund.reason}`,
+      'Refunds usually appear on your statement within 5-10 business days.',
+      textFooter()
+    ].join('\n')
+  };
+};
+
+exports.lowStockAlert = (item) => ({
+  subject: `Low stock: ${item.sku} (${item.onHand} left)`,
+  html: layout('Low Stock Alert', html`
+        <p><strong>${item.sku}</strong> is below its reorder threshold.</p>
+        <p>On hand: <strong>${item.onHand}</strong><br>
+          Reserved by checkouts in progress: ${item.reserved}<br>
+          Reorder threshold: ${item.reorderThreshold}</p>`),
+  text: [
+    `${item.sku} is below its reorder threshold.`,
+    '',
+    `On hand: ${item.onHand}`,
+    `Reserved by checkouts in progress: ${item.reserved}`,
+    `Reorder threshold: ${item.reorderThreshold}`
+  ].join('\n')
+});
+
+exports.escapeHtml = escapeHtml;
+exports.html = html;
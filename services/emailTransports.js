@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+// A transport delivers one message { from, to, subject, html, text } and resolves with { id }.
+// EMAIL_TRANSPORT picks one: resend, smtp or outbox (files on disk, for development and tests).
+
+function createResendTransport({ apiKey }) {
+  const { Resend } = require('resend');
+  const resend = new Resend(apiKey);
+
+  return {
+    name: 'resend',
+    async send(message) {
+      const { data, error } = await resend.emails.send({ ...message, to: [message.to] });
+      if (error) {
+        throw new Error(`Resend: ${error.message}`);
+      }
+      return { id: data.id };
+    }
+  };
+}
+
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number(port) || 587,
+    secure: secure === true || secure === 'true',
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
+
+// Writes each message as <timestamp>-<to>.json plus an .html copy to open in a browser
+function createOutboxTransport({ dir }) {
+  return {
+    name: 'outbox',
+    dir,
+    async send(message) {
+      fs.mkdirSync(dir, { recursive: true });
+      const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${String(message.to).replace(/[^a-z0-9@._-]/gi, '_')}`;
+      fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({ id, ...message }, null, 2));
+      fs.writeFileSync(path.join(dir, `${id}.html`), message.html);
+      return { id };
+    }
+  };
+}
+
+function createTransport({
+  transport = process.env.EMAIL_TRANSPORT || (process.env.RESEND_API_KEY ? 'resend' : 'outbox'),
+  env = process.env
+} = {}) {
+  switch (transport) {
+    case 'resend':
+      if (!env.RESEND_API_KEY) {
+        throw new Error('RESEND_API_KEY is required for EMAIL_TRANSPORT=resend');
+      }
+      return createResendTransport({ apiKey: env.RESEND_API_KEY });
+    case 'smtp':
+      if (!env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is required for EMAIL_TRANSPORT=smtp');
+      }
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        secure: env.SMTP_SECURE,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'outbox':
+      return createOutboxTransport({ dir: env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', 'email-outbox') });
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${transport}`);
+  }
+}
+
+module.exports = {
+  createResendTransport,
+  createSmtpTransport,
+  createOutboxTransport,
+  createTransport
+};
@@ -0,0 +1,56 @@
+const emailOutbox = require('./emailOutbox');
+
+// Readiness probes for GET /api/health/ready. Each check runs with a timeout and reports
+// { status: 'ok' | 'error', durationMs, error? }; the app is ready only when the required ones
+// pass. Square is reported but not required: checkouts fail over to a clear payment error on
+// their own, and pulling every instance out of rotation during a Square outage would also take
+// down the catalog, tracking and the back office.
+
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000;
+
+const INFORMATIONAL_CHECKS = ['payments'];
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(check, timeoutMs) {
+  const start = Date.now();
+  try {
+    const detail = await withTimeout(Promise.resolve().then(check), timeoutMs);
+    return { status: 'ok', durationMs: Date.now() - start, ...detail };
+  } catch (error) {
+    return { status: 'error', durationMs: Date.now() - start, error: error.message };
+  }
+}
+
+async function checkReadiness({ store, payments }, { timeoutMs = CHECK_TIMEOUT_MS } = {}) {
+  const checks = {
+    storage: async () => {
+      await store.ping();
+      return { backend: store.backend };
+    },
+    payments: async () => {
+      await payments.ping();
+      return { provider: payments.name };
+    },
+    email: async () => ({ transport: emailOutbox.checkTransport(store) })
+  };
+
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(async (name) => {
+    const result = await runCheck(checks[name], timeoutMs);
+    return INFORMATIONAL_CHECKS.includes(name) ? { ...result, required: false } : result;
+  }));
+
+  return {
+    ready: results.every(result => result.status === 'ok' || result.required === false),
+    checks: Object.fromEntries(names.map((name, index) => [name, results[index]]))
+  };
+}
+
+module.exports = { checkReadiness };
@@ -0,0 +1,13 @@
+// Error carrying the HTTP status (and optional details) a route should respond with
+class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,289 @@
+const HttpError = require('./httpError');
+const { queueLowStockAlert } = require('./emailService');
+const { logger } = require('./logger');
+const { normalizeSku } = require('./productCatalog');
+
+// Per-SKU stock. SKUs without an inventory record are not tracked and never run out;
+// the first adjustment for a SKU starts tracking it.
+//
+// Checkout reserves stock before the card is charged, commits the reservation once the
+// payment succeeds and releases it if the payment fails. Every counter change is a
+// compare-and-set on (onHand, reserved), so concurrent checkouts can't oversell.
+
+const RESERVATION_TTL_MS = 15 * 60 * 1000;
+// Committed and released reservations are kept this long after they settle, then pruned
+const SETTLED_RESERVATION_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CAS_ATTEMPTS = 5;
+
+// Sum quantities per SKU so a cart listing the same SKU twice is checked as one line
+function combineLines(lines) {
+  const totals = new Map();
+  for (const { sku, quantity } of lines) {
+    totals.set(sku, (totals.get(sku) || 0) + quantity);
+  }
+  return [...totals].map(([sku, quantity]) => ({ sku, quantity }));
+}
+
+function toStockLevel(item) {
+  return { ...item, available: item.onHand - item.reserved };
+}
+
+// Apply `compute(item)` to a SKU's counters, retrying if another request got there first.
+// Resolves with { before, after }, or null for an untracked SKU.
+async function updateCounters(store, sku, compute) {
+  for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+    const item = await store.inventory.findOne({ sku });
+    if (!item) return null;
+
+    const after = await store.inventory.update(
+      item.id,
+      { ...compute(item), updatedAt: store.clock.now().toISOString() },
+      { where: { onHand: item.onHand, reserved: item.reserved } }
+    );
+    if (after) return { before: item, after };
+  }
+  throw new HttpError(409, `Stock for ${sku} is changing too quickly, please retry`);
+}
+
+async function notifyLowStock(store, item) {
+  logger.warn('Low stock', { sku: item.sku, onHand: item.onHand, reorderThreshold: item.reorderThreshold });
+
+  if (process.env.INVENTORY_ALERT_EMAIL) {
+    await queueLowStockAlert(store, process.env.INVENTORY_ALERT_EMAIL, item);
+  }
+  if (process.env.INVENTORY_ALERT_WEBHOOK_URL) {
+    try {
+      const response = await fetch(process.env.INVENTORY_ALERT_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          type: 'inventory.low_stock',
+          sku: item.sku,
+          onHand: item.onHand,
+          reserved: item.reserved,
+          reorderThreshold: item.reorderThreshold
+        })
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      logger.error('Low stock webhook failed', { err: error, sku: item.sku });
+    }
+  }
+}
+
+// Record an onHand change and alert when it takes the SKU below its reorder threshold
+async function recordChange(store, { before, after }, { reason, actor = 'system', reference }) {
+  await store.stockAdjustments.insert({
+    sku: after.sku,
+    change: after.onHand - before.onHand,
+    onHandAfter: after.onHand,
+    reason,
+    actor,
+    reference,
+    createdAt: store.clock.now().toISOString()
+  });
+
+  const threshold = after.reorderThreshold;
+  if (threshold != null && before.onHand >= threshold && after.onHand < threshold) {
+    await notifyLowStock(store, after);
+  }
+}
+
+// Give back stock held by a reservation that was never committed
+async function releaseReservation(store, reservation) {
+  const released = await store.stockReservations.update(
+    reservation.id,
+    { status: 'released', updatedAt: store.clock.now().toISOString() },
+    { where: { status: 'active' } }
+  );
+  if (!released) return null;
+
+  for (const { sku, quantity } of released.lines) {
+    await updateCounters(store, sku, item => ({ reserved: Math.max(0, item.reserved - quantity) }));
+  }
+  return released;
+}
+
+// Release reservations left behind by a checkout that crashed mid-payment. Run by the
+// maintenance worker (services/maintenance.js); resolves with how many were released.
+exports.releaseExpired = async (store) => {
+  const expired = await store.stockReservations.find({
+    status: 'active',
+    expiresAt: { $lte: store.clock.now().toISOString() }
+  });
+  let released = 0;
+  for (const reservation of expired) {
+    logger.info('Releasing expired stock reservation', { reservationId: reservation.id });
+    if (await releaseReservation(store, reservation)) released++;
+  }
+  return released;
+};
+
+// Remove reservations that settled more than a day ago. Orders keep their own copy of
+// the committed lines, so nothing reads these again.
+exports.pruneSettledReservations = async (store) => {
+  const cutoff = new Date(store.clock.now().getTime() - SETTLED_RESERVATION_TTL_MS).toISOString();
+  return store.stockReservations.removeMany({
+    status: { $in: ['committed', 'released'] },
+    updatedAt: { $lte: cutoff }
+  });
+};
+
+// Hold stock for priced cart items. Throws 409 if any SKU doesn't have enough available,
+// leaving nothing reserved.
+exports.reserve = async (store, items, { reference } = {}) => {
+  const now = store.clock.now().getTime();
+  const reservation = await store.stockReservations.insert({
+    lines: [],
+    status: 'active',
+    reference,
+    expiresAt: new Date(now + RESERVATION_TTL_MS).toISOString(),
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString()
+  });
+
+  // Lines are recorded as they are held, so a release only gives back what was taken
+  const held = [];
+  try {
+    for (const { sku, quantity } of combineLines(items)) {
+      const result = await updateCounters(store, sku, item => {
+        const available = item.onHand - item.reserved;
+        if (available < quantity) {
+          throw new HttpError(409, `Only ${Math.max(available, 0)} of ${sku} left in stock`, {
+            sku,
+            available: Math.max(available, 0)
+          });
+        }
+        return { reserved: item.reserved + quantity };
+      });
+      if (result) {
+        held.push({ sku, quantity });
+        await store.stockReservations.update(reservation.id, { lines: [...held] });
+      }
+    }
+  } catch (error) {
+    await releaseReservation(store, { ...reservation, lines: held });
+    throw error;
+  }
+
+  return { ...reservation, lines: held };
+};
+
+exports.release = releaseReservation;
+
+// Take reserved stock off the shelf once the payment has gone through
+exports.commit = async (store, reservation, { reference } = {}) => {
+  const committed = await store.stockReservations.update(
+    reservation.id,
+    { status: 'committed', reference, updatedAt: store.clock.now().toISOString() },
+    { where: { status: 'active' } }
+  );
+  if (!committed) {
+    throw new Error(`Stock reservation ${reservation.id} is no longer active`);
+  }
+
+  for (const { sku, quantity } of committed.lines) {
+    const result = await updateCounters(store, sku, item => ({
+      onHand: item.onHand - quantity,
+      reserved: Math.max(0, item.reserved - quantity)
+    }));
+    if (result) {
+      await recordChange(store, result, { reason: 'Sold', reference });
+    }
+  }
+  return committed.lines;
+};
+
+// Put an order's stock back on the shelf (cancellation or full refund). Only stock this
+// order actually took is returned, and only once.
+exports.restockOrder = async (store, order, { reason, actor }) => {
+  const inventory = order.inventory || {};
+  if (!inventory.committed || inventory.committed.length === 0 || inventory.restockedAt) {
+    return order;
+  }
+
+  // A cancellation and a refund (or two webhooks) can race; only the first restocks
+  const updated = await store.orders.update(
+    order.id,
+    { inventory: { ...inventory, restockedAt: store.clock.now().toISOString() } },
+    { where: { 'inventory.restockedAt': { $exists: false } } }
+  );
+  if (!updated) {
+    return store.orders.findById(order.id);
+  }
+
+  for (const { sku, quantity } of inventory.committed) {
+    const result = await updateCounters(store, sku, item => ({ onHand: item.onHand + quantity }));
+    if (result) {
+      await recordChange(store, result, { reason, actor, reference: order.orderNumber });
+    }
+  }
+
+  logger.info('Restocked order', { orderNumber: order.orderNumber, reason });
+  return updated;
+};
+
+exports.listStock = async (store) => {
+  const items = await store.inventory.find({}, { sort: { sku: 1 } });
+  return items.map(toStockLevel);
+};
+
+exports.getStock = async (store, sku) => {
+  const item = await store.inventory.findOne({ sku: normalizeSku(sku) });
+  return item ? toStockLevel(item) : null;
+};
+
+exports.listAdjustments = async (store, sku, { limit = 100 } = {}) => {
+  return store.stockAdjustments.find({ sku: normalizeSku(sku) }, { sort: { createdAt: -1 }, limit });
+};
+
+// Manual stock change by staff, e.g. a delivery received (+) or damaged goods (-)
+exports.adjust = async (store, sku, { change, reason, actor }) => {
+  const delta = Number(change);
+  if (!Number.isInteger(delta) || delta === 0) {
+    throw new HttpError(400, 'change must be a non-zero whole number');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new HttpError(400, 'A reason is required for stock adjustments');
+  }
+
+  const normalizedSku = normalizeSku(sku);
+  if (!await store.inventory.findOne({ sku: normalizedSku })) {
+    try {
+      const now = store.clock.now().toISOString();
+      await store.inventory.insert({ sku: normalizedSku, onHand: 0, reserved: 0, createdAt: now, updatedAt: now });
+    } catch (error) {
+      // Someone else started tracking it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const result = await updateCounters(store, normalizedSku, item => {
+    if (item.onHand + delta < 0) {
+      throw new HttpError(400, `Only ${item.onHand} of ${normalizedSku} on hand`);
+    }
+    return { onHand: item.onHand + delta };
+  });
+
+  await recordChange(store, result, { reason: String(reason).trim(), actor });
+  return toStockLevel(result.after);
+};
+
+exports.setReorderThreshold = async (store, sku, threshold) => {
+  const value = threshold === null ? null : Number(threshold);
+  if (value !== null && (!Number.isInteger(value) || value < 0)) {
+    throw new HttpError(400, 'reorderThreshold must be a non-negative whole number or null');
+  }
+
+  const item = await store.inventory.findOne({ sku: normalizeSku(sku) });
+  if (!item) {
+    throw new HttpError(404, `${normalizeSku(sku)} is not tracked yet, add stock first`);
+  }
+  const updated = await store.inventory.update(item.id, {
+    reorderThreshold: value,
+    updatedAt: store.clock.now().toISOString()
+  });
+  return toStockLevel(updated);
+};
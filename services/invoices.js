@@ -0,0 +1,123 @@
+const HttpError = require('./httpError');
+const business = require('../config/business');
+const { logger } = require('./logger');
+
+// Sequential invoice numbers. An order gets its number the first time its invoice is
+// generated, so numbers follow the order invoices were issued in and reprints keep theirs.
+// Only orders that collected a payment are numbered, so abandoned checkouts don't use up numbers.
+
+const MAX_RETRIES = 5;
+
+const INVOICEABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded', 'disputed'];
+
+// Next value of a named counter in store.sequences; compare-and-set so concurrent
+// callers never get the same number
+async function nextSequenceValue(store, name) {
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const now = store.clock.now().toISOString();
+    const sequence = await store.sequences.findOne({ name });
+
+    if (!sequence) {
+      try {
+        await store.sequences.insert({ name, value: 1, updatedAt: now });
+        return 1;
+      } catch (error) {
+        // Someone else started the sequence; take the next number after theirs
+        if (error.code === 11000) continue;
+        throw error;
+      }
+    }
+
+    const updated = await store.sequences.update(
+      sequence.id,
+      { value: sequence.value + 1, updatedAt: now },
+      { where: { value: sequence.value } }
+    );
+    if (updated) {
+      return updated.value;
+    }
+  }
+
+  throw new HttpError(503, 'Invoice numbering is busy, please try again');
+}
+
+// Hand back a number nobody used. Only possible while it is still the latest one issued;
+// resolves with false when a later number has gone out since, leaving a gap.
+async function releaseSequenceValue(store, name, value) {
+  const sequence = await store.sequences.findOne({ name });
+  if (!sequence || sequence.value !== value) {
+    return false;
+  }
+  const updated = await store.sequences.update(
+    sequence.id,
+    { value: value - 1, updatedAt: store.clock.now().toISOString() },
+    { where: { value } }
+  );
+  return Boolean(updated);
+}
+
+function formatInvoiceNumber(value) {
+  return `${business.invoicePrefix}${String(value).padStart(business.invoiceDigits, '0')}`;
+}
+
+function isInvoiceable(order) {
+  return order.orderStatus !== 'cancelled' &&
+    INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentInfo && order.paymentInfo.paymentStatus);
+}
+
+// Resolves with the order, giving it the next invoice number if it has none yet. A number
+// reserved for an order that another request numbered first (or that stopped qualifying)
+// is handed back, so concurrent first prints don't leave gaps in the sequence.
+async function ensureInvoiceNumber(store, orderId) {
+  let reserved;
+
+  async function releaseReserved(order) {
+    if (!reserved || await releaseSequenceValue(store, 'invoice', reserved)) return;
+    // A later number is already out; this one can't be reissued without breaking the order
+    logger.warn('Invoice number left unused', {
+      invoiceNumber: formatInvoiceNumber(reserved),
+      orderNumber: order && order.orderNumber
+    });
+  }
+
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const order = await store.orders.findById(orderId);
+    if (!order) {
+      await releaseReserved(null);
+      throw new HttpError(404, 'Order not found');
+    }
+
+    if (order.invoiceNumber) {
+      // Another request numbered this invoice first
+      await releaseReserved(order);
+      return order;
+    }
+
+    if (!isInvoiceable(order)) {
+      await releaseReserved(order);
+      throw new HttpError(409, 'Only orders that collected a payment can be invoiced');
+    }
+
+    // Keep the number across retries: the order changing for another reason doesn't use it up
+    reserved = reserved || await nextSequenceValue(store, 'invoice');
+    const invoiceNumber = formatInvoiceNumber(reserved);
+
+    const updated = await store.orders.update(
+      order.id,
+      { invoiceNumber, invoicedAt: store.clock.now().toISOString() },
+      { where: { updatedAt: order.updatedAt, invoiceNumber: { $exists: false } } }
+    );
+    if (updated) {
+      logger.info('Invoice number assigned', { invoiceNumber, orderNumber: order.orderNumber });
+      return updated;
+    }
+  }
+
+  await releaseReserved(null);
+  throw new HttpError(409, 'Order changed concurrently, please retry');
+}
+
+module.exports = {
+  formatInvoiceNumber,
+  ensureInvoiceNumber
+};
@@ -0,0 +1,116 @@
+// Conversion of orders written by the old flat orders.json server
+// ({ customer, customerDetails, products, total, status, ... }) into the Order model shape.
+
+const { carrierName, trackingUrl } = require('./shipments');
+
+const ORDER_STATUSES = ['pending', 'paid', 'processing', 'fulfilled', 'cancelled', 'shipped', 'delivered'];
+
+function isLegacyOrder(record) {
+  return Boolean(record) && !record.customerInfo && ('customerDetails' in record || 'products' in record);
+}
+
+function legacyOrderStatus(record) {
+  if (record.shippingStatus === 'delivered') return 'delivered';
+  if (record.shippingStatus === 'shipped') return 'shipped';
+  // The old server marked paid orders 'pending' meaning "not yet fulfilled"
+  if ((!record.status || record.status === 'pending') && record.paymentStatus === 'paid') return 'paid';
+  return ORDER_STATUSES.includes(record.status) ? record.status : 'pending';
+}
+
+function legacyItems(products) {
+  if (!Array.isArray(products)) return [];
+  return products.map(product => ({
+    sku: product.sku,
+    name: product.name || product.title || product.sku,
+    price: Number(product.price !== undefined ? product.price : product.unitPrice),
+    quantity: Number(product.quantity !== undefined ? product.quantity : product.qty || 1),
+    ...(product.lineTotal !== undefined && { lineTotal: product.lineTotal }),
+    ...(product.description && { description: product.description })
+  }));
+}
+
+// The old server only had coarse shippingStatus/fulfillmentStatus strings. An order that
+// went out with a tracking number becomes one shipment holding every item.
+function legacyShipments(record, items, createdAt) {
+  const delivered = record.shippingStatus === 'delivered';
+  if (!(delivered || record.shippingStatus === 'shipped') || !record.trackingNumber) return [];
+  const shippedAt = record.shippedAt || record.updatedAt || createdAt;
+  return [{
+    id: `legacy-${record.id}`,
+    carrier: carrierName(record.carrier),
+    trackingNumber: record.trackingNumber,
+    trackingUrl: trackingUrl(record.carrier, record.trackingNumber),
+    items: items.map(({ sku, name, quantity }) => ({ sku, name, quantity })),
+    status: delivered ? 'delivered' : 'shipped',
+    shippedAt,
+    deliveredAt: delivered ? record.deliveredAt || shippedAt : null,
+    notes: 'Imported from legacy orders.json',
+    createdBy: 'migration'
+  }];
+}
+
+function legacyFulfillmentStatus(record) {
+  const shipped = ['shipped', 'delivered'].includes(record.shippingStatus) || record.fulfillmentStatus === 'fulfilled';
+  return shipped ? 'fulfilled' : 'unfulfilled';
+}
+
+function fromLegacyOrder(record) {
+  const details = record.customerDetails || {};
+  const orderStatus = legacyOrderStatus(record);
+  const createdAt = record.createdAt || new Date().toISOString();
+  const items = legacyItems(record.products);
+
+  const address = {
+    firstName: details.firstName,
+    lastName: details.lastName,
+    address: details.address,
+    city: details.city,
+    state: details.state,
+    zipCode: details.zipCode
+  };
+
+  return {
+    id: record.id,
+    legacyId: record.id,
+    orderNumber: record.orderNumber || record.id,
+    customerInfo: {
+      ...address,
+      email: details.email || record.customer,
+      phone: details.phone,
+      country: details.country || 'US'
+    },
+    items,
+    paymentInfo: {
+      squarePaymentToken: record.squarePaymentId,
+      // 'sq-<timestamp>' values were placeholders, not real Square order IDs
+      squareOrderId: record.squareOrderId && !String(record.squareOrderId).startsWith('sq-')
+        ? record.squareOrderId
+        : undefined,
+      amount: Number(record.total) || 0,
+      currency: 'USD',
+      paymentStatus: record.paymentStatus || 'pending'
+    },
+    refunds: record.refunds || [],
+    orderStatus,
+    statusHistory: [{
+      from: null,
+      to: orderStatus,
+      actor: 'migration',
+      note: 'Imported from legacy orders.json',
+      timestamp: createdAt
+    }],
+    trackingNumber: record.trackingNumber,
+    carrier: record.carrier && carrierName(record.carrier),
+    fulfillmentStatus: legacyFulfillmentStatus(record),
+    shipments: legacyShipments(record, items, createdAt),
+    shippingAddress: address,
+    notes: record.notes || '',
+    createdAt,
+    updatedAt: record.updatedAt || createdAt
+  };
+}
+
+module.exports = {
+  isLegacyOrder,
+  fromLegacyOrder
+};
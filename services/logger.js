@@ -0,0 +1,121 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logs, one object per line:
+//   {"time":"...","level":"info","msg":"Order created","requestId":"...","orderNumber":"MHD-..."}
+//
+//   logger.info('Order created', { orderNumber });
+//   logger.error('Refund failed', { err: error, orderNumber });
+//
+// LOG_LEVEL picks the minimum level (debug, info, warn, error or silent; default info).
+// Lines written while handling a request carry its requestId (see middleware/requestContext.js).
+// Sensitive fields are redacted before anything is written, see redact() below.
+
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+// Field names whose values are never logged, matched case-insensitively. LOG_REDACT_FIELDS
+// (comma separated) adds more.
+const REDACTED_FIELDS = [
+  'paymentToken', 'sourceId', 'quoteToken', 'token', 'authorization', 'cookie',
+  'password', 'passwordHash', 'secret', 'accessToken', 'apiKey', 'signatureKey',
+  'phone', 'address', 'addressLine1', 'addressLine2'
+];
+
+const EMAIL_PATTERN = /([^\s@"'<>(),;:]+)@([^\s@"'<>(),;:]+\.[a-z]{2,})/gi;
+const MAX_DEPTH = 8;
+
+const context = new AsyncLocalStorage();
+
+function fieldSet(extra = process.env.LOG_REDACT_FIELDS) {
+  const names = [...REDACTED_FIELDS, ...String(extra || '').split(',')];
+  return new Set(names.map(name => name.trim().toLowerCase()).filter(Boolean));
+}
+
+// Keep the first character and the domain so support can still tell customers apart
+function maskEmails(text) {
+  return text.replace(EMAIL_PATTERN, (match, user, domain) => `${user[0]}***@${domain}`);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: maskEmails(String(error.message)),
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.statusCode !== undefined && { statusCode: error.statusCode }),
+    stack: error.stack && maskEmails(error.stack)
+  };
+}
+
+// Copy `value` with redacted fields replaced and email addresses masked wherever they appear
+function redact(value, fields, depth = 0) {
+  if (typeof value === 'string') return maskEmails(value);
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, fields, depth + 1));
+
+  const copy = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    copy[key] = fields.has(key.toLowerCase()) && fieldValue !== undefined && fieldValue !== null
+      ? '[REDACTED]'
+      : redact(fieldValue, fields, depth + 1);
+  }
+  return copy;
+}
+
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  write = line => process.stdout.write(line),
+  redactFields = fieldSet(),
+  bindings = {}
+} = {}) {
+  const threshold = LEVELS[level] === undefined ? LEVELS.info : LEVELS[level];
+
+  function log(levelName, msg, fields = {}) {
+    if (LEVELS[levelName] < threshold) return;
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      ...context.getStore(),
+      ...bindings,
+      ...fields
+    }, redactFields);
+
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level: levelName, msg, logError: error.message });
+    }
+    write(line + '\n');
+  }
+
+  return {
+    level,
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    // Logger that adds `extra` to every line
+    child: extra => createLogger({ level, write, redactFields, bindings: { ...bindings, ...extra } })
+  };
+}
+
+// Run `fn` with `fields` (e.g. { requestId }) added to every log line written inside it
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+const logger = createLogger();
+
+module.exports = {
+  REDACTED_FIELDS,
+  logger,
+  createLogger,
+  redact: (value, fields = fieldSet()) => redact(value, fields),
+  runWithContext
+};
@@ -0,0 +1,55 @@
+const { pruneExpiredKeys } = require('../middleware/idempotency');
+const inventory = require('./inventory');
+const { logger } = require('./logger');
+
+// Housekeeping that keeps the stores from growing without bound. Each task releases or
+// removes records nothing else will act on and resolves with how many it handled.
+
+const MAINTENANCE_INTERVAL_MS = Number(process.env.MAINTENANCE_INTERVAL_MS) || 60 * 1000;
+
+const TASKS = {
+  idempotencyKeys: pruneExpiredKeys,
+  expiredReservations: inventory.releaseExpired,
+  settledReservations: inventory.pruneSettledReservations
+};
+
+// Run every task once. A failing task is logged and doesn't stop the others.
+async function runMaintenance(store) {
+  const removed = {};
+  for (const [name, task] of Object.entries(TASKS)) {
+    try {
+      removed[name] = await task(store);
+    } catch (error) {
+      logger.error('Maintenance task failed', { err: error, task: name });
+    }
+  }
+  if (Object.values(removed).some(count => count > 0)) {
+    logger.info('Maintenance cleared old records', removed);
+  }
+  return removed;
+}
+
+function startMaintenance(store, { intervalMs = MAINTENANCE_INTERVAL_MS } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runMaintenance(store);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  logger.info('Maintenance worker started', { intervalMs });
+  tick();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  runMaintenance,
+  startMaintenance
+};
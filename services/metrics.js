@@ -0,0 +1,166 @@
+const { STATUSES } = require('./orderLifecycle');
+
+// Minimal Prometheus registry: counters, histograms and gauges collected at scrape time,
+// rendered in the text exposition format served by GET /metrics.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label set so { a, b } and { b, a } land in the same one
+function seriesKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function createCounter(name, help) {
+  const series = new Map();
+  return {
+    name,
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labels);
+      const current = series.get(key) || { labels, value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    }
+  };
+}
+
+function createHistogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+  const series = new Map();
+  return {
+    name,
+    observe(labels, value) {
+      const key = seriesKey(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const current = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) current.counts[index] += 1;
+      });
+      current.sum += value;
+      current.count += 1;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+}
+
+// `collect()` resolves with [{ labels, value }] each time the metrics are scraped
+function createGauge(name, help, collect) {
+  return {
+    name,
+    async render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels = {}, value } of await collect()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    }
+  };
+}
+
+function createRegistry() {
+  const metrics = [];
+  const register = metric => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    counter: (name, help) => register(createCounter(name, help)),
+    histogram: (name, help, options) => register(createHistogram(name, help, options)),
+    gauge: (name, help, collect) => register(createGauge(name, help, collect)),
+
+    async render() {
+      const blocks = await Promise.all(metrics.map(metric => metric.render()));
+      return blocks.map(lines => lines.join('\n')).join('\n\n') + '\n';
+    }
+  };
+}
+
+// The app's metrics. Order and email totals are read from the store on every scrape so they
+// survive restarts and agree across instances; payments and latency are per process.
+function createAppMetrics(store) {
+  const registry = createRegistry();
+
+  const httpRequestDuration = registry.histogram(
+    'mhd_http_request_duration_seconds',
+    'HTTP request latency by route'
+  );
+  const paymentCharges = registry.counter(
+    'mhd_payment_charges_total',
+    'Card charges attempted at checkout by outcome and payment error code'
+  );
+
+  registry.gauge('mhd_orders', 'Orders by status', async () => {
+    return Promise.all(STATUSES.map(async status => ({
+      labels: { status },
+      value: await store.orders.count({ orderStatus: status })
+    })));
+  });
+  registry.gauge('mhd_email_messages', 'Emails in the outbox by delivery status', async () => {
+    return Promise.all(['pending', 'sending', 'sent', 'failed'].map(async status => ({
+      labels: { status },
+      value: await store.outbox.count({ status })
+    })));
+  });
+
+  return {
+    render: registry.render,
+
+    // Express middleware timing every request. Labelled by route pattern, not URL, so order
+    // IDs don't create a series each.
+    timeRequests() {
+      return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+          const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+          httpRequestDuration.observe(
+            { method: req.method, route, status: res.statusCode },
+            Number(process.hrtime.bigint() - start) / 1e9
+          );
+        });
+        next();
+      };
+    },
+
+    paymentSucceeded() {
+      paymentCharges.inc({ outcome: 'success', code: 'NONE' });
+    },
+
+    paymentFailed(code) {
+      paymentCharges.inc({ outcome: 'failure', code: code || 'UNKNOWN' });
+    }
+  };
+}
+
+module.exports = {
+  createRegistry,
+  createAppMetrics
+};
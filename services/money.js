@@ -0,0 +1,6 @@
+// Amounts are stored in dollars; all arithmetic happens in integer cents
+exports.toCents = (amount) => Math.round(Number(amount) * 100);
+
+exports.fromCents = (cents) => Number(cents) / 100;
+
+exports.formatMoney = (amount) => `$${Number(amount || 0).toFixed(2)}`;
@@ -0,0 +1,221 @@
+const HttpError = require('./httpError');
+const { issueRefund, paymentStatusFor } = require('./refundService');
+const { planTransition } = require('./orderLifecycle');
+const { planShipment, markDelivered, unshippedItems, fulfillmentStatusFor } = require('./shipments');
+const { queueStatusUpdate, queueRefundNotice, queueShipmentNotice } = require('./emailService');
+const inventory = require('./inventory');
+const { logger } = require('./logger');
+
+// Order changes shared by the REST API and the admin panel. Each throws an
+// HttpError for the caller to surface and resolves with the updated order.
+
+async function findOrder(store, orderId) {
+  const order = await store.orders.findById(orderId);
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
+  }
+  return order;
+}
+
+// Move an order along the lifecycle graph, recording who did it
+exports.changeOrderStatus = async (store, orderId, { status, trackingNumber, carrier, notes, actor }) => {
+  const order = await findOrder(store, orderId);
+  const at = store.clock.now();
+  const entry = planTransition(order, { to: status, actor, note: notes, trackingNumber, at });
+
+  // Shipping with a tracking number sends whatever hasn't gone out yet as one shipment;
+  // the status email below covers it. Delivered orders have every shipment delivered.
+  let shipping = {};
+  if (status === 'shipped' && trackingNumber && unshippedItems(order).length > 0) {
+    shipping = planShipment(order, { carrier, trackingNumber, notes, actor, at }).changes;
+  } else if (status === 'delivered') {
+    shipping = { shipments: markDelivered(order, { deliveredAt: at }) };
+  }
+
+  // Only apply if nobody changed the status since we read it
+  let updated = await store.orders.update(
+    order.id,
+    {
+      orderStatus: status,
+      ...(trackingNumber && { trackingNumber }),
+      ...(carrier && { carrier }),
+      ...(notes && { notes }),
+      ...shipping,
+      statusHistory: [...(order.statusHistory || []), entry]
+    },
+    { where: { orderStatus: entry.from } }
+  );
+
+  if (!updated) {
+    throw new HttpError(409, 'Order status changed concurrently, please retry');
+  }
+
+  logger.info('Order status changed', { orderNumber: updated.orderNumber, from: entry.from, to: status, actor: entry.actor });
+
+  if (status === 'cancelled') {
+    updated = await inventory.restockOrder(store, updated, { reason: 'Order cancelled', actor: entry.actor });
+  }
+
+  await queueStatusUpdate(store, updated);
+
+  return updated;
+};
+
+// Statuses an order passes through as its shipments go out: paid orders start processing
+// with the first box and everything moves to shipped with the last
+function shippingSteps(orderStatus, fulfillmentStatus) {
+  const steps = orderStatus === 'paid' ? ['processing'] : [];
+  if (fulfillmentStatus === 'fulfilled' && orderStatus !== 'shipped') {
+    steps.push('shipped');
+  }
+  return steps;
+}
+
+// Record one shipment (box) and email the customer its tracking details
+exports.createShipment = async (store, orderId, { carrier, trackingNumber, items, shippedAt, notes, actor }) => {
+  const order = await findOrder(store, orderId);
+  const at = store.clock.now();
+  const { shipment, changes } = planShipment(order, { carrier, trackingNumber, items, shippedAt, notes, actor, at });
+
+  let current = { ...order, trackingNumber };
+  const entries = shippingSteps(order.orderStatus, changes.fulfillmentStatus).map(to => {
+    const entry = planTransition(current, { to, actor, note: `Shipment ${trackingNumber}`, at });
+    current = { ...current, orderStatus: to };
+    return entry;
+  });
+
+  // Only apply if nobody changed the order since we read it, so boxes can't overlap
+  const updated = await store.orders.update(
+    order.id,
+    {
+      ...changes,
+      ...(entries.length > 0 && {
+        orderStatus: current.orderStatus,
+        statusHistory: [...(order.statusHistory || []), ...entries]
+      })
+    },
+    { where: { orderStatus: order.orderStatus, updatedAt: order.updatedAt } }
+  );
+
+  if (!updated) {
+    throw new HttpError(409, 'Order changed concurrently, please retry');
+  }
+
+  logger.info('Shipment recorded', {
+    orderNumber: updated.orderNumber,
+    shipmentId: shipment.id,
+    carrier: shipment.carrier,
+    fulfillmentStatus: updated.fulfillmentStatus,
+    orderStatus: updated.orderStatus,
+    actor: shipment.createdBy
+  });
+
+  await queueShipmentNotice(store, updated, shipment);
+
+  return { shipment, order: updated };
+};
+
+// Record a shipment's arrival. Once everything has shipped and every box has arrived the
+// order moves to delivered and the customer gets the usual status email.
+exports.markShipmentDelivered = async (store, orderId, shipmentId, { deliveredAt, actor }) => {
+  const order = await findOrder(store, orderId);
+  const at = store.clock.now();
+  const shipments = markDelivered(order, { shipmentId, deliveredAt: deliveredAt || at });
+
+  const allArrived = order.orderStatus === 'shipped' &&
+    fulfillmentStatusFor(order) === 'fulfilled' &&
+    shipments.every(shipment => shipment.status === 'delivered');
+  const entry = allArrived && planTransition(order, { to: 'delivered', actor, note: 'All shipments delivered', at });
+
+  const updated = await store.orders.update(
+    order.id,
+    {
+      shipments,
+      ...(entry && {
+        orderStatus: 'delivered',
+        statusHistory: [...(order.statusHistory || []), entry]
+      })
+    },
+    { where: { orderStatus: order.orderStatus, updatedAt: order.updatedAt } }
+  );
+
+  if (!updated) {
+    throw new HttpError(409, 'Order changed concurrently, please retry');
+  }
+
+  logger.info('Shipment delivered', { orderNumber: updated.orderNumber, shipmentId, orderStatus: updated.orderStatus, actor });
+
+  if (entry) {
+    await queueStatusUpdate(store, updated);
+  }
+
+  return { shipment: shipments.find(shipment => shipment.id === shipmentId), order: updated };
+};
+
+// Attempts at saving a refund before giving up on an order that keeps changing
+const MAX_REFUND_SAVE_ATTEMPTS = 5;
+
+// Add a refund Square has already made to the order. A webhook or another refund may have
+// changed the order since we read it, so re-read and try again rather than overwrite theirs.
+// Resolves with { order, recorded }; recorded is false when the order already had the refund
+// (a double-submit with the same Idempotency-Key, or Square's webhook got there first).
+async function recordRefund(store, order, refund) {
+  let current = order;
+  for (let attempt = 0; attempt < MAX_REFUND_SAVE_ATTEMPTS; attempt++) {
+    const refunds = current.refunds || [];
+    if (refunds.some(existing => existing.squareRefundId === refund.squareRefundId)) {
+      return { order: current, recorded: false };
+    }
+
+    const nextRefunds = [...refunds, refund];
+    const updated = await store.orders.update(
+      current.id,
+      {
+        refunds: nextRefunds,
+        paymentInfo: { ...current.paymentInfo, paymentStatus: paymentStatusFor(current.paymentInfo.amount, nextRefunds) }
+      },
+      { where: { updatedAt: current.updatedAt, refunds: { $size: refunds.length } } }
+    );
+    if (updated) {
+      return { order: updated, recorded: true };
+    }
+    current = await findOrder(store, current.id);
+  }
+
+  logger.error('Refund issued but not recorded', { orderNumber: order.orderNumber, squareRefundId: refund.squareRefundId });
+  throw new HttpError(409, 'Refund was issued but the order kept changing; it will be recorded when Square reports it');
+}
+
+// `requestKey` is the client's Idempotency-Key, see refundService.issueRefund
+exports.refundOrder = async (store, orderId, { amount, reason, actor, payments, requestKey }) => {
+  const order = await findOrder(store, orderId);
+
+  const { refund } = await issueRefund(payments, {
+    orderId: order.id,
+    requestKey,
+    paymentId: order.paymentInfo.squarePaymentToken,
+    amountPaid: order.paymentInfo.amount,
+    refunds: order.refunds,
+    amount,
+    reason,
+    at: store.clock.now()
+  });
+
+  const saved = await recordRefund(store, order, refund);
+  let updated = saved.order;
+  const { paymentStatus } = updated.paymentInfo;
+  if (!saved.recorded) {
+    logger.info('Refund already recorded', { orderNumber: order.orderNumber, squareRefundId: refund.squareRefundId, actor });
+    return { refund, order: updated };
+  }
+
+  if (paymentStatus === 'refunded') {
+    updated = await inventory.restockOrder(store, updated, { reason: 'Order refunded', actor });
+  }
+
+  logger.info('Refund recorded', { orderNumber: order.orderNumber, amount: refund.amount, paymentStatus, actor });
+
+  await queueRefundNotice(store, updated, refund);
+
+  return { refund, order: updated };
+};
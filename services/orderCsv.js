@@ -0,0 +1,102 @@
+const { fromCents } = require('./money');
+const { refundedCents } = require('./refundService');
+
+// CSV export of orders: one row per line item, with the order, customer and shipping
+// columns repeated on each row so the file can be filtered and pivoted in a spreadsheet.
+
+const COLUMNS = [
+  'orderNumber', 'createdAt', 'orderStatus', 'paymentStatus', 'fulfillmentStatus',
+  'customerFirstName', 'customerLastName', 'customerEmail', 'customerPhone',
+  'shipFirstName', 'shipLastName', 'shipAddress', 'shipCity', 'shipState', 'shipZip', 'shipCountry',
+  'sku', 'itemName', 'quantity', 'shippedQuantity', 'unitPrice', 'lineTotal',
+  'subtotal', 'discountCode', 'discount', 'shipping', 'tax', 'orderTotal', 'refunded',
+  'carrier', 'trackingNumber', 'squarePaymentId'
+];
+
+function escapeCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Stop spreadsheets from running cell contents as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toLine(values) {
+  return `${values.map(escapeCell).join(',')}\r\n`;
+}
+
+// The shipments holding some of `item`, as [{ carrier, trackingNumber, quantity }]
+function shipmentsWith(order, item) {
+  const key = item.sku || item.name;
+  return (order.shipments || []).flatMap(shipment => shipment.items
+    .filter(packed => (packed.sku || packed.name) === key)
+    .map(packed => ({ carrier: shipment.carrier, trackingNumber: shipment.trackingNumber, quantity: packed.quantity })));
+}
+
+function joined(boxes, field) {
+  return [...new Set(boxes.map(box => box[field]).filter(Boolean))].join('; ');
+}
+
+exports.header = () => toLine(COLUMNS);
+
+exports.rows = (order) => {
+  const customer = order.customerInfo || {};
+  const ship = order.shippingAddress && order.shippingAddress.address ? order.shippingAddress : customer;
+  const pricing = order.pricing || {};
+  const payment = order.paymentInfo || {};
+
+  const orderColumns = {
+    orderNumber: order.orderNumber,
+    createdAt: order.createdAt,
+    orderStatus: order.orderStatus,
+    paymentStatus: payment.paymentStatus,
+    fulfillmentStatus: order.fulfillmentStatus,
+    customerFirstName: customer.firstName,
+    customerLastName: customer.lastName,
+    customerEmail: customer.email,
+    customerPhone: customer.phone,
+    shipFirstName: ship.firstName,
+    shipLastName: ship.lastName,
+    shipAddress: ship.address,
+    shipCity: ship.city,
+    shipState: ship.state,
+    shipZip: ship.zipCode,
+    shipCountry: ship.country || customer.country,
+    subtotal: pricing.subtotal,
+    discountCode: pricing.discountCode,
+    discount: pricing.discount,
+    shipping: pricing.shipping,
+    tax: pricing.tax,
+    orderTotal: payment.amount,
+    refunded: fromCents(refundedCents(order.refunds)),
+    carrier: order.carrier,
+    trackingNumber: order.trackingNumber,
+    squarePaymentId: payment.squarePaymentToken
+  };
+
+  const items = order.items && order.items.length > 0 ? order.items : [{}];
+  return items.map(item => {
+    // Shipments this line went out in; orders from before shipments keep the order's tracking
+    const boxes = item.name ? shipmentsWith(order, item) : [];
+    const tracking = (order.shipments || []).length > 0
+      ? { carrier: joined(boxes, 'carrier'), trackingNumber: joined(boxes, 'trackingNumber') }
+      : {};
+
+    return toLine(COLUMNS.map(column => {
+      switch (column) {
+        case 'sku': return item.sku;
+        case 'itemName': return item.name;
+        case 'quantity': return item.quantity;
+        case 'shippedQuantity': return boxes.reduce((sum, box) => sum + box.quantity, 0);
+        case 'unitPrice': return item.price;
+        case 'lineTotal': return item.lineTotal;
+        case 'carrier':
+        case 'trackingNumber':
+          return tracking[column] !== undefined ? tracking[column] : orderColumns[column];
+        default: return orderColumns[column];
+      }
+    }));
+  }).join('');
+};
@@ -0,0 +1,310 @@
+const business = require('../config/business');
+const { createPdf, PAGE_WIDTH, PAGE_HEIGHT } = require('./pdf');
+const { formatMoney, toCents, fromCents } = require('./money');
+const { refundedCents } = require('./refundService');
+const { unshippedItems } = require('./shipments');
+
+// Printable invoices and packing slips, rendered with services/pdf.js. Long orders flow
+// onto further pages, each with the branded header and the table headings repeated.
+
+const MARGIN = 48;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const CONTENT_TOP = 116;
+const ROWS_END = PAGE_HEIGHT - 96;
+const ROW_HEIGHT = 18;
+
+const GREY = '#666666';
+const LIGHT = '#e3e3e3';
+
+const PAYMENT_LABELS = {
+  pending: 'Awaiting payment',
+  paid: 'Paid',
+  failed: 'Payment failed',
+  partially_refunded: 'Partially refunded',
+  refunded: 'Refunded',
+  disputed: 'Disputed'
+};
+
+function formatDate(value) {
+  if (!value) return '';
+  return new Date(value).toLocaleDateString('en-US', { timeZone: 'UTC', year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function addressLines(address = {}) {
+  const cityLine = [address.city, [address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  return [
+    [address.firstName, address.lastName].filter(Boolean).join(' '),
+    address.address,
+    cityLine,
+    address.country && address.country !== 'US' ? address.country : null
+  ].filter(Boolean);
+}
+
+function shippingAddress(order) {
+  return order.shippingAddress && order.shippingAddress.address ? order.shippingAddress : order.customerInfo;
+}
+
+function drawHeader(page, title) {
+  page.rect(0, 0, PAGE_WIDTH, 84, { fill: business.brandColor });
+  page.text(business.name, MARGIN, 46, { size: 22, bold: true, color: '#ffffff' });
+  page.text(business.website, MARGIN, 66, { size: 10, color: '#d7e6ea' });
+  page.text(title, RIGHT, 52, { size: 18, bold: true, color: '#ffffff', align: 'right' });
+}
+
+function drawFooter(page, lines, pageLabel) {
+  const top = PAGE_HEIGHT - 56;
+  page.line(MARGIN, top - 14, RIGHT, top - 14, { color: LIGHT });
+  lines.forEach((line, index) => page.text(line, MARGIN, top + index * 12, { size: 8, color: GREY }));
+  page.text(pageLabel, RIGHT, top, { size: 8, color: GREY, align: 'right' });
+}
+
+function contactLine() {
+  return [business.name, business.website, business.email, business.phone].filter(Boolean).join('  |  ');
+}
+
+// Label/value pairs right-aligned under the header. Returns the top of the next free line.
+function drawDetails(page, rows, top) {
+  rows.forEach(([label, value], index) => {
+    const y = top + index * 14;
+    page.text(label, RIGHT - 190, y, { size: 9, color: GREY });
+    page.text(value, RIGHT, y, { size: 9, bold: true, align: 'right', width: 140 });
+  });
+  return top + rows.length * 14;
+}
+
+function drawBlock(page, heading, lines, x, top) {
+  page.text(heading.toUpperCase(), x, top, { size: 8, bold: true, color: business.brandColor });
+  lines.forEach((line, index) => page.text(line, x, top + 16 + index * 13, { size: 10, width: 240 }));
+  return top + 16 + lines.length * 13;
+}
+
+// columns: [{ label, x, width, align }]; a right-aligned column ends at x + width
+function cellX(column) {
+  return column.align === 'right' ? column.x + column.width : column.x;
+}
+
+function drawTableHeader(page, columns, top) {
+  page.rect(MARGIN, top - 13, RIGHT - MARGIN, 19, { fill: '#eef3f5' });
+  for (const column of columns) {
+    page.text(column.label, cellX(column), top, { size: 9, bold: true, color: business.brandColor, align: column.align });
+  }
+  return top + ROW_HEIGHT + 4;
+}
+
+function drawRow(page, columns, values, top) {
+  columns.forEach((column, index) => {
+    const value = values[index];
+    if (value === undefined || value === null || value === '') return;
+    page.text(value, cellX(column), top, { size: 10, align: column.align, width: column.width });
+  });
+  page.line(MARGIN, top + 6, RIGHT, top + 6, { color: LIGHT });
+  return top + ROW_HEIGHT;
+}
+
+// Draws one order's pages: `start(page)` lays out the first page and returns where the table
+// begins; rows flow across pages; `finish(page, top)` draws what follows the table.
+function renderPages(doc, { title, columns, rows, start, finish, footerLines, finishHeight = 0 }) {
+  const pages = [];
+  const addPage = () => {
+    const page = doc.addPage();
+    drawHeader(page, title);
+    pages.push(page);
+    return page;
+  };
+
+  let page = addPage();
+  let top = drawTableHeader(page, columns, start(page));
+
+  for (const row of rows) {
+    if (top > ROWS_END) {
+      page = addPage();
+      top = drawTableHeader(page, columns, CONTENT_TOP + 10);
+    }
+    top = drawRow(page, columns, row, top);
+  }
+
+  if (top + finishHeight > ROWS_END + ROW_HEIGHT) {
+    page = addPage();
+    top = CONTENT_TOP + 10;
+  }
+  finish(page, top);
+
+  pages.forEach((each, index) => drawFooter(each, footerLines, `Page ${index + 1} of ${pages.length}`));
+}
+
+function lineTotal(item) {
+  return item.lineTotal !== undefined ? item.lineTotal : item.price * item.quantity;
+}
+
+// Subtotal, discount, shipping and tax lines; older orders without a checkout breakdown
+// only have their items and the amount charged
+function totalLines(order) {
+  const pricing = order.pricing || {};
+  const subtotal = pricing.subtotal !== undefined && pricing.subtotal !== null
+    ? pricing.subtotal
+    : fromCents(order.items.reduce((sum, item) => sum + toCents(lineTotal(item)), 0));
+  const taxLabel = [
+    'Tax',
+    pricing.taxState && `(${pricing.taxState}${pricing.taxRate ? ` ${Number((pricing.taxRate * 100).toFixed(3))}%` : ''})`
+  ].filter(Boolean).join(' ');
+
+  return [
+    ['Subtotal', formatMoney(subtotal)],
+    ...(pricing.discount ? [[`Discount (${pricing.discountCode})`, `-${formatMoney(pricing.discount)}`]] : []),
+    ...(pricing.shipping !== undefined ? [['Shipping', pricing.shipping ? formatMoney(pricing.shipping) : 'Free']] : []),
+    ...(pricing.tax !== undefined ? [[taxLabel, formatMoney(pricing.tax)]] : [])
+  ];
+}
+
+// Invoice for one order; `order.invoiceNumber` must already be set (services/invoices.js)
+function renderInvoice(order) {
+  const doc = createPdf({ title: `Invoice ${order.invoiceNumber}` });
+  const payment = order.paymentInfo || {};
+  const paymentStatus = payment.paymentStatus || 'pending';
+  const refundCents = refundedCents(order.refunds);
+  const collected = ['paid', 'partially_refunded', 'refunded', 'disputed'].includes(paymentStatus);
+
+  const columns = [
+    { label: 'Item', x: MARGIN, width: 230 },
+    { label: 'SKU', x: 284, width: 90 },
+    { label: 'Qty', x: 378, width: 36, align: 'right' },
+    { label: 'Unit price', x: 420, width: 66, align: 'right' },
+    { label: 'Amount', x: 490, width: RIGHT - 490, align: 'right' }
+  ];
+
+  renderPages(doc, {
+    title: 'INVOICE',
+    columns,
+    rows: order.items.map(item => [
+      item.name,
+      item.sku,
+      item.quantity,
+      formatMoney(item.price),
+      formatMoney(lineTotal(item))
+    ]),
+    footerLines: ['Thank you for your business!', contactLine()],
+    finishHeight: 150,
+
+    start(page) {
+      [...business.address, business.email, business.phone].filter(Boolean)
+        .forEach((line, index) => page.text(line, MARGIN, CONTENT_TOP + index * 12, { size: 9, color: GREY }));
+
+      const detailsEnd = drawDetails(page, [
+        ['Invoice number', order.invoiceNumber],
+        ['Invoice date', formatDate(order.invoicedAt)],
+        ['Order number', order.orderNumber],
+        ['Order date', formatDate(order.createdAt)],
+        ['Payment status', PAYMENT_LABELS[paymentStatus] || paymentStatus]
+      ], CONTENT_TOP);
+
+      const top = Math.max(detailsEnd, CONTENT_TOP + 48) + 16;
+      const customer = order.customerInfo || {};
+      const billEnd = drawBlock(page, 'Bill to', [...addressLines(customer), customer.email].filter(Boolean), MARGIN, top);
+      const shipEnd = drawBlock(page, 'Ship to', addressLines(shippingAddress(order)), 320, top);
+      return Math.max(billEnd, shipEnd) + 30;
+    },
+
+    finish(page, top) {
+      let y = top + 8;
+      const row = (label, value, options = {}) => {
+        page.text(label, RIGHT - 100, y, { size: 10, align: 'right', ...options });
+        page.text(value, RIGHT, y, { size: 10, align: 'right', ...options });
+        y += 16;
+      };
+
+      totalLines(order).forEach(([label, value]) => row(label, value));
+      page.line(RIGHT - 220, y - 10, RIGHT, y - 10, { color: LIGHT });
+      row('Total', formatMoney(payment.amount), { bold: true, size: 12 });
+      if (refundCents > 0) {
+        row('Refunded', `-${formatMoney(fromCents(refundCents))}`);
+      }
+      if (collected) {
+        row('Amount paid', formatMoney(fromCents(toCents(payment.amount) - refundCents)), { bold: true });
+      } else {
+        row('Amount due', formatMoney(payment.amount), { bold: true });
+      }
+
+      page.text(
+        collected ? `Paid by card${payment.squarePaymentToken ? ` - payment ${payment.squarePaymentToken}` : ''}` : 'Payment has not been received for this order.',
+        MARGIN,
+        top + 8,
+        { size: 9, color: GREY, width: 260 }
+      );
+    }
+  });
+
+  return doc.toBuffer();
+}
+
+function addPackingSlip(doc, order) {
+  const toShip = new Map(unshippedItems(order).map(line => [line.sku || line.name, line.quantity]));
+  const columns = [
+    { label: 'SKU', x: MARGIN, width: 96 },
+    { label: 'Item', x: 150, width: 240 },
+    { label: 'Ordered', x: 394, width: 50, align: 'right' },
+    { label: 'To ship', x: 450, width: 50, align: 'right' },
+    { label: 'Packed', x: 512, width: RIGHT - 512 }
+  ];
+
+  const rows = [];
+  const seen = new Set();
+  for (const item of order.items) {
+    const key = item.sku || item.name;
+    // Lines repeating a SKU were counted together; show what's left on the first one
+    rows.push([item.sku, item.name, item.quantity, seen.has(key) ? 0 : toShip.get(key) || 0, '']);
+    seen.add(key);
+  }
+
+  renderPages(doc, {
+    title: 'PACKING SLIP',
+    columns,
+    rows,
+    footerLines: [
+      `Questions about your order? Contact us at ${[business.email, business.website].filter(Boolean).join(' or ')}.`,
+      contactLine()
+    ],
+    finishHeight: 40,
+
+    start(page) {
+      const detailsEnd = drawDetails(page, [
+        ['Order number', order.orderNumber],
+        ['Order date', formatDate(order.createdAt)],
+        ['Items', String(order.items.reduce((sum, item) => sum + item.quantity, 0))]
+      ], CONTENT_TOP);
+
+      const shipEnd = drawBlock(page, 'Ship to', addressLines(shippingAddress(order)), MARGIN, CONTENT_TOP);
+      return Math.max(detailsEnd, shipEnd) + 36;
+    },
+
+    finish(page, top) {
+      page.text('Packed by: ____________________     Date: ______________', MARGIN, top + 24, { size: 9, color: GREY });
+    }
+  });
+}
+
+// Packing slip for one order
+function renderPackingSlip(order) {
+  const doc = createPdf({ title: `Packing slip ${order.orderNumber}` });
+  addPackingSlip(doc, order);
+  return doc.toBuffer();
+}
+
+// One PDF with a packing slip per order, each starting on a new page
+function renderPackingSlips(orders, { title = 'Packing slips' } = {}) {
+  const doc = createPdf({ title });
+  orders.forEach(order => addPackingSlip(doc, order));
+
+  if (orders.length === 0) {
+    const page = doc.addPage();
+    drawHeader(page, 'PACKING SLIPS');
+    page.text('No orders are waiting to be packed.', MARGIN, CONTENT_TOP + 10, { size: 12 });
+  }
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  renderInvoice,
+  renderPackingSlip,
+  renderPackingSlips
+};
@@ -0,0 +1,61 @@
+const HttpError = require('./httpError');
+
+// Allowed next states for each orderStatus. delivered and cancelled are terminal,
+// and nothing leaves shipped except delivered, so shipped orders cannot be cancelled.
+const TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['processing', 'cancelled'],
+  processing: ['fulfilled', 'shipped', 'cancelled'],
+  fulfilled: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Extra conditions a transition must meet; each returns an error message or null
+const GUARDS = {
+  shipped: ({ order, trackingNumber }) =>
+    trackingNumber || order.trackingNumber ? null : 'A tracking number is required to mark an order shipped'
+};
+
+function allowedTransitions(from) {
+  return TRANSITIONS[from] || [];
+}
+
+// Validate moving `order` to `to` and build the statusHistory entry for it.
+// Throws a 400 for unknown statuses and a 409 (with the allowed next states) otherwise.
+function planTransition(order, { to, actor, note, trackingNumber, at }) {
+  if (!STATUSES.includes(to)) {
+    throw new HttpError(400, `Invalid status. Must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  const from = order.orderStatus;
+  const allowed = allowedTransitions(from);
+
+  if (!allowed.includes(to)) {
+    throw new HttpError(409, `Cannot change order status from ${from} to ${to}`, { allowedStatuses: allowed });
+  }
+
+  const guard = GUARDS[to];
+  const guardError = guard && guard({ order, trackingNumber });
+  if (guardError) {
+    throw new HttpError(409, guardError, { allowedStatuses: allowed });
+  }
+
+  return {
+    from,
+    to,
+    actor: actor || 'system',
+    note: note || '',
+    timestamp: at
+  };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  allowedTransitions,
+  planTransition
+};
@@ -0,0 +1,5 @@
+// Human-facing order numbers, e.g. MHD-20240501-K3F9QZ
+exports.generateOrderNumber = (date = new Date()) => {
+  const day = `${date.getFullYear()}${(date.getMonth() + 1).toString().padStart(2, '0')}${date.getDate().toString().padStart(2, '0')}`;
+  return `MHD-${day}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+};
@@ -0,0 +1,22 @@
+// A bare date (2026-10-31) covers that whole UTC day
+function toTimestamp(value, { endOfDay = false } = {}) {
+  if (!value) return undefined;
+  const bareDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(bareDate ? `${value}T00:00:00.000Z` : value);
+  if (bareDate && endOfDay) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date.toISOString();
+}
+
+// Order filters from a query string already checked against schemas/orderSchemas.js:
+// ?status=&paymentStatus=&from=&to=. Used by the order list, the sales report and the CSV export.
+exports.parseOrderFilters = (query) => {
+  const { status, paymentStatus } = query;
+  return {
+    status,
+    paymentStatus,
+    from: toTimestamp(query.from),
+    to: toTimestamp(query.to, { endOfDay: true })
+  };
+};
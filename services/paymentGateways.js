@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { systemClock } = require('./clock');
+
+// A payment gateway charges cards, refunds payments and looks payments up. Amounts are in
+// integer cents; every method resolves with plain objects and throws PaymentError on failure.
+//
+//   charge({ sourceId, idempotencyKey, amountCents, currency, buyerEmail, billingAddress, note })
+//     -> { id, status, orderId, amountCents }
+//   refund({ paymentId, idempotencyKey, amountCents, currency, reason }) -> { id, status, amountCents }
+//   getPayment(paymentId) -> { id, status, orderId, amountCents, createdAt, buyerEmail, billingAddress, note }
+//   listPayments({ beginTime, endTime }) -> every payment created in [beginTime, endTime), oldest first
+//   findOrCreateCustomer({ email, givenName, familyName, phone, address, referenceId }) -> { id, created }
+//   ping() -> resolves when the provider accepts our credentials (readiness checks)
+//
+// PAYMENT_PROVIDER picks one: square (default) or fake (deterministic, for local runs and tests).
+
+class PaymentError extends Error {
+  // `code` is Square's error code (CARD_DECLINED, INSUFFICIENT_FUNDS, CVV_FAILURE, ...)
+  // or TIMEOUT when we never heard back
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function toPayment(payment) {
+  return {
+    id: payment.id,
+    status: payment.status,
+    orderId: payment.orderId,
+    amountCents: Number(payment.amountMoney.amount),
+    createdAt: payment.createdAt,
+    buyerEmail: payment.buyerEmailAddress,
+    billingAddress: payment.billingAddress,
+    note: payment.note
+  };
+}
+
+function fromSquareError(error) {
+  const [first] = error.errors || [];
+  if (first) {
+    return new PaymentError(first.code, first.detail || error.message, error.errors);
+  }
+  if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED' || /timeout/i.test(error.message)) {
+    return new PaymentError('TIMEOUT', 'Payment provider did not respond in time');
+  }
+  return new PaymentError('PAYMENT_ERROR', error.message);
+}
+
+function createSquareGateway({ client = require('../config/square'), locationId = process.env.SQUARE_LOCATION_ID } = {}) {
+  return {
+    name: 'square',
+
+    async charge({ sourceId, idempotencyKey, amountCents, currency = 'USD', buyerEmail, billingAddress, note }) {
+      try {
+        const { result } = await client.paymentsApi.createPayment({
+          sourceId,
+          idempotencyKey,
+          amountMoney: { amount: BigInt(amountCents), currency },
+          locationId,
+          buyerEmailAddress: buyerEmail,
+          billingAddress,
+          note
+        });
+        return toPayment(result.payment);
+      } catch (error) {
+        throw fromSquareError(error);
+      }
+    },
+
+    async refund({ paymentId, idempotencyKey, amountCents, currency = 'USD', reason }) {
+      try {
+        const { result } = await client.refundsApi.refundPayment({
+          idempotencyKey,
+          paymentId,
+          amountMoney: { amount: BigInt(amountCents), currency },
+          reason
+        });
+        return { id: result.refund.id, status: result.refund.status, amountCents };
+      } catch (error) {
+        throw fromSquareError(error);
+      }
+    },
+
+    async getPayment(paymentId) {
+      try {
+        const { result } = await client.paymentsApi.getPayment(paymentId);
+        return toPayment(result.payment);
+      } catch (error) {
+        throw fromSquareError(error);
+      }
+    },
+
+    // Square returns a page at a time; follow the cursor until it runs out
+    async listPayments({ beginTime, endTime }) {
+      const found = [];
+      let cursor;
+      try {
+        do {
+          const { result } = await client.paymentsApi.listPayments(beginTime, endTime, 'ASC', cursor, locationId);
+          found.push(...(result.payments || []).map(toPayment));
+          cursor = result.cursor;
+        } while (cursor);
+      } catch (error) {
+        throw fromSquareError(error);
+      }
+      return found;
+    },
+
+    // Link to the Square Customer with this email, creating one if there is none.
+    // `referenceId` is our customer ID, shown on the record in the Square Dashboard.
+    async findOrCreateCustomer({ email, givenName, familyName, phone, address, referenceId }) {
+      try {
+        const { result: found } = await client.customersApi.searchCustomers({
+          limit: BigInt(1),
+          query: { filter: { emailAddress: { exact: email } } }
+        });
+        if (found.customers && found.customers.length > 0) {
+          return { id: found.customers[0].id, created: false };
+        }
+
+        const { result } = await client.customersApi.createCustomer({
+          idempotencyKey: `customer-${referenceId}`,
+          givenName,
+          familyName,
+          emailAddress: email,
+          phoneNumber: phone,
+          address,
+          referenceId
+        });
+        return { id: result.customer.id, created: true };
+      } catch (error) {
+        throw fromSquareError(error);
+      }
+    },
+
+    // Looking up our own location is the cheapest call that proves the access token works
+    async ping() {
+      if (!locationId) {
+        throw new PaymentError('CONFIGURATION', 'SQUARE_LOCATION_ID is not set');
+      }
+      try {
+        await client.locationsApi.retrieveLocation(locationId);
+      } catch (error) {
+        throw fromSquareError(error);
+      }
+    }
+  };
+}
+
+// Source tokens that make the fake gateway fail. Anything else is charged. fake-timeout
+// behaves like a response lost on the way back: the card is charged, the caller gets a
+// TIMEOUT, and a retry with the same idempotency key gets the payment.
+const FAKE_OUTCOMES = {
+  'fake-card-declined': { code: 'CARD_DECLINED', message: 'Card was declined' },
+  'fake-insufficient-funds': { code: 'INSUFFICIENT_FUNDS', message: 'Insufficient funds' },
+  'fake-cvv-failure': { code: 'CVV_FAILURE', message: 'Card verification code check failed' },
+  'fake-timeout': { code: 'TIMEOUT', message: 'Payment provider did not respond in time' }
+};
+// Charged as APPROVED; stays that way until complete(paymentId) finishes it, as Square does
+// some time after the charge
+const FAKE_PENDING_TOKEN = 'fake-pending';
+
+// In-memory stand-in for Square. IDs are derived from the idempotency key, so the same
+// request always produces the same payment, and a repeated key returns the original
+// payment just as Square does. On top of the gateway methods it has
+//
+//   complete(paymentId) -> the payment.updated webhook event Square would send
+function createFakeGateway({ clock = systemClock } = {}) {
+  const payments = new Map();
+  const refunds = new Map();
+  const customers = new Map();
+
+  const fakeId = (prefix, key) => `${prefix}_${crypto.createHash('sha256').update(key).digest('hex').slice(0, 24)}`;
+
+  return {
+    name: 'fake',
+
+    async charge({ sourceId, idempotencyKey, amountCents, buyerEmail, billingAddress, note }) {
+      const id = fakeId('fakepay', idempotencyKey);
+      const outcome = !payments.has(id) && FAKE_OUTCOMES[sourceId];
+      if (outcome && outcome.code !== 'TIMEOUT') {
+        throw new PaymentError(outcome.code, outcome.message);
+      }
+
+      if (!payments.has(id)) {
+        payments.set(id, {
+          id,
+          status: sourceId === FAKE_PENDING_TOKEN ? 'APPROVED' : 'COMPLETED',
+          orderId: fakeId('fakeorder', idempotencyKey),
+          amountCents,
+          refundedCents: 0,
+          createdAt: clock.now().toISOString(),
+          buyerEmail,
+          billingAddress,
+          note
+        });
+      }
+      if (outcome) {
+        throw new PaymentError(outcome.code, outcome.message);
+      }
+      const { refundedCents, ...payment } = payments.get(id);
+      return payment;
+    },
+
+    async refund({ paymentId, idempotencyKey, amountCents }) {
+      const payment = payments.get(paymentId);
+      if (!payment) {
+        throw new PaymentError('NOT_FOUND', `Payment ${paymentId} not found`);
+      }
+
+      const id = fakeId('fakerefund', idempotencyKey);
+      if (!refunds.has(id)) {
+        if (payment.refundedCents + amountCents > payment.amountCents) {
+          throw new PaymentError('REFUND_AMOUNT_INVALID', 'Refund exceeds the amount left on the payment');
+        }
+        payment.refundedCents += amountCents;
+        refunds.set(id, { id, status: 'COMPLETED', amountCents });
+      }
+      return refunds.get(id);
+    },
+
+    async getPayment(paymentId) {
+      const payment = payments.get(paymentId);
+      if (!payment) {
+        throw new PaymentError('NOT_FOUND', `Payment ${paymentId} not found`);
+      }
+      const { refundedCents, ...current } = payment;
+      return current;
+    },
+
+    // Finish an APPROVED (fake-pending) payment. Deliver the returned event to the webhook
+    // endpoint to tell the shop, the way Square would.
+    async complete(paymentId) {
+      const payment = payments.get(paymentId);
+      if (!payment) {
+        throw new PaymentError('NOT_FOUND', `Payment ${paymentId} not found`);
+      }
+      if (payment.status === 'APPROVED') {
+        payment.status = 'COMPLETED';
+      }
+
+      const now = clock.now().toISOString();
+      return {
+        merchant_id: 'FAKEMERCHANT',
+        type: 'payment.updated',
+        event_id: fakeId('fakeevent', `${paymentId}:${payment.status}`),
+        created_at: now,
+        data: {
+          type: 'payment',
+          id: paymentId,
+          object: {
+            payment: {
+              id: paymentId,
+              status: payment.status,
+              amount_money: { amount: payment.amountCents, currency: 'USD' },
+              order_id: payment.orderId,
+              created_at: payment.createdAt,
+              updated_at: now
+            }
+          }
+        }
+      };
+    },
+
+    async listPayments({ beginTime, endTime }) {
+      return [...payments.values()]
+        .filter(payment => (!beginTime || payment.createdAt >= beginTime) && (!endTime || payment.createdAt < endTime))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(({ refundedCents, ...payment }) => payment);
+    },
+
+    async findOrCreateCustomer({ email }) {
+      if (customers.has(email)) {
+        return { id: customers.get(email), created: false };
+      }
+      const id = fakeId('fakecustomer', email);
+      customers.set(email, id);
+      return { id, created: true };
+    },
+
+    async ping() {}
+  };
+}
+
+function createPaymentGateway({ provider = process.env.PAYMENT_PROVIDER || 'square' } = {}) {
+  switch (provider) {
+    case 'square':
+      return createSquareGateway();
+    case 'fake':
+      logger.warn('Using the fake payment gateway - no real charges will be made');
+      return createFakeGateway();
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER: ${provider}`);
+  }
+}
+
+module.exports = {
+  PaymentError,
+  FAKE_OUTCOMES,
+  createSquareGateway,
+  createFakeGateway,
+  createPaymentGateway
+};
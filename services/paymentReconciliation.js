@@ -0,0 +1,223 @@
+const HttpError = require('./httpError');
+const customers = require('./customers');
+const { toCents, fromCents } = require('./money');
+const { logger } = require('./logger');
+
+// Matches the payments Square took in a date range against our orders. Reports
+//   orphanedPayments       - captured payments no order points at (the card was charged but
+//                            the order was never saved)
+//   ordersWithoutPayments  - orders whose Square payment is missing, or that never had one
+//   amountMismatches       - orders that charged a different amount than they record
+// An orphaned payment can be turned into a recovery order with createRecoveryOrder.
+
+// Square statuses where money was (or is about to be) taken
+const CAPTURED_STATUSES = ['APPROVED', 'COMPLETED'];
+
+// Orders that never took a payment, so a missing one isn't a problem
+const UNCHARGED_PAYMENT_STATUSES = ['failed'];
+
+// Checked when no range is given
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+// Checkout notes read 'M&H Distributions - <first name> <last name>'
+const NOTE_NAME = /^M&H Distributions - (\S+)\s+(.+)$/;
+
+function paymentSummary(payment) {
+  return {
+    paymentId: payment.id,
+    squareOrderId: payment.orderId,
+    status: payment.status,
+    amount: fromCents(payment.amountCents),
+    createdAt: payment.createdAt,
+    buyerEmail: payment.buyerEmail,
+    note: payment.note
+  };
+}
+
+function orderSummary(order) {
+  return {
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    paymentId: order.paymentInfo.squarePaymentToken,
+    paymentStatus: order.paymentInfo.paymentStatus,
+    amount: order.paymentInfo.amount,
+    createdAt: order.createdAt
+  };
+}
+
+// { from, to } are ISO timestamps (see services/orderQuery.js), by default the last 24 hours.
+// Both bound the payments listed from Square and the orders checked.
+async function reconcilePayments(store, payments, range = {}) {
+  const to = range.to || store.clock.now().toISOString();
+  const from = range.from || new Date(new Date(to).getTime() - DEFAULT_RANGE_MS).toISOString();
+
+  const squarePayments = await payments.listPayments({ beginTime: from, endTime: to });
+  const report = {
+    from,
+    to,
+    paymentsChecked: squarePayments.length,
+    ordersChecked: 0,
+    orphanedPayments: [],
+    ordersWithoutPayments: [],
+    amountMismatches: []
+  };
+
+  const checkAmount = (order, payment) => {
+    if (toCents(order.paymentInfo.amount) !== payment.amountCents) {
+      report.amountMismatches.push({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        paymentId: payment.id,
+        orderAmount: order.paymentInfo.amount,
+        paymentAmount: fromCents(payment.amountCents)
+      });
+    }
+  };
+
+  const paymentsById = new Map(squarePayments.map(payment => [payment.id, payment]));
+  const matched = new Set();
+
+  for await (const order of store.orders.iterate({ from, to })) {
+    report.ordersChecked++;
+    const paymentId = order.paymentInfo.squarePaymentToken;
+
+    if (!paymentId) {
+      if (!UNCHARGED_PAYMENT_STATUSES.includes(order.paymentInfo.paymentStatus)) {
+        report.ordersWithoutPayments.push({ ...orderSummary(order), reason: 'no_payment_id' });
+      }
+      continue;
+    }
+
+    let payment = paymentsById.get(paymentId);
+    if (!payment) {
+      // Charged just outside the range, or not a payment Square knows about
+      try {
+        payment = await payments.getPayment(paymentId);
+      } catch (error) {
+        if (error.code !== 'NOT_FOUND') throw error;
+        report.ordersWithoutPayments.push({ ...orderSummary(order), reason: 'payment_not_found' });
+        continue;
+      }
+    }
+
+    matched.add(payment.id);
+    checkAmount(order, payment);
+  }
+
+  for (const payment of squarePayments) {
+    if (matched.has(payment.id) || !CAPTURED_STATUSES.includes(payment.status)) continue;
+
+    // Its order may have been created just outside the range
+    const order = await store.orders.findByPaymentId(payment.id);
+    if (order) {
+      checkAmount(order, payment);
+    } else {
+      report.orphanedPayments.push(paymentSummary(payment));
+    }
+  }
+
+  logger.info('Payments reconciled', {
+    from,
+    to,
+    paymentsChecked: report.paymentsChecked,
+    ordersChecked: report.ordersChecked,
+    orphanedPayments: report.orphanedPayments.length,
+    ordersWithoutPayments: report.ordersWithoutPayments.length,
+    amountMismatches: report.amountMismatches.length
+  });
+
+  return report;
+}
+
+// What Square kept about the buyer, with gaps filled from their customer record
+async function buyerDetails(store, payment) {
+  const billing = payment.billingAddress || {};
+  const [, noteFirstName, noteLastName] = NOTE_NAME.exec(payment.note || '') || [];
+  const customer = payment.buyerEmail ? await store.customers.findByEmail(payment.buyerEmail) : null;
+  const saved = (customer && customer.addresses && customer.addresses[0]) || {};
+
+  const pick = (...values) => values.find(value => value) || undefined;
+  return {
+    firstName: pick(billing.firstName, noteFirstName, customer && customer.firstName),
+    lastName: pick(billing.lastName, noteLastName, customer && customer.lastName),
+    email: pick(payment.buyerEmail),
+    phone: pick(customer && customer.phone),
+    address: pick(billing.addressLine1, saved.address),
+    city: pick(billing.locality, saved.city),
+    state: pick(billing.administrativeDistrictLevel1, saved.state),
+    zipCode: pick(billing.postalCode, saved.zipCode),
+    country: billing.country || 'US'
+  };
+}
+
+function addressOf(details) {
+  const { firstName, lastName, address, city, state, zipCode } = details;
+  return { firstName, lastName, address, city, state, zipCode };
+}
+
+// Save an order for a payment that has none. Square doesn't know what was bought, so the
+// order holds one placeholder line for the amount charged and starts out pending: staff
+// confirm the items with the customer, then move it to paid.
+async function createRecoveryOrder(store, payments, paymentId, { actor }) {
+  const existing = await store.orders.findByPaymentId(paymentId);
+  if (existing) {
+    throw new HttpError(409, `Payment ${paymentId} already belongs to order ${existing.orderNumber}`);
+  }
+
+  let payment;
+  try {
+    payment = await payments.getPayment(paymentId);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      throw new HttpError(404, 'Payment not found');
+    }
+    throw error;
+  }
+  if (!CAPTURED_STATUSES.includes(payment.status)) {
+    throw new HttpError(409, `Payment ${paymentId} is ${payment.status}; only captured payments can be recovered`);
+  }
+
+  const buyer = await buyerDetails(store, payment);
+  // Every customerInfo field is required on an order; staff fill in what Square didn't have
+  const customerInfo = Object.fromEntries(Object.entries(buyer).map(([key, value]) => [key, value || 'Unknown']));
+  const amount = fromCents(payment.amountCents);
+  const note = `Recovered from Square payment ${payment.id}; confirm the items with the customer`;
+
+  const customer = buyer.email
+    ? await customers.recordCheckout(store, buyer, { shippingAddress: addressOf(buyer), syncSquare: false })
+    : null;
+
+  let order;
+  try {
+    order = await store.orders.create({
+      ...(customer && { customerId: customer.id }),
+      customerInfo,
+      items: [{ sku: null, name: 'Recovered payment - items to be confirmed', price: amount, quantity: 1, lineTotal: amount }],
+      paymentInfo: {
+        squarePaymentToken: payment.id,
+        squareOrderId: payment.orderId,
+        amount,
+        currency: 'USD',
+        paymentStatus: payment.status === 'COMPLETED' ? 'paid' : 'pending'
+      },
+      orderStatus: 'pending',
+      statusHistory: [{ from: null, to: 'pending', actor, note, timestamp: store.clock.now().toISOString() }],
+      shippingAddress: addressOf(customerInfo),
+      notes: note
+    });
+  } catch (error) {
+    // Another recovery (or a late checkout) saved an order for the payment since we looked
+    if (error.code === 11000) {
+      throw new HttpError(409, `Payment ${paymentId} already belongs to an order`);
+    }
+    throw error;
+  }
+
+  logger.info('Recovery order created', { orderNumber: order.orderNumber, paymentId: payment.id, actor });
+  return order;
+}
+
+module.exports = {
+  reconcilePayments,
+  createRecoveryOrder
+};
@@ -0,0 +1,153 @@
+// Minimal PDF writer for invoices and packing slips: US Letter pages with text in the
+// standard Helvetica fonts (every PDF reader has them, so nothing is embedded), lines and
+// filled rectangles. Coordinates are in points from the top-left corner of the page;
+// text is positioned by its baseline.
+//
+//   const doc = createPdf({ title: 'Invoice INV-000001' });
+//   const page = doc.addPage();
+//   page.text('Total', 400, 600, { bold: true, size: 12 });
+//   page.text('$33.76', 560, 600, { align: 'right' });
+//   res.send(doc.toBuffer());
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Glyph widths (1/1000 em) for printable ASCII, from the Helvetica AFM files
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+function textWidth(text, { size = 10, bold = false } = {}) {
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  let units = 0;
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+  }
+  return units * size / 1000;
+}
+
+// Shorten `text` with an ellipsis until it fits in `width` points
+function fitText(text, width, options) {
+  let fitted = String(text);
+  if (textWidth(fitted, options) <= width) return fitted;
+  while (fitted.length > 0 && textWidth(`${fitted}...`, options) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted.trimEnd()}...`;
+}
+
+// Fonts use WinAnsiEncoding (Latin-1 for our purposes); anything outside it prints as '?'
+function pdfString(text) {
+  const latin1 = String(text).replace(/[‘’]/g, "'").replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-').replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+  return `(${latin1.replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+// '#1f4e5f' -> '0.122 0.306 0.373'
+function rgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff].map(c => (c / 255).toFixed(3)).join(' ');
+}
+
+function number(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+function createPage() {
+  const ops = [];
+  const y = top => PAGE_HEIGHT - top;
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    ops,
+
+    // align 'right' puts the end of the text at x; `width` truncates it to fit
+    text(value, x, top, { size = 10, bold = false, color = '#222222', align = 'left', width } = {}) {
+      const options = { size, bold };
+      const text = width ? fitText(value, width, options) : String(value);
+      const left = align === 'right' ? x - textWidth(text, options) : x;
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${rgb(color)} rg ${number(left)} ${number(y(top))} Td ${pdfString(text)} Tj ET`);
+    },
+
+    line(x1, top1, x2, top2, { color = '#cccccc', width = 0.75 } = {}) {
+      ops.push(`${rgb(color)} RG ${width} w ${number(x1)} ${number(y(top1))} m ${number(x2)} ${number(y(top2))} l S`);
+    },
+
+    rect(x, top, width, height, { fill = '#eeeeee' } = {}) {
+      ops.push(`${rgb(fill)} rg ${number(x)} ${number(y(top + height))} ${number(width)} ${number(height)} re f`);
+    }
+  };
+}
+
+function createPdf({ title = '' } = {}) {
+  const pages = [];
+
+  return {
+    addPage() {
+      const page = createPage();
+      pages.push(page);
+      return page;
+    },
+
+    toBuffer() {
+      // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content stream per page
+      const objects = [];
+      const pageIds = pages.map((page, index) => 6 + index * 2);
+
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+      objects[5] = `<< /Title ${pdfString(title)} /Producer (M&H Distributions) >>`;
+
+      pages.forEach((page, index) => {
+        const pageId = pageIds[index];
+        const content = page.ops.join('\n');
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+      });
+
+      let body = '%PDF-1.4\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(body, 'latin1');
+        body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xrefOffset = Buffer.byteLength(body, 'latin1');
+      body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      body += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(body, 'latin1');
+    }
+  };
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  textWidth,
+  createPdf
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const HttpError = require('./httpError');
+const { toCents, fromCents } = require('./money');
+const { logger } = require('./logger');
+const { systemClock } = require('./clock');
+
+function normalizeSku(sku) {
+  return String(sku || '').trim().toUpperCase();
+}
+
+function validatePrice(price) {
+  const value = Number(price);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new HttpError(400, 'Price must be a non-negative number');
+  }
+  // Store dollars rounded to the cent so line totals never drift
+  return fromCents(toCents(value));
+}
+
+// Shipping weight in pounds, used by weight-based shipping rules
+function validateWeight(weight) {
+  const value = Number(weight);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new HttpError(400, 'Weight must be a non-negative number of pounds');
+  }
+  return value;
+}
+
+// The product catalog, kept in products.json in `dataDir`. createApp builds one per app
+// (app.locals.catalog), so apps in the same process never share products.
+function createProductCatalog({ dataDir = path.join(__dirname, '..'), clock = systemClock } = {}) {
+  const productsFile = path.join(dataDir, 'products.json');
+  let products = [];
+
+  function saveProductsToFile() {
+    fs.writeFileSync(productsFile, JSON.stringify(products, null, 2));
+  }
+
+  const catalog = {
+    // Load (or reload) the catalog from products.json
+    load() {
+      products = [];
+      try {
+        if (fs.existsSync(productsFile)) {
+          products = JSON.parse(fs.readFileSync(productsFile, 'utf8'));
+          logger.info('Product catalog loaded', { products: products.length });
+        }
+      } catch (error) {
+        logger.warn('Product catalog could not be read, starting empty', { err: error });
+      }
+      return products;
+    },
+
+    listProducts({ includeInactive = false } = {}) {
+      return includeInactive ? products : products.filter(product => product.active);
+    },
+
+    getProduct(sku) {
+      const product = products.find(p => p.sku === normalizeSku(sku));
+      if (!product) {
+        throw new HttpError(404, `Product not found: ${sku}`);
+      }
+      return product;
+    },
+
+    createProduct({ sku, name, price, weight = 0, description = '', active = true }) {
+      const normalizedSku = normalizeSku(sku);
+      if (!normalizedSku || !name) {
+        throw new HttpError(400, 'sku and name are required');
+      }
+      if (products.some(p => p.sku === normalizedSku)) {
+        throw new HttpError(409, `Product already exists: ${normalizedSku}`);
+      }
+
+      const now = clock.now().toISOString();
+      const product = {
+        sku: normalizedSku,
+        name: String(name),
+        description: String(description),
+        price: validatePrice(price),
+        weight: validateWeight(weight),
+        active: Boolean(active),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      products.push(product);
+      saveProductsToFile();
+      return product;
+    },
+
+    // Every change is validated before any is applied, so a rejected update leaves the product as it was
+    updateProduct(sku, changes) {
+      const product = catalog.getProduct(sku);
+
+      const updates = {
+        ...(changes.name !== undefined && { name: String(changes.name) }),
+        ...(changes.description !== undefined && { description: String(changes.description) }),
+        ...(changes.price !== undefined && { price: validatePrice(changes.price) }),
+        ...(changes.weight !== undefined && { weight: validateWeight(changes.weight) }),
+        ...(changes.active !== undefined && { active: Boolean(changes.active) })
+      };
+      Object.assign(product, updates, { updatedAt: clock.now().toISOString() });
+
+      saveProductsToFile();
+      return product;
+    },
+
+    deleteProduct(sku) {
+      const product = catalog.getProduct(sku);
+      products = products.filter(p => p !== product);
+      saveProductsToFile();
+      return product;
+    },
+
+    // Price cart lines ({ sku, quantity }) from the catalog. Client-sent prices are ignored.
+    priceItems(lines) {
+      if (!Array.isArray(lines) || lines.length === 0) {
+        throw new HttpError(400, 'Order must contain at least one item');
+      }
+
+      let totalCents = 0;
+      let itemCount = 0;
+      let totalWeight = 0;
+
+      const items = lines.map((line, index) => {
+        const quantity = Number(line && line.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+          throw new HttpError(400, `Invalid quantity for item ${index + 1}`);
+        }
+
+        const product = products.find(p => p.sku === normalizeSku(line.sku));
+        if (!product || !product.active) {
+          throw new HttpError(400, `Unknown or unavailable product: ${line.sku}`);
+        }
+
+        const lineTotalCents = toCents(product.price) * quantity;
+        totalCents += lineTotalCents;
+        itemCount += quantity;
+        totalWeight += (product.weight || 0) * quantity;
+
+        return {
+          sku: product.sku,
+          name: product.name,
+          price: product.price,
+          quantity,
+          lineTotal: fromCents(lineTotalCents)
+        };
+      });
+
+      return {
+        items,
+        itemCount,
+        totalWeight,
+        totalCents,
+        total: fromCents(totalCents)
+      };
+    }
+  };
+
+  return catalog;
+}
+
+module.exports = {
+  normalizeSku,
+  createProductCatalog
+};
@@ -0,0 +1,201 @@
+const HttpError = require('./httpError');
+const limits = require('../config/rateLimits');
+const { logger } = require('./logger');
+
+// Checkout rate limits and card-testing blocks. Clients are identified by subject strings,
+// 'ip:<address>' and 'email:<customer email>'. Counters live in store.rateLimitCounters
+// (one record per subject and fixed window) and blocks in store.clientBlocks, so every
+// instance sees the same numbers and a restart doesn't reset them.
+//
+// Declines block the IP only. Anyone can type a customer's email into checkout, so an email
+// block would let a stranger lock that customer out; the email only gets a short attempt limit.
+
+// Square error codes where the card itself was refused. Card testers trip these; timeouts
+// and our own configuration errors don't count against the customer.
+const DECLINE_CODES = [
+  'CARD_DECLINED', 'GENERIC_DECLINE', 'INSUFFICIENT_FUNDS', 'CVV_FAILURE',
+  'ADDRESS_VERIFICATION_FAILURE', 'INVALID_ACCOUNT', 'INVALID_CARD', 'INVALID_CARD_DATA',
+  'CARD_EXPIRED', 'INVALID_EXPIRATION', 'EXPIRATION_FAILURE', 'INVALID_POSTAL_CODE',
+  'CARD_NOT_SUPPORTED', 'PAN_FAILURE', 'TRANSACTION_LIMIT', 'VOICE_FAILURE',
+  'CARD_DECLINED_VERIFICATION_REQUIRED', 'CARD_DECLINED_CALL_ISSUER', 'INVALID_PIN',
+  'ALLOWABLE_PIN_TRIES_EXCEEDED'
+];
+
+const MAX_RETRIES = 5;
+const PRUNE_BATCH = 50;
+
+function blockSubjectsFor({ ip } = {}) {
+  return ip ? [`ip:${ip}`] : [];
+}
+
+function secondsUntil(date, now) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - now.getTime()) / 1000));
+}
+
+// Counters from finished windows. Mongo's TTL index removes them too; the JSON store needs this.
+async function pruneExpired(store, now) {
+  const expired = await store.rateLimitCounters.find(
+    { expiresAt: { $lte: now.toISOString() } },
+    { limit: PRUNE_BATCH }
+  );
+  for (const counter of expired) {
+    await store.rateLimitCounters.remove(counter.id);
+  }
+}
+
+// Count one hit for `subject` in the current window. Resolves with the count so far and
+// when the window ends.
+async function hit(store, bucket, subject, { windowMs }) {
+  const now = store.clock.now();
+  const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+  const resetAt = new Date(windowStart + windowMs);
+  const key = `${bucket}:${subject}:${windowStart}`;
+
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const counter = await store.rateLimitCounters.findOne({ key });
+
+    if (!counter) {
+      try {
+        await store.rateLimitCounters.insert({
+          key,
+          bucket,
+          subject,
+          windowStart: new Date(windowStart).toISOString(),
+          count: 1,
+          expiresAt: resetAt.toISOString()
+        });
+      } catch (error) {
+        // Another request opened the window first; count against its record
+        if (error.code === 11000) continue;
+        throw error;
+      }
+      await pruneExpired(store, now);
+      return { count: 1, resetAt };
+    }
+
+    const updated = await store.rateLimitCounters.update(
+      counter.id,
+      { count: counter.count + 1 },
+      { where: { count: counter.count } }
+    );
+    if (updated) {
+      return { count: updated.count, resetAt };
+    }
+  }
+
+  throw new HttpError(503, 'Checkout is busy, please try again');
+}
+
+function isActive(block, now) {
+  return !block.clearedAt && new Date(block.expiresAt) > now;
+}
+
+async function activeBlock(store, subject, now) {
+  const blocks = await store.clientBlocks.find({ subject, expiresAt: { $gte: now.toISOString() } });
+  return blocks.find(block => isActive(block, now)) || null;
+}
+
+// Let a checkout attempt through or throw a 429 HttpError whose details carry retryAfter
+// (seconds). Blocked clients are refused without counting the attempt.
+async function admitCheckout(store, client) {
+  const now = store.clock.now();
+
+  for (const subject of blockSubjectsFor(client)) {
+    const block = await activeBlock(store, subject, now);
+    if (block) {
+      logger.warn('Blocked checkout attempt', { subject, blockId: block.id });
+      throw new HttpError(429, 'Too many declined payments. Please try again later or contact us.', {
+        retryAfter: secondsUntil(block.expiresAt, now)
+      });
+    }
+  }
+
+  const checks = [
+    client.ip && { bucket: 'checkout', subject: `ip:${client.ip}`, ...limits.perIp },
+    client.email && { bucket: 'checkout', subject: `email:${client.email}`, ...limits.perEmail }
+  ].filter(Boolean);
+
+  for (const { bucket, subject, limit, windowMs } of checks) {
+    const { count, resetAt } = await hit(store, bucket, subject, { windowMs });
+    if (count > limit) {
+      logger.warn('Checkout rate limit exceeded', { subject, count, limit });
+      throw new HttpError(429, 'Too many checkout attempts. Please try again later.', {
+        retryAfter: secondsUntil(resetAt, now)
+      });
+    }
+  }
+}
+
+// Count a failed charge against the client's IP and block it once it reaches the threshold.
+// Resolves with the new blocks, if any.
+async function recordDecline(store, client, code) {
+  if (!DECLINE_CODES.includes(code)) {
+    return [];
+  }
+
+  const { threshold, windowMs, blockMs } = limits.declines;
+  const blocks = [];
+
+  for (const subject of blockSubjectsFor(client)) {
+    const { count } = await hit(store, 'declines', subject, { windowMs });
+    const now = store.clock.now();
+    if (count < threshold || await activeBlock(store, subject, now)) continue;
+
+    const block = await store.clientBlocks.insert({
+      subject,
+      reason: 'card_declines',
+      declines: count,
+      lastDeclineCode: code,
+      expiresAt: new Date(now.getTime() + blockMs).toISOString(),
+      createdAt: now.toISOString()
+    });
+    logger.warn('Checkout client blocked after declined payments', {
+      subject,
+      declines: count,
+      blockId: block.id,
+      expiresAt: block.expiresAt
+    });
+    blocks.push(block);
+  }
+
+  return blocks;
+}
+
+// Blocks still in force, newest first
+async function listBlocks(store) {
+  const now = store.clock.now();
+  const blocks = await store.clientBlocks.find(
+    { expiresAt: { $gte: now.toISOString() } },
+    { sort: { createdAt: -1 } }
+  );
+  return blocks.filter(block => isActive(block, now));
+}
+
+// Lift a block early. The client's decline count starts over so one more decline
+// doesn't block it again straight away.
+async function clearBlock(store, blockId, { actor }) {
+  const block = await store.clientBlocks.findById(blockId);
+  if (!block || !isActive(block, store.clock.now())) {
+    throw new HttpError(404, 'No active block with that id');
+  }
+
+  const cleared = await store.clientBlocks.update(block.id, {
+    clearedAt: store.clock.now().toISOString(),
+    clearedBy: actor
+  });
+
+  const counters = await store.rateLimitCounters.find({ bucket: 'declines', subject: block.subject });
+  for (const counter of counters) {
+    await store.rateLimitCounters.remove(counter.id);
+  }
+
+  return cleared;
+}
+
+module.exports = {
+  DECLINE_CODES,
+  admitCheckout,
+  recordDecline,
+  listBlocks,
+  clearBlock
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const HttpError = require('./httpError');
+const { toCents, fromCents } = require('./money');
+const { logger } = require('./logger');
+
+// Square refund statuses that never moved money back to the customer
+const UNSUCCESSFUL_STATUSES = ['FAILED', 'REJECTED'];
+
+function refundedCents(refunds = []) {
+  return refunds
+    .filter(refund => !UNSUCCESSFUL_STATUSES.includes(refund.status))
+    .reduce((sum, refund) => sum + toCents(refund.amount), 0);
+}
+
+function paymentStatusFor(amountPaid, refunds) {
+  const refunded = refundedCents(refunds);
+  if (refunded <= 0) return 'paid';
+  return refunded >= toCents(amountPaid) ? 'refunded' : 'partially_refunded';
+}
+
+// Square idempotency key for a refund of `orderId`. `requestKey` is the client's
+// Idempotency-Key; without one, requests made against the same refund history for the same
+// amount share a key, so a double-submitted form refunds the card once.
+function refundIdempotencyKey(orderId, { requestKey, refunds, amountCents }) {
+  const key = requestKey || `${refunds.length}:${amountCents}`;
+  return `refund-${crypto.createHash('sha256').update(`${orderId}:${key}`).digest('hex').slice(0, 32)}`;
+}
+
+exports.refundedCents = refundedCents;
+exports.paymentStatusFor = paymentStatusFor;
+
+// Refund part or all of a payment through the payment gateway. Omitting `amount` refunds whatever is left.
+// Resolves with the refund record to append to the order and the order's new payment status.
+exports.issueRefund = async (payments, { orderId, requestKey, paymentId, amountPaid, refunds = [], amount, reason, at }) => {
+  if (!paymentId) {
+    throw new HttpError(409, 'Order has no Square payment to refund');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new HttpError(400, 'A refund reason is required');
+  }
+
+  const remainingCents = toCents(amountPaid) - refundedCents(refunds);
+  if (remainingCents <= 0) {
+    throw new HttpError(409, 'Order has already been fully refunded');
+  }
+
+  const amountCents = amount === undefined ? remainingCents : toCents(amount);
+  if (!Number.isInteger(amountCents) || amountCents <= 0) {
+    throw new HttpError(400, 'Refund amount must be a positive number');
+  }
+  if (amountCents > remainingCents) {
+    throw new HttpError(400, `Refund amount exceeds refundable balance of $${fromCents(remainingCents).toFixed(2)}`);
+  }
+
+  let result;
+  try {
+    result = await payments.refund({
+      paymentId,
+      idempotencyKey: refundIdempotencyKey(orderId, { requestKey, refunds, amountCents }),
+      amountCents,
+      currency: 'USD',
+      reason: String(reason).trim()
+    });
+  } catch (paymentError) {
+    logger.warn('Refund rejected by payment provider', { paymentId, code: paymentError.code, reason: paymentError.message });
+    throw new HttpError(502, `Refund failed: ${paymentError.message}`, paymentError.details);
+  }
+
+  logger.info('Refund issued', { paymentId, refundId: result.id, status: result.status });
+
+  const refund = {
+    squareRefundId: result.id,
+    amount: fromCents(amountCents),
+    reason: String(reason).trim(),
+    status: result.status,
+    createdAt: at.toISOString()
+  };
+
+  return {
+    refund,
+    paymentStatus: paymentStatusFor(amountPaid, [...refunds, refund])
+  };
+};
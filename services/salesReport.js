@@ -0,0 +1,116 @@
+const HttpError = require('./httpError');
+const { toCents, fromCents } = require('./money');
+const { refundedCents } = require('./refundService');
+
+// Sales figures from orders that were actually paid. Revenue is what was charged
+// (items, shipping and tax, after discounts) with refunds netted out against the order
+// they belong to. Periods are in UTC.
+
+const GROUPINGS = ['day', 'week', 'month'];
+const SOLD_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded', 'disputed'];
+
+function periodKey(date, groupBy) {
+  const day = date.toISOString().slice(0, 10);
+  if (groupBy === 'day') return day;
+  if (groupBy === 'month') return day.slice(0, 7);
+
+  // Weeks start on Monday and are labelled by that date
+  const monday = new Date(`${day}T00:00:00.000Z`);
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+function emptyTotals() {
+  return { orders: 0, grossCents: 0, refundedCents: 0 };
+}
+
+function addTo(totals, grossCents, refundCents) {
+  totals.orders += 1;
+  totals.grossCents += grossCents;
+  totals.refundedCents += refundCents;
+}
+
+function summarize({ orders, grossCents, refundedCents: refunds }) {
+  const netCents = grossCents - refunds;
+  return {
+    orders,
+    grossRevenue: fromCents(grossCents),
+    refunds: fromCents(refunds),
+    netRevenue: fromCents(netCents),
+    averageOrderValue: orders ? fromCents(Math.round(netCents / orders)) : 0
+  };
+}
+
+// Feed orders in with add(), then read the report with result()
+function createSalesReport({ groupBy = 'day' } = {}) {
+  if (!GROUPINGS.includes(groupBy)) {
+    throw new HttpError(400, `groupBy must be one of: ${GROUPINGS.join(', ')}`);
+  }
+
+  const totals = emptyTotals();
+  const periods = new Map();
+  const states = new Map();
+  const products = new Map();
+
+  return {
+    add(order) {
+      if (!SOLD_PAYMENT_STATUSES.includes(order.paymentInfo.paymentStatus)) return;
+
+      const grossCents = toCents(order.paymentInfo.amount);
+      const refundCents = Math.min(refundedCents(order.refunds), grossCents);
+      const state = ((order.shippingAddress && order.shippingAddress.state) || order.customerInfo.state || 'UNKNOWN')
+        .toUpperCase();
+      const period = periodKey(new Date(order.createdAt), groupBy);
+
+      addTo(totals, grossCents, refundCents);
+      if (!periods.has(period)) periods.set(period, emptyTotals());
+      addTo(periods.get(period), grossCents, refundCents);
+      if (!states.has(state)) states.set(state, emptyTotals());
+      addTo(states.get(state), grossCents, refundCents);
+
+      // Spread the order's refunds over its lines in proportion to their value
+      const itemCents = order.items.reduce((sum, item) => sum + toCents(item.lineTotal || item.price * item.quantity), 0);
+      for (const item of order.items) {
+        const key = item.sku || item.name;
+        const lineCents = toCents(item.lineTotal || item.price * item.quantity);
+        const lineRefundCents = itemCents ? Math.round(refundCents * lineCents / itemCents) : 0;
+
+        if (!products.has(key)) {
+          products.set(key, { sku: item.sku || null, name: item.name, quantity: 0, grossCents: 0, refundedCents: 0 });
+        }
+        const product = products.get(key);
+        product.quantity += item.quantity;
+        product.grossCents += lineCents;
+        product.refundedCents += Math.min(lineRefundCents, lineCents);
+      }
+    },
+
+    result() {
+      return {
+        groupBy,
+        totals: summarize(totals),
+        periods: [...periods]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([period, values]) => ({ period, ...summarize(values) })),
+        byState: [...states]
+          .map(([state, values]) => ({ state, ...summarize(values) }))
+          .sort((a, b) => b.netRevenue - a.netRevenue),
+        byProduct: [...products.values()]
+          .map(({ sku, name, quantity, grossCents, refundedCents: refunds }) => ({
+            sku,
+            name,
+            quantity,
+            grossRevenue: fromCents(grossCents),
+            refunds: fromCents(refunds),
+            netRevenue: fromCents(grossCents - refunds)
+          }))
+          .sort((a, b) => b.netRevenue - a.netRevenue)
+      };
+    }
+  };
+}
+
+module.exports = {
+  GROUPINGS,
+  createSalesReport
+};
@@ -0,0 +1,149 @@
+// Small declarative validator for request bodies and query strings.
+//
+// A rule is a function (value, path, errors) => cleanedValue. It records problems in
+// `errors` keyed by field path (e.g. "customerInfo.zipCode", "items[0].quantity") and
+// returns the cleaned value: trimmed strings, numbers parsed from query strings, etc.
+// Empty values ('', null, undefined) count as missing.
+
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Wrap a check so every rule handles `required` and missing values the same way
+function rule(check, { required = false } = {}) {
+  return (value, path, errors) => {
+    if (isMissing(value)) {
+      if (required) errors[path] = 'is required';
+      return undefined;
+    }
+    return check(value, path, errors);
+  };
+}
+
+function string({ required, max = 255, pattern, message, values, transform } = {}) {
+  return rule((value, path, errors) => {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      errors[path] = 'must be text';
+      return undefined;
+    }
+    let text = String(value).trim();
+    if (transform) text = transform(text);
+
+    if (text.length > max) {
+      errors[path] = `must be at most ${max} characters`;
+    } else if (values && !values.includes(text)) {
+      errors[path] = `must be one of: ${values.join(', ')}`;
+    } else if (pattern && !pattern.test(text)) {
+      errors[path] = message || 'is not in the right format';
+    }
+    return text;
+  }, { required });
+}
+
+function integer({ required, min, max } = {}) {
+  return rule((value, path, errors) => {
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof number !== 'number' || !Number.isInteger(number)) {
+      errors[path] = 'must be a whole number';
+    } else if (min !== undefined && number < min) {
+      errors[path] = `must be at least ${min}`;
+    } else if (max !== undefined && number > max) {
+      errors[path] = `must be at most ${max}`;
+    }
+    return number;
+  }, { required });
+}
+
+// Dollar amounts with at most two decimal places
+function money({ required, min = 0 } = {}) {
+  return rule((value, path, errors) => {
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      errors[path] = 'must be an amount in dollars';
+    } else if (Math.abs(number * 100 - Math.round(number * 100)) > 1e-6) {
+      errors[path] = 'must have at most two decimal places';
+    } else if (number < min) {
+      errors[path] = `must be at least ${min}`;
+    }
+    return number;
+  }, { required });
+}
+
+function date({ required } = {}) {
+  return rule((value, path, errors) => {
+    if (Number.isNaN(new Date(value).getTime())) {
+      errors[path] = 'must be a date, e.g. 2026-10-31';
+    }
+    return String(value).trim();
+  }, { required });
+}
+
+// true/false, or the strings 'true'/'false' from a query string
+function boolean({ required } = {}) {
+  return rule((value, path, errors) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    errors[path] = 'must be true or false';
+    return undefined;
+  }, { required });
+}
+
+function array(itemRule, { required, min = 0, max = 100 } = {}) {
+  return rule((value, path, errors) => {
+    if (!Array.isArray(value)) {
+      errors[path] = 'must be a list';
+      return undefined;
+    }
+    if (value.length < min) {
+      errors[path] = `must have at least ${min} item${min === 1 ? '' : 's'}`;
+    } else if (value.length > max) {
+      errors[path] = `must have at most ${max} items`;
+    }
+    return value.map((item, index) => itemRule(item, `${path}[${index}]`, errors));
+  }, { required });
+}
+
+// Unknown keys are passed through untouched. `check(result, errors, path)` runs
+// cross-field rules after the fields themselves are valid.
+function object(shape, { required, check } = {}) {
+  return rule((value, path, errors) => {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      errors[path || 'body'] = 'must be an object';
+      return undefined;
+    }
+
+    const result = { ...value };
+    for (const [key, fieldRule] of Object.entries(shape)) {
+      const cleaned = fieldRule(value[key], path ? `${path}.${key}` : key, errors);
+      if (cleaned === undefined) {
+        delete result[key];
+      } else {
+        result[key] = cleaned;
+      }
+    }
+
+    if (check && !Object.keys(errors).some(field => !path || field.startsWith(`${path}.`))) {
+      check(result, errors, path);
+    }
+    return result;
+  }, { required });
+}
+
+// Run a schema against a value. Resolves to { value, errors } where errors is
+// { [fieldPath]: message } and empty when the value is valid.
+function validate(schema, value) {
+  const errors = {};
+  const cleaned = schema(value === undefined ? {} : value, '', errors);
+  return { value: cleaned, errors };
+}
+
+module.exports = {
+  string,
+  integer,
+  money,
+  date,
+  boolean,
+  array,
+  object,
+  validate
+};
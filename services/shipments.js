@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const HttpError = require('./httpError');
+const carriers = require('../config/carriers');
+const { normalizeSku } = require('./productCatalog');
+
+// An order ships in one or more shipments (boxes), each with its own carrier, tracking
+// number and the line quantities packed in it. order.fulfillmentStatus rolls up from them:
+// unfulfilled until the first box goes out, partially_fulfilled while anything is left to
+// ship, fulfilled once every line has shipped. Order lines are matched by SKU (by name for
+// old orders without one), ignoring case and surrounding spaces.
+
+const FULFILLMENT_STATUSES = ['unfulfilled', 'partially_fulfilled', 'fulfilled'];
+
+// Orders whose goods may go out; shipped is included for orders marked shipped before
+// shipments were recorded
+const SHIPPABLE_STATUSES = ['paid', 'processing', 'fulfilled', 'shipped'];
+
+function lineKey(item) {
+  return normalizeSku(item.sku || item.name);
+}
+
+function findCarrier(carrier) {
+  return carriers[String(carrier || '').toLowerCase().replace(/[^a-z0-9]/g, '')] || null;
+}
+
+// Display name for a carrier: ours for known carriers, otherwise what staff typed
+function carrierName(carrier) {
+  const known = findCarrier(carrier);
+  return known ? known.name : carrier;
+}
+
+// Public tracking page for a shipment, or null for carriers we have no link for
+function trackingUrl(carrier, trackingNumber) {
+  const known = findCarrier(carrier);
+  if (!known || !trackingNumber) return null;
+  return known.trackingUrl.replace('{trackingNumber}', encodeURIComponent(trackingNumber));
+}
+
+// Quantity still to ship per order line: Map of lineKey -> { sku, name, quantity }
+function remainingQuantities(order) {
+  const remaining = new Map();
+  for (const item of order.items || []) {
+    const key = lineKey(item);
+    const line = remaining.get(key) || { sku: item.sku, name: item.name, quantity: 0 };
+    line.quantity += item.quantity;
+    remaining.set(key, line);
+  }
+  for (const shipment of order.shipments || []) {
+    for (const item of shipment.items) {
+      const line = remaining.get(lineKey(item));
+      if (line) line.quantity -= item.quantity;
+    }
+  }
+  return remaining;
+}
+
+// Order lines with something left to ship, as [{ sku, name, quantity }]
+function unshippedItems(order) {
+  return [...remainingQuantities(order).values()].filter(line => line.quantity > 0);
+}
+
+function fulfillmentStatusFor(order) {
+  if (!order.shipments || order.shipments.length === 0) return 'unfulfilled';
+  const lines = [...remainingQuantities(order).values()];
+  return lines.every(line => line.quantity <= 0) ? 'fulfilled' : 'partially_fulfilled';
+}
+
+// Validate a new shipment for `order` and build it. `items` ([{ sku, quantity }]) defaults to
+// everything not yet shipped. Returns the shipment and the order fields to write.
+// Throws a 409 if the order can't ship and a 400 (details.fields) for bad quantities.
+function planShipment(order, { carrier, trackingNumber, items, shippedAt, notes, actor, at }) {
+  if (!SHIPPABLE_STATUSES.includes(order.orderStatus)) {
+    throw new HttpError(409, `Cannot ship an order that is ${order.orderStatus}`);
+  }
+
+  const remaining = remainingQuantities(order);
+  const contents = items && items.length > 0 ? items : unshippedItems(order);
+
+  if (contents.length === 0) {
+    throw new HttpError(409, 'Every item on this order has already shipped');
+  }
+
+  const fields = {};
+  const packed = [];
+  contents.forEach((item, index) => {
+    const line = remaining.get(lineKey(item));
+    if (!line) {
+      fields[`items[${index}].sku`] = 'is not on this order';
+    } else if (item.quantity > line.quantity) {
+      fields[`items[${index}].quantity`] = `only ${Math.max(line.quantity, 0)} left to ship`;
+    } else {
+      // Counted down so the same SKU listed twice can't exceed what's left
+      line.quantity -= item.quantity;
+      packed.push({ sku: line.sku, name: line.name, quantity: item.quantity });
+    }
+  });
+
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, 'Invalid shipment', { fields });
+  }
+
+  const shipment = {
+    id: crypto.randomBytes(8).toString('hex'),
+    carrier: carrierName(carrier),
+    trackingNumber,
+    trackingUrl: trackingUrl(carrier, trackingNumber),
+    items: packed,
+    status: 'shipped',
+    shippedAt: new Date(shippedAt || at).toISOString(),
+    deliveredAt: null,
+    notes: notes || '',
+    createdBy: actor || 'system'
+  };
+
+  const shipments = [...(order.shipments || []), shipment];
+
+  return {
+    shipment,
+    changes: {
+      shipments,
+      fulfillmentStatus: fulfillmentStatusFor({ ...order, shipments }),
+      // The latest box, for the order list, CSV export and older clients
+      trackingNumber: shipment.trackingNumber,
+      carrier: shipment.carrier
+    }
+  };
+}
+
+// Mark shipments delivered. Returns the updated shipments array; `shipmentId`
+// picks one, otherwise every shipment still in transit is marked.
+function markDelivered(order, { shipmentId, deliveredAt }) {
+  const shipments = order.shipments || [];
+
+  if (shipmentId) {
+    const shipment = shipments.find(s => s.id === shipmentId);
+    if (!shipment) {
+      throw new HttpError(404, 'Shipment not found');
+    }
+    if (shipment.status === 'delivered') {
+      throw new HttpError(409, 'Shipment is already marked delivered');
+    }
+  }
+
+  const at = new Date(deliveredAt).toISOString();
+  return shipments.map(shipment =>
+    shipment.status !== 'delivered' && (!shipmentId || shipment.id === shipmentId)
+      ? { ...shipment, status: 'delivered', deliveredAt: at }
+      : shipment
+  );
+}
+
+module.exports = {
+  FULFILLMENT_STATUSES,
+  carrierName,
+  trackingUrl,
+  unshippedItems,
+  fulfillmentStatusFor,
+  planShipment,
+  markDelivered
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { fromCents } = require('./money');
+const { paymentStatusFor } = require('./refundService');
+
+// Header Square puts the HMAC-SHA256 signature in
+const SIGNATURE_HEADER = 'x-square-hmacsha256-signature';
+
+// Square payment status -> our paymentStatus
+const PAYMENT_STATUSES = {
+  APPROVED: 'pending',
+  PENDING: 'pending',
+  COMPLETED: 'paid',
+  CANCELED: 'failed',
+  FAILED: 'failed'
+};
+
+// How far along a payment is. Square doesn't deliver events in order, so a payment event
+// never moves an order to a lower rank: a late APPROVED after COMPLETED, or a late COMPLETED
+// after a refund, is ignored.
+const PAYMENT_STATUS_RANK = {
+  pending: 0,
+  failed: 1,
+  paid: 2,
+  partially_refunded: 3,
+  disputed: 3,
+  refunded: 4
+};
+
+// Square signs the notification URL followed by the raw request body
+function signPayload(body, signatureKey, notificationUrl) {
+  return crypto
+    .createHmac('sha256', signatureKey)
+    .update(notificationUrl + body)
+    .digest('base64');
+}
+
+function verifySignature({ body, signature, signatureKey, notificationUrl }) {
+  if (!signature || !signatureKey) return false;
+
+  const expected = Buffer.from(signPayload(body, signatureKey, notificationUrl));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Check an incoming Express request; needs the raw body captured by express.json's `verify` hook.
+// SQUARE_WEBHOOK_URL must match the notification URL registered with Square when behind a proxy.
+function verifyRequest(req) {
+  return verifySignature({
+    body: req.rawBody ? req.rawBody.toString('utf8') : '',
+    signature: req.get(SIGNATURE_HEADER),
+    signatureKey: process.env.SQUARE_WEBHOOK_SIGNATURE_KEY,
+    notificationUrl: process.env.SQUARE_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`
+  });
+}
+
+// Reduce a Square event to the payment it concerns and what changed.
+// Returns null for event types we don't reconcile. `at` dates refunds Square sent without one.
+function describeEvent(event, { at }) {
+  const object = (event && event.data && event.data.object) || {};
+
+  if (event.type === 'payment.created' || event.type === 'payment.updated') {
+    const payment = object.payment || {};
+    const paymentStatus = PAYMENT_STATUSES[payment.status];
+    return paymentStatus ? { kind: 'payment', paymentId: payment.id, paymentStatus } : null;
+  }
+
+  if (event.type === 'refund.created' || event.type === 'refund.updated') {
+    const refund = object.refund || {};
+    return {
+      kind: 'refund',
+      paymentId: refund.payment_id,
+      refund: {
+        squareRefundId: refund.id,
+        amount: fromCents((refund.amount_money && refund.amount_money.amount) || 0),
+        reason: refund.reason || 'Refunded in Square',
+        status: refund.status,
+        createdAt: refund.created_at || at.toISOString()
+      }
+    };
+  }
+
+  if (event.type === 'dispute.created' || event.type === 'dispute.state.updated' || event.type === 'dispute.state.changed') {
+    const dispute = object.dispute || {};
+    const paymentId = (dispute.disputed_payment && dispute.disputed_payment.payment_id) || dispute.payment_id;
+    const paymentStatus = dispute.state === 'WON'
+      ? 'paid'
+      : ['LOST', 'ACCEPTED'].includes(dispute.state) ? 'refunded' : 'disputed';
+    return {
+      kind: 'dispute',
+      paymentId,
+      paymentStatus,
+      dispute: {
+        squareDisputeId: dispute.id,
+        state: dispute.state,
+        reason: dispute.reason,
+        amount: fromCents((dispute.amount_money && dispute.amount_money.amount) || 0),
+        updatedAt: dispute.updated_at || dispute.created_at || at.toISOString()
+      }
+    };
+  }
+
+  return null;
+}
+
+// Work out an order's new payment state after an event. `current` is
+// { paymentStatus, amountPaid, refunds, disputes }; returns { paymentStatus, refunds, disputes }.
+// A lost or accepted dispute leaves the order refunded with no refund record: the money went
+// back through the card network, and the dispute kept in `disputes` says so.
+function applyEvent(change, current) {
+  const refunds = current.refunds || [];
+  const disputes = current.disputes || [];
+
+  if (change.kind === 'dispute') {
+    const others = disputes.filter(d => d.squareDisputeId !== change.dispute.squareDisputeId);
+    const nextDisputes = [...others, change.dispute];
+    // A won dispute leaves any earlier refunds in place
+    const paymentStatus = change.paymentStatus === 'paid'
+      ? paymentStatusFor(current.amountPaid, refunds)
+      : change.paymentStatus;
+    return { paymentStatus, refunds, disputes: nextDisputes };
+  }
+
+  if (change.kind === 'refund') {
+    const existing = refunds.find(r => r.squareRefundId === change.refund.squareRefundId);
+    const nextRefunds = existing
+      ? refunds.map(r => (r === existing ? { ...r, status: change.refund.status } : r))
+      : [...refunds, change.refund];
+    return {
+      paymentStatus: paymentStatusFor(current.amountPaid, nextRefunds),
+      refunds: nextRefunds,
+      disputes
+    };
+  }
+
+  if (change.kind === 'payment' &&
+      PAYMENT_STATUS_RANK[change.paymentStatus] < (PAYMENT_STATUS_RANK[current.paymentStatus] || 0)) {
+    return { paymentStatus: current.paymentStatus, refunds, disputes };
+  }
+
+  return { paymentStatus: change.paymentStatus, refunds, disputes };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  verifySignature,
+  verifyRequest,
+  describeEvent,
+  applyEvent
+};
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+const { buildAdmin } = require('../admin/adminSetup');
+
+// The panel itself needs MongoDB; its order actions are driven here the way AdminJS calls them
+test('admin panel order actions', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, payments, checkout, loginAs } = server;
+
+  const { admin } = buildAdmin(store, { payments });
+  const { actions } = admin.options.resources[0].options;
+
+  const staff = {
+    viewer: { email: 'viewer@mandhdistributions.com', role: 'viewer' },
+    fulfillment: { email: 'fulfillment@mandhdistributions.com', role: 'fulfillment' },
+    admin: { email: 'admin@mandhdistributions.com', role: 'admin' }
+  };
+
+  function recordOf(order) {
+    return {
+      id: () => order.id,
+      param: key => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), order),
+      toJSON: () => ({ id: order.id, params: order })
+    };
+  }
+
+  const resource = {
+    id: () => 'Order',
+    findOne: async id => recordOf(await store.orders.findById(id))
+  };
+  const h = {
+    recordActionUrl: ({ resourceId, recordId, actionName }) => `/admin/resources/${resourceId}/records/${recordId}/${actionName}`
+  };
+
+  async function runAction(name, order, { method = 'post', payload, as = staff.admin } = {}) {
+    const context = { record: recordOf(order), resource, currentAdmin: as, h };
+    return actions[name].handler({ method, payload }, {}, context);
+  }
+
+  async function placeOrder() {
+    const { body } = await request('POST', '/api/orders', { body: checkout() });
+    return body.order;
+  }
+
+  async function startPacking(order) {
+    const { body } = await request('PATCH', `/api/orders/${order.id}/status`, {
+      token: await loginAs('fulfillment'),
+      body: { status: 'processing' }
+    });
+    return body.order;
+  }
+
+  await t.test('marks an order shipped from the form and records who did it', async () => {
+    const order = await startPacking(await placeOrder());
+
+    const form = await runAction('markShipped', order, { method: 'get' });
+    assert.strictEqual(form.notice, undefined);
+    assert.strictEqual((await store.orders.findById(order.id)).orderStatus, 'processing');
+
+    const result = await runAction('markShipped', order, {
+      payload: { trackingNumber: '1Z999AA10123456784', carrier: 'UPS' },
+      as: staff.fulfillment
+    });
+    assert.deepStrictEqual(result.notice, { message: 'Order marked shipped (1Z999AA10123456784)', type: 'success' });
+    assert.strictEqual(result.redirectUrl, `/admin/resources/Order/records/${order.id}/show`);
+
+    const saved = await store.orders.findById(order.id);
+    assert.strictEqual(saved.orderStatus, 'shipped');
+    assert.strictEqual(saved.statusHistory.at(-1).actor, staff.fulfillment.email);
+  });
+
+  await t.test('only offers the transitions the lifecycle allows', async () => {
+    const order = await placeOrder();
+    assert.strictEqual(actions.markShipped.isVisible({ record: recordOf(order) }), false);
+    assert.strictEqual(actions.markShipped.isVisible({ record: recordOf(await startPacking(order)) }), true);
+
+    await runAction('cancelOrder', order);
+    const cancelled = await store.orders.findById(order.id);
+    assert.strictEqual(cancelled.orderStatus, 'cancelled');
+    assert.strictEqual(actions.markShipped.isVisible({ record: recordOf(cancelled) }), false);
+    assert.strictEqual(actions.cancelOrder.isVisible({ record: recordOf(cancelled) }), false);
+  });
+
+  await t.test('reports a failed action as an error notice', async () => {
+    const order = await placeOrder();
+    await runAction('cancelOrder', order);
+
+    const result = await runAction('markShipped', order, { payload: { trackingNumber: '1Z999AA10123456784' } });
+    assert.strictEqual(result.notice.type, 'error');
+    assert.strictEqual(result.redirectUrl, undefined);
+    assert.strictEqual((await store.orders.findById(order.id)).orderStatus, 'cancelled');
+  });
+
+  await t.test('refunds the remaining balance when no amount is given', async () => {
+    const order = await placeOrder();
+
+    const result = await runAction('refund', order, { payload: { amount: '', reason: 'Damaged in transit' } });
+    assert.deepStrictEqual(result.notice, { message: 'Refunded $33.76', type: 'success' });
+    assert.strictEqual((await store.orders.findById(order.id)).paymentInfo.paymentStatus, 'refunded');
+  });
+
+  await t.test('keeps each action to the roles allowed to run it', async () => {
+    const access = role => Object.fromEntries(['markShipped', 'cancelOrder', 'refund', 'edit']
+      .map(name => [name, actions[name].isAccessible({ currentAdmin: staff[role] })]));
+
+    assert.deepStrictEqual(access('viewer'), { markShipped: false, cancelOrder: false, refund: false, edit: false });
+    assert.deepStrictEqual(access('fulfillment'), { markShipped: true, cancelOrder: true, refund: false, edit: false });
+    assert.deepStrictEqual(access('admin'), { markShipped: true, cancelOrder: true, refund: true, edit: true });
+    assert.strictEqual(actions.delete.isAccessible, false);
+  });
+});
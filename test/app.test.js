@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+test('apps built in the same process', async (t) => {
+  const first = await startTestServer();
+  const second = await startTestServer();
+  t.after(() => Promise.all([first.close(), second.close()]));
+
+  await t.test('keep their own product catalog', async () => {
+    const admin = await first.loginAs('admin');
+    const created = await first.request('POST', '/api/admin/products', {
+      token: admin,
+      body: { sku: 'POT-300', name: 'Teapot', price: 30 }
+    });
+    assert.strictEqual(created.status, 201);
+
+    const { body } = await second.request('GET', '/api/products');
+    assert.ok(!body.products.some(product => product.sku === 'POT-300'));
+  });
+
+  await t.test('send email through their own mailer', async () => {
+    const { body } = await first.request('POST', '/api/orders', { body: first.checkout() });
+
+    // Confirmations go out in the background
+    for (let wait = 0; wait < 50; wait++) {
+      const [message] = await first.store.outbox.find({ orderId: body.orderId });
+      if (message.status === 'sent') break;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    assert.strictEqual(first.mailer.sent.length, 1);
+    assert.strictEqual(second.mailer.sent.length, 0);
+  });
+
+  await t.test('stamp records with their own clock', async () => {
+    first.clock.set('2026-01-05T08:00:00.000Z');
+    second.clock.set('2026-09-20T08:00:00.000Z');
+
+    const { body } = await first.request('POST', '/api/orders', { body: first.checkout() });
+    assert.strictEqual(body.order.createdAt, '2026-01-05T08:00:00.000Z');
+    assert.strictEqual((await first.payments.getPayment(body.paymentId)).createdAt, '2026-01-05T08:00:00.000Z');
+  });
+});
@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, CUSTOMER } = require('./helpers');
+const { runMaintenance } = require('../services/maintenance');
+
+test('checkout', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, payments, clock, checkout, loginAs } = server;
+
+  async function quoteFor(items = [{ sku: 'TEA-100', quantity: 2 }]) {
+    const { body } = await request('POST', '/api/checkout/quote', {
+      body: { items, customerDetails: { state: 'CA', zipCode: '94607' } }
+    });
+    return body;
+  }
+
+  await t.test('charges exactly the quoted total and saves a paid order', async () => {
+    const quote = await request('POST', '/api/checkout/quote', {
+      body: { items: [{ sku: 'TEA-100', quantity: 2 }], customerDetails: { state: 'CA', zipCode: '94607' } }
+    });
+    assert.strictEqual(quote.status, 200);
+    assert.strictEqual(quote.body.quote.subtotal, 25);
+    assert.strictEqual(quote.body.quote.shipping, 6.95);
+    assert.strictEqual(quote.body.quote.tax, 1.81);
+    assert.strictEqual(quote.body.quote.total, 33.76);
+
+    const { status, body } = await request('POST', '/api/orders', {
+      body: checkout({ quoteToken: quote.body.quoteToken })
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.orderTotal, 33.76);
+    assert.strictEqual(body.order.orderStatus, 'paid');
+    assert.strictEqual(body.order.paymentInfo.paymentStatus, 'paid');
+    assert.match(body.order.orderNumber, /^MHD-20260302-/);
+
+    const payment = await payments.getPayment(body.paymentId);
+    assert.strictEqual(payment.amountCents, 3376);
+
+    const saved = await store.orders.findById(body.orderId);
+    assert.deepStrictEqual(saved.items.map(({ sku, quantity }) => ({ sku, quantity })), [{ sku: 'TEA-100', quantity: 2 }]);
+
+    const [confirmation] = await store.outbox.find({ orderId: body.orderId });
+    assert.strictEqual(confirmation.kind, 'order_confirmation');
+    assert.strictEqual(confirmation.to, CUSTOMER.email);
+  });
+
+  await t.test('charges the new total when prices changed since the quote', async () => {
+    const admin = await loginAs('admin');
+    const { quoteToken } = await quoteFor();
+    await request('PATCH', '/api/admin/products/TEA-100', { token: admin, body: { price: 13 } });
+
+    try {
+      const { status, body } = await request('POST', '/api/orders', { body: checkout({ quoteToken }) });
+      assert.strictEqual(status, 409);
+      assert.strictEqual(body.details.quote.subtotal, 26);
+    } finally {
+      await request('PATCH', '/api/admin/products/TEA-100', { token: admin, body: { price: 12.5 } });
+    }
+  });
+
+  await t.test('refuses a quote for a different cart', async () => {
+    const { quoteToken } = await quoteFor([{ sku: 'MUG-200', quantity: 1 }]);
+    const { status } = await request('POST', '/api/orders', { body: checkout({ quoteToken }) });
+    assert.strictEqual(status, 400);
+  });
+
+  await t.test('keeps quote tokens and staff logins apart', async () => {
+    const { quoteToken } = await quoteFor();
+    const asStaff = await request('GET', '/api/orders', { token: quoteToken });
+    assert.strictEqual(asStaff.status, 401);
+
+    const staffToken = await loginAs('viewer');
+    const asQuote = await request('POST', '/api/orders', { body: checkout({ quoteToken: staffToken }) });
+    assert.strictEqual(asQuote.status, 400);
+    assert.match(asQuote.body.error, /Quote is invalid/);
+  });
+
+  await t.test('reports a declined card and saves nothing', async () => {
+    const before = await store.orders.count();
+
+    const { status, body } = await request('POST', '/api/orders', {
+      body: checkout({ paymentToken: 'fake-card-declined' })
+    });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+    assert.strictEqual(body.code, 'CARD_DECLINED');
+    assert.strictEqual(await store.orders.count(), before);
+  });
+
+  await t.test('replays a retried checkout instead of charging twice', async () => {
+    const before = await store.orders.count();
+    const options = { body: checkout(), headers: { 'Idempotency-Key': 'checkout-retry-1' } };
+
+    const first = await request('POST', '/api/orders', options);
+    const retry = await request('POST', '/api/orders', options);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(retry.status, 200);
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+    assert.strictEqual(retry.body.orderId, first.body.orderId);
+    assert.strictEqual(await store.orders.count(), before + 1);
+  });
+
+  await t.test('saves the order when a checkout is retried after a payment timeout', async (t) => {
+    const before = await store.orders.count();
+    const paymentsBefore = (await payments.listPayments({})).length;
+    const charge = t.mock.method(payments, 'charge');
+    const options = { body: checkout({ paymentToken: 'fake-timeout' }), headers: { 'Idempotency-Key': 'checkout-timeout-1' } };
+
+    const first = await request('POST', '/api/orders', options);
+    assert.strictEqual(first.status, 504);
+    assert.strictEqual(first.body.code, 'TIMEOUT');
+
+    const retry = await request('POST', '/api/orders', options);
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), null);
+    assert.strictEqual(charge.mock.callCount(), 2);
+    assert.strictEqual(
+      charge.mock.calls[1].arguments[0].idempotencyKey,
+      charge.mock.calls[0].arguments[0].idempotencyKey,
+      'the retry reuses the Square idempotency key'
+    );
+
+    // The first attempt charged the card; the retry picks up that payment and saves the order
+    assert.strictEqual(retry.status, 200);
+    assert.strictEqual(await store.orders.count(), before + 1);
+    assert.strictEqual((await payments.listPayments({})).length, paymentsBefore + 1, 'the card is charged once');
+    assert.strictEqual((await store.orders.findById(retry.body.orderId)).paymentInfo.squarePaymentToken, retry.body.paymentId);
+  });
+
+  await t.test('replays a charged checkout whose order could not be saved instead of running it again', async (t) => {
+    // Start a fresh per-email checkout limit window
+    clock.advance(11 * 60 * 1000);
+    t.mock.method(store.orders, 'create', async () => {
+      throw new Error('disk full');
+    });
+    const charge = t.mock.method(payments, 'charge');
+    const options = { body: checkout(), headers: { 'Idempotency-Key': 'checkout-unsaved-1' } };
+
+    const first = await request('POST', '/api/orders', options);
+    assert.strictEqual(first.status, 500);
+    assert.ok(first.body.paymentId);
+
+    const retry = await request('POST', '/api/orders', options);
+    assert.strictEqual(retry.status, 500);
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+    assert.strictEqual(retry.body.paymentId, first.body.paymentId);
+    assert.strictEqual(charge.mock.callCount(), 1);
+  });
+
+  await t.test('drops expired Idempotency-Keys', async () => {
+    await request('POST', '/api/orders', { body: checkout(), headers: { 'Idempotency-Key': 'checkout-old-1' } });
+    assert.ok(await store.idempotencyKeys.findOne({ key: 'checkout-old-1' }));
+
+    clock.advance(25 * 60 * 60 * 1000);
+    const removed = await runMaintenance(store);
+    assert.ok(removed.idempotencyKeys >= 1);
+    assert.strictEqual(await store.idempotencyKeys.findOne({ key: 'checkout-old-1' }), null);
+  });
+
+  await t.test('rejects an incomplete checkout with every bad field', async () => {
+    const { status, body } = await request('POST', '/api/orders', {
+      body: checkout({ items: [{ sku: 'TEA-100', quantity: 0 }], customerInfo: { ...CUSTOMER, zipCode: 'abc' } })
+    });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'Invalid request');
+    assert.deepStrictEqual(Object.keys(body.fields).sort(), ['customerInfo.zipCode', 'items[0].quantity']);
+  });
+});
+
+test('free shipping threshold setting', async (t) => {
+  const configPath = require.resolve('../config/checkout');
+  const loaded = require.cache[configPath];
+  const original = process.env.FREE_SHIPPING_THRESHOLD;
+  t.after(() => {
+    require.cache[configPath] = loaded;
+    if (original === undefined) delete process.env.FREE_SHIPPING_THRESHOLD;
+    else process.env.FREE_SHIPPING_THRESHOLD = original;
+  });
+
+  // Read config/checkout.js fresh with FREE_SHIPPING_THRESHOLD set to `value`
+  function thresholdFor(value) {
+    if (value === undefined) delete process.env.FREE_SHIPPING_THRESHOLD;
+    else process.env.FREE_SHIPPING_THRESHOLD = value;
+    delete require.cache[configPath];
+    return require(configPath).shipping.freeShippingThreshold;
+  }
+
+  assert.strictEqual(thresholdFor(undefined), 100);
+  assert.strictEqual(thresholdFor('0'), 0, 'zero ships every order free');
+  assert.strictEqual(thresholdFor('49.5'), 49.5);
+  assert.strictEqual(thresholdFor(''), null, 'empty disables free shipping');
+  assert.throws(() => thresholdFor('free'), /FREE_SHIPPING_THRESHOLD/);
+  assert.throws(() => thresholdFor('-5'), /FREE_SHIPPING_THRESHOLD/);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.CHECKOUT_IP_LIMIT = '6';
+process.env.CHECKOUT_EMAIL_LIMIT = '4';
+process.env.CARD_DECLINE_THRESHOLD = '3';
+// Lets a test pose as another client with X-Forwarded-For
+process.env.TRUST_PROXY = '1';
+
+const { startTestServer, CUSTOMER } = require('./helpers');
+const { logger } = require('../services/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+test('checkout rate limits and card-testing blocks', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, clock, checkout, loginAs } = server;
+  const admin = await loginAs('admin');
+
+  const checkoutAs = (email, options = {}, { ip } = {}) => request('POST', '/api/orders', {
+    body: checkout({ customerInfo: { ...CUSTOMER, email }, ...options }),
+    headers: ip ? { 'X-Forwarded-For': ip } : {}
+  });
+
+  // Every subtest starts in fresh rate limit windows
+  t.beforeEach(() => clock.advance(2 * HOUR));
+
+  await t.test('limits checkout attempts per email', async () => {
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      const { status } = await checkoutAs('limit@example.com');
+      assert.strictEqual(status, 200);
+    }
+
+    const limited = await checkoutAs('limit@example.com');
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.success, false);
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 600, `Retry-After ${retryAfter}`);
+    assert.strictEqual(limited.body.retryAfter, retryAfter);
+
+    // Another customer on the same connection is still fine
+    assert.strictEqual((await checkoutAs('other@example.com')).status, 200);
+
+    clock.advance(retryAfter * 1000);
+    assert.strictEqual((await checkoutAs('limit@example.com')).status, 200);
+  });
+
+  await t.test('limits checkout attempts per IP, including invalid ones', async () => {
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      const { status } = await request('POST', '/api/orders', { body: { paymentToken: 'x' } });
+      assert.strictEqual(status, 400);
+    }
+
+    const limited = await checkoutAs(`fresh@example.com`);
+    assert.strictEqual(limited.status, 429);
+    assert.ok(limited.headers.get('retry-after'));
+  });
+
+  await t.test('blocks a client after repeated declines until an admin clears it', async () => {
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const { body } = await checkoutAs(`tester${attempt}@example.com`, { paymentToken: 'fake-card-declined' });
+      assert.strictEqual(body.code, 'CARD_DECLINED');
+    }
+
+    // The IP hit the threshold, so even a good card from a new email is refused
+    const blocked = await checkoutAs('genuine@example.com');
+    assert.strictEqual(blocked.status, 429);
+    assert.match(blocked.body.error, /declined payments/);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 3600);
+
+    const list = await request('GET', '/api/admin/blocks', { token: admin });
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.blocks.map(block => block.subject), ['ip:127.0.0.1']);
+    assert.strictEqual(list.body.blocks[0].declines, 3);
+
+    const cleared = await request('DELETE', `/api/admin/blocks/${list.body.blocks[0].id}`, { token: admin });
+    assert.strictEqual(cleared.status, 200);
+    assert.strictEqual(cleared.body.block.clearedBy, 'admin@mandhdistributions.com');
+
+    assert.strictEqual((await checkoutAs('genuine@example.com')).status, 200);
+    assert.strictEqual((await request('GET', '/api/admin/blocks', { token: admin })).body.count, 0);
+  });
+
+  await t.test("does not lock a customer out over declines from someone else's IP", async () => {
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const { body } = await checkoutAs('victim@example.com', { paymentToken: 'fake-card-declined' }, { ip: '203.0.113.7' });
+      assert.strictEqual(body.code, 'CARD_DECLINED');
+    }
+    const attacker = await checkoutAs('victim@example.com', {}, { ip: '203.0.113.7' });
+    assert.strictEqual(attacker.status, 429);
+
+    const victim = await checkoutAs('victim@example.com', {}, { ip: '198.51.100.20' });
+    assert.strictEqual(victim.status, 200);
+
+    const { body } = await request('GET', '/api/admin/blocks', { token: admin });
+    assert.deepStrictEqual(body.blocks.map(block => block.subject), ['ip:203.0.113.7']);
+    await request('DELETE', `/api/admin/blocks/${body.blocks[0].id}`, { token: admin });
+  });
+
+  await t.test('only admins can see and clear blocks', async () => {
+    const viewer = await loginAs('viewer');
+    assert.strictEqual((await request('GET', '/api/admin/blocks', { token: viewer })).status, 403);
+    assert.strictEqual((await request('DELETE', '/api/admin/blocks/nope', { token: admin })).status, 404);
+  });
+});
+
+test('warns at startup when TRUST_PROXY is not set', async (t) => {
+  const warn = t.mock.method(logger, 'warn');
+  const trustProxyWarnings = () => warn.mock.calls.filter(call => /TRUST_PROXY/.test(call.arguments[0])).length;
+
+  const configured = await startTestServer();
+  await configured.close();
+  assert.strictEqual(trustProxyWarnings(), 0);
+
+  const unset = await startTestServer({ config: { trustProxy: '' } });
+  await unset.close();
+  assert.strictEqual(trustProxyWarnings(), 1);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, CUSTOMER } = require('./helpers');
+
+test('customer accounts', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, clock, checkout, loginAs } = server;
+
+  clock.set('2026-05-01T12:00:00.000Z');
+  const first = await request('POST', '/api/orders', { body: checkout() });
+
+  // Same buyer, different capitalisation, shipping somewhere new
+  clock.set('2026-05-08T12:00:00.000Z');
+  const second = await request('POST', '/api/orders', {
+    body: checkout({
+      items: [{ sku: 'MUG-200', quantity: 1 }],
+      customerInfo: { ...CUSTOMER, email: 'Dana@Example.com', address: '400 Harbor Way' }
+    })
+  });
+
+  await request('POST', '/api/orders', {
+    body: checkout({ customerInfo: { ...CUSTOMER, email: 'sam@example.com', firstName: 'Sam' } })
+  });
+
+  const viewer = await loginAs('viewer');
+  const admin = await loginAs('admin');
+
+  await t.test('attaches orders from the same email to one customer', async () => {
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(second.status, 200);
+    assert.ok(first.body.order.customerId);
+    assert.strictEqual(second.body.order.customerId, first.body.order.customerId);
+    assert.strictEqual(await store.customers.count({}), 2);
+  });
+
+  await t.test('saves each shipping address, most recent first', async () => {
+    const { status, body } = await request('GET', `/api/customers/${first.body.order.customerId}`, { token: viewer });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.customer.email, 'dana@example.com');
+    assert.strictEqual(body.customer.lastOrderAt, '2026-05-08T12:00:00.000Z');
+    assert.deepStrictEqual(body.customer.addresses.map(address => address.address), ['400 Harbor Way', '12 Market St']);
+  });
+
+  await t.test('finds customers by email', async () => {
+    const { body } = await request('GET', '/api/customers?email=SAM@example.com', { token: viewer });
+    assert.strictEqual(body.total, 1);
+    assert.strictEqual(body.customers[0].firstName, 'Sam');
+  });
+
+  await t.test('lists order history with lifetime value net of refunds', async () => {
+    const customerId = first.body.order.customerId;
+    await request('POST', `/api/orders/${first.body.order.id}/refunds`, {
+      token: admin,
+      body: { amount: 5, reason: 'Dented tin' }
+    });
+
+    const { status, body } = await request('GET', `/api/customers/${customerId}/orders`, { token: viewer });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.orderCount, 2);
+    assert.deepStrictEqual(body.orders.map(order => order.id), [second.body.order.id, first.body.order.id]);
+
+    const expected = Math.round((first.body.orderTotal + second.body.orderTotal - 5) * 100) / 100;
+    assert.strictEqual(body.lifetimeValue, expected);
+  });
+
+  await t.test('returns 404 for unknown customers', async () => {
+    const { status } = await request('GET', '/api/customers/nope/orders', { token: viewer });
+    assert.strictEqual(status, 404);
+  });
+
+  await t.test('links a customer to a Square Customer record once', async () => {
+    const customerId = first.body.order.customerId;
+
+    const denied = await request('POST', `/api/customers/${customerId}/square-customer`, { token: viewer });
+    assert.strictEqual(denied.status, 403);
+
+    const linked = await request('POST', `/api/customers/${customerId}/square-customer`, { token: admin });
+    assert.strictEqual(linked.status, 200);
+    assert.match(linked.body.customer.squareCustomerId, /^fakecustomer_/);
+
+    const again = await request('POST', `/api/customers/${customerId}/square-customer`, { token: admin });
+    assert.strictEqual(again.body.customer.squareCustomerId, linked.body.customer.squareCustomerId);
+  });
+});
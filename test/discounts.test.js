@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, CUSTOMER } = require('./helpers');
+
+test('discount codes', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, checkout, loginAs } = server;
+
+  const admin = await loginAs('admin');
+  const viewer = await loginAs('viewer');
+
+  async function createCode(settings) {
+    const { status, body } = await request('POST', '/api/admin/discounts', { token: admin, body: settings });
+    assert.strictEqual(status, 201);
+    return body.code;
+  }
+
+  function order(discountCode, overrides = {}) {
+    return request('POST', '/api/orders', { body: checkout({ discountCode, ...overrides }) });
+  }
+
+  async function redemptions(code) {
+    const { body } = await request('GET', `/api/admin/discounts/${code}`, { token: viewer });
+    return body.redemptions;
+  }
+
+  await t.test('takes a percentage off the order and records the use', async () => {
+    await createCode({ code: 'fall10', type: 'percent', value: 10 });
+
+    const quote = await request('POST', '/api/checkout/quote', {
+      body: { items: [{ sku: 'TEA-100', quantity: 2 }], customerDetails: CUSTOMER, discountCode: 'FALL10' }
+    });
+    assert.strictEqual(quote.status, 200);
+
+    const { status, body } = await order('FALL10');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.order.pricing.discountCode, 'FALL10');
+    assert.strictEqual(body.order.pricing.discount, 2.5);
+
+    const [redemption] = await redemptions('FALL10');
+    assert.strictEqual(redemption.status, 'redeemed');
+    assert.strictEqual(redemption.orderNumber, body.orderNumber);
+    assert.strictEqual(redemption.paymentId, body.paymentId);
+  });
+
+  await t.test('holds the per-customer limit when checkouts overlap', async (t) => {
+    await createCode({ code: 'WELCOME5', type: 'fixed', value: 5, perCustomerLimit: 1 });
+    // As if the other checkout's redemption wasn't saved yet when this one looked
+    t.mock.method(store.discountRedemptions, 'count', async () => 0);
+
+    const first = await order('WELCOME5');
+    const second = await order('WELCOME5');
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(second.status, 400);
+    assert.match(second.body.error, /already been used/);
+    assert.strictEqual((await redemptions('WELCOME5')).length, 1);
+
+    const other = await order('WELCOME5', { customerInfo: { ...CUSTOMER, email: 'sam@example.com' } });
+    assert.strictEqual(other.status, 200);
+  });
+
+  await t.test('stops at the total redemption limit', async () => {
+    await createCode({ code: 'FIRST1', type: 'fixed', value: 1, maxRedemptions: 1 });
+
+    assert.strictEqual((await order('FIRST1')).status, 200);
+    const late = await order('FIRST1', { customerInfo: { ...CUSTOMER, email: 'sam@example.com' } });
+    assert.strictEqual(late.status, 400);
+    assert.match(late.body.error, /fully redeemed/);
+  });
+
+  await t.test('gives the use back when the card is declined', async () => {
+    await createCode({ code: 'ONCE', type: 'fixed', value: 2, perCustomerLimit: 1, maxRedemptions: 1 });
+
+    const declined = await order('ONCE', { paymentToken: 'fake-card-declined' });
+    assert.strictEqual(declined.status, 400);
+    assert.deepStrictEqual(await redemptions('ONCE'), []);
+
+    const retry = await order('ONCE');
+    assert.strictEqual(retry.status, 200);
+  });
+
+  await t.test('counts the use when the card was charged but the order was not saved', async (t) => {
+    await createCode({ code: 'SAVE3', type: 'fixed', value: 3 });
+    t.mock.method(store.orders, 'create', async () => {
+      throw new Error('disk full');
+    });
+
+    const { status, body } = await order('SAVE3');
+    assert.strictEqual(status, 500);
+
+    const [redemption] = await redemptions('SAVE3');
+    assert.strictEqual(redemption.status, 'redeemed');
+    assert.strictEqual(redemption.paymentId, body.paymentId);
+  });
+
+  await t.test('only lets admins create codes', async () => {
+    const { status } = await request('POST', '/api/admin/discounts', {
+      token: viewer,
+      body: { code: 'NOPE', type: 'percent', value: 5 }
+    });
+    assert.strictEqual(status, 403);
+  });
+});
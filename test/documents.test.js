@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+// Every xref entry must point at the start of its object, or readers will call the file damaged
+function assertWellFormed(pdf) {
+  const text = pdf.toString('latin1');
+  assert.ok(text.startsWith('%PDF-1.4\n'));
+  assert.ok(text.endsWith('%%EOF\n'));
+
+  const startxref = Number(text.match(/startxref\n(\d+)\n/)[1]);
+  assert.ok(text.startsWith('xref\n', startxref));
+
+  const entries = text.slice(startxref).match(/^\d{10} 00000 n $/gm);
+  entries.forEach((entry, index) => {
+    assert.ok(text.startsWith(`${index + 1} 0 obj\n`, Number(entry.slice(0, 10))), `object ${index + 1}`);
+  });
+}
+
+function pageCount(pdf) {
+  return Number(pdf.toString('latin1').match(/\/Type \/Pages .* \/Count (\d+)/)[1]);
+}
+
+test('invoices and packing slips', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { baseUrl, request, clock, checkout, loginAs } = server;
+
+  async function getPdf(url, token) {
+    const response = await fetch(baseUrl + url, { headers: { authorization: `Bearer ${token}` } });
+    return {
+      status: response.status,
+      headers: response.headers,
+      pdf: Buffer.from(await response.arrayBuffer())
+    };
+  }
+
+  clock.set('2026-06-01T09:00:00.000Z');
+  const { body: first } = await request('POST', '/api/orders', { body: checkout() });
+  clock.set('2026-06-02T09:00:00.000Z');
+  const { body: second } = await request('POST', '/api/orders', {
+    body: checkout({ items: [{ sku: 'MUG-200', quantity: 3 }, { sku: 'TEA-100', quantity: 1 }] })
+  });
+  clock.set('2026-06-03T09:00:00.000Z');
+  const { body: shipped } = await request('POST', '/api/orders', { body: checkout() });
+
+  const viewer = await loginAs('viewer');
+  const fulfillment = await loginAs('fulfillment');
+
+  await request('PATCH', `/api/orders/${shipped.order.id}/status`, { token: fulfillment, body: { status: 'processing' } });
+  await request('PATCH', `/api/orders/${shipped.order.id}/status`, {
+    token: fulfillment,
+    body: { status: 'shipped', trackingNumber: '1Z999AA10123456784', carrier: 'UPS' }
+  });
+
+  await t.test('renders a branded invoice with the order totals', async () => {
+    clock.set('2026-06-10T12:00:00.000Z');
+    const { status, headers, pdf } = await getPdf(`/api/orders/${second.order.id}/invoice.pdf`, viewer);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers.get('content-type'), 'application/pdf');
+    assert.match(headers.get('content-disposition'), /invoice-INV-000001\.pdf/);
+    assertWellFormed(pdf);
+
+    const text = pdf.toString('latin1');
+    for (const expected of ['(M&H Distributions)', '(INVOICE)', '(INV-000001)', `(${second.orderNumber})`,
+      '(Stoneware Mug)', '(Jun 10, 2026)', '(Paid)', `($${second.orderTotal.toFixed(2)})`]) {
+      assert.ok(text.includes(expected), expected);
+    }
+  });
+
+  await t.test('numbers invoices in the order they are issued and keeps them on reprint', async () => {
+    const other = await getPdf(`/api/orders/${first.order.id}/invoice.pdf`, viewer);
+    assert.match(other.headers.get('content-disposition'), /INV-000002/);
+
+    const reprint = await getPdf(`/api/orders/${second.order.id}/invoice.pdf`, viewer);
+    assert.match(reprint.headers.get('content-disposition'), /INV-000001/);
+  });
+
+  await t.test('renders a packing slip without prices', async () => {
+    const { status, pdf } = await getPdf(`/api/orders/${second.order.id}/packing-slip.pdf`, fulfillment);
+    assert.strictEqual(status, 200);
+    assertWellFormed(pdf);
+
+    const text = pdf.toString('latin1');
+    assert.ok(text.includes('(PACKING SLIP)'));
+    assert.ok(text.includes('(MUG-200)'));
+    assert.ok(!text.includes('($'), 'no prices on packing slips');
+  });
+
+  await t.test('flows long orders onto more pages', async () => {
+    const items = Array.from({ length: 40 }, () => ({ sku: 'TEA-100', quantity: 1 }));
+    const { body: big } = await request('POST', '/api/orders', { body: checkout({ items }) });
+    // Checkout merges repeated SKUs; give the stored order a line per box instead
+    await server.store.orders.update(big.order.id, {
+      items: Array.from({ length: 40 }, (_, index) => ({ sku: `BOX-${index}`, name: `Case ${index}`, price: 1, quantity: 1 }))
+    });
+
+    const { pdf } = await getPdf(`/api/orders/${big.order.id}/invoice.pdf`, viewer);
+    assertWellFormed(pdf);
+    assert.strictEqual(pageCount(pdf), 2);
+    assert.ok(pdf.toString('latin1').includes('(Page 2 of 2)'));
+  });
+
+  await t.test('only numbers invoices for orders that collected a payment', async () => {
+    const { body: pending } = await request('POST', '/api/orders', { body: checkout() });
+    await server.store.orders.update(pending.order.id, {
+      orderStatus: 'pending',
+      paymentInfo: { ...pending.order.paymentInfo, paymentStatus: 'pending' }
+    });
+    const { body: cancelled } = await request('POST', '/api/orders', { body: checkout() });
+    await server.store.orders.update(cancelled.order.id, { orderStatus: 'cancelled' });
+
+    assert.strictEqual((await getPdf(`/api/orders/${pending.order.id}/invoice.pdf`, viewer)).status, 409);
+    assert.strictEqual((await getPdf(`/api/orders/${cancelled.order.id}/invoice.pdf`, viewer)).status, 409);
+
+    const { body: paid } = await request('POST', '/api/orders', { body: checkout() });
+    const { headers } = await getPdf(`/api/orders/${paid.order.id}/invoice.pdf`, viewer);
+    assert.match(headers.get('content-disposition'), /INV-000004/, 'refused orders use up no numbers');
+  });
+
+  await t.test('hands back the number it reserved when another request numbered the order first', async (t) => {
+    const { store } = server;
+    const { body: order } = await request('POST', '/api/orders', { body: checkout() });
+    const numbered = await getPdf(`/api/orders/${order.order.id}/invoice.pdf`, viewer);
+    assert.match(numbered.headers.get('content-disposition'), /INV-000005/);
+
+    // Our first read happened before the other request saved its number
+    const findById = store.orders.findById.bind(store.orders);
+    let stale = true;
+    t.mock.method(store.orders, 'findById', async (id) => {
+      const found = await findById(id);
+      if (!stale || id !== order.order.id) return found;
+      stale = false;
+      const { invoiceNumber, invoicedAt, ...unnumbered } = found;
+      return unnumbered;
+    });
+
+    const reprint = await getPdf(`/api/orders/${order.order.id}/invoice.pdf`, viewer);
+    assert.strictEqual(reprint.status, 200);
+    assert.match(reprint.headers.get('content-disposition'), /INV-000005/);
+    assert.strictEqual(stale, false);
+    t.mock.restoreAll();
+
+    const { body: next } = await request('POST', '/api/orders', { body: checkout() });
+    const { headers } = await getPdf(`/api/orders/${next.order.id}/invoice.pdf`, viewer);
+    assert.match(headers.get('content-disposition'), /INV-000006/, 'no gap in the sequence');
+  });
+
+  await t.test('prints packing slips for every order waiting to be packed', async () => {
+    const { status, headers, pdf } = await getPdf('/api/orders/packing-slips.pdf', fulfillment);
+    assert.strictEqual(status, 200);
+    assert.match(headers.get('content-disposition'), /packing-slips-2026-06-10\.pdf/);
+    assertWellFormed(pdf);
+
+    const text = pdf.toString('latin1');
+    assert.ok(text.includes(`(${first.orderNumber})`));
+    assert.ok(text.includes(`(${second.orderNumber})`));
+    assert.ok(!text.includes(`(${shipped.orderNumber})`));
+    assert.ok(text.indexOf(`(${first.orderNumber})`) < text.indexOf(`(${second.orderNumber})`), 'oldest first');
+  });
+
+  await t.test('keeps packing slips away from viewers', async () => {
+    const { status } = await getPdf('/api/orders/packing-slips.pdf', viewer);
+    assert.strictEqual(status, 403);
+  });
+
+  await t.test('returns 404 for unknown orders', async () => {
+    const { status } = await getPdf('/api/orders/missing/invoice.pdf', viewer);
+    assert.strictEqual(status, 404);
+  });
+});
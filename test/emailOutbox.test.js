@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+const emailOutbox = require('../services/emailOutbox');
+
+test('email outbox', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, mailer, clock, checkout, loginAs } = server;
+
+  const fulfillment = await loginAs('fulfillment');
+  const viewer = await loginAs('viewer');
+
+  // Checkout sends its confirmation in the background; wait for that first attempt
+  async function placeOrder() {
+    const { body } = await request('POST', '/api/orders', { body: checkout() });
+    for (let wait = 0; wait < 50; wait++) {
+      const [message] = await store.outbox.find({ orderId: body.orderId });
+      if (message.status !== 'pending' || message.attempts > 0) return { order: body.order, message };
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Confirmation was never attempted');
+  }
+
+  await t.test('retries a failed send with growing delays, then gives up', async (t) => {
+    t.mock.method(mailer, 'send', async () => {
+      throw new Error('Provider unavailable');
+    });
+    clock.set('2026-05-01T12:00:00.000Z');
+    const { message } = await placeOrder();
+    assert.strictEqual(message.status, 'pending');
+    assert.strictEqual(message.attempts, 1);
+    assert.strictEqual(message.nextAttemptAt, '2026-05-01T12:01:00.000Z');
+
+    assert.strictEqual(await emailOutbox.processDue(store), 0, 'not due yet');
+
+    clock.advance(60 * 1000);
+    await emailOutbox.processDue(store);
+    const second = await store.outbox.findById(message.id);
+    assert.strictEqual(second.attempts, 2);
+    assert.strictEqual(second.nextAttemptAt, '2026-05-01T12:03:00.000Z');
+
+    for (let attempt = 3; attempt <= emailOutbox.MAX_ATTEMPTS; attempt++) {
+      clock.set((await store.outbox.findById(message.id)).nextAttemptAt);
+      await emailOutbox.processDue(store);
+    }
+    const failed = await store.outbox.findById(message.id);
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.attempts, emailOutbox.MAX_ATTEMPTS);
+    assert.strictEqual(failed.attemptLog.length, emailOutbox.MAX_ATTEMPTS);
+    assert.strictEqual(failed.lastError, 'Provider unavailable');
+  });
+
+  await t.test('lists failed emails and sends one again on request', async () => {
+    const { status, body } = await request('GET', '/api/emails/failed', { token: fulfillment });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.count, 1);
+    const [failed] = body.messages;
+    assert.strictEqual(failed.html, undefined, 'bodies are left out of listings');
+
+    const sentBefore = mailer.sent.length;
+    const retried = await request('POST', `/api/emails/${failed.id}/retry`, { token: fulfillment });
+    assert.strictEqual(retried.status, 202);
+
+    for (let wait = 0; wait < 50 && mailer.sent.length === sentBefore; wait++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.strictEqual((await store.outbox.findById(failed.id)).status, 'sent');
+
+    const again = await request('POST', `/api/emails/${failed.id}/retry`, { token: fulfillment });
+    assert.strictEqual(again.status, 404, 'only failed emails can be retried');
+  });
+
+  await t.test('queues a fresh copy of an order email', async () => {
+    const { order } = await placeOrder();
+
+    const { status, body } = await request('POST', `/api/orders/${order.id}/emails/resend`, {
+      token: fulfillment,
+      body: { type: 'confirmation' }
+    });
+    assert.strictEqual(status, 202);
+    assert.strictEqual(body.message.kind, 'order_confirmation');
+    assert.strictEqual(await store.outbox.count({ orderId: order.id }), 2);
+
+    const unknownType = await request('POST', `/api/orders/${order.id}/emails/resend`, {
+      token: fulfillment,
+      body: { type: 'invoice' }
+    });
+    assert.strictEqual(unknownType.status, 400);
+
+    const unknownOrder = await request('POST', '/api/orders/missing/emails/resend', { token: fulfillment, body: {} });
+    assert.strictEqual(unknownOrder.status, 404);
+  });
+
+  await t.test('requeues messages a crash left half-sent', async () => {
+    const stuck = await emailOutbox.enqueue(store, {
+      kind: 'order_status',
+      to: 'dana@example.com',
+      subject: 'Update',
+      html: '<p>Update</p>',
+      text: 'Update'
+    });
+    await store.outbox.update(stuck.id, { status: 'sending' });
+
+    const stop = await emailOutbox.startWorker(store, { intervalMs: 60 * 1000 });
+    stop();
+    for (let wait = 0; wait < 50; wait++) {
+      if ((await store.outbox.findById(stuck.id)).status === 'sent') break;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.strictEqual((await store.outbox.findById(stuck.id)).status, 'sent');
+  });
+
+  await t.test('keeps the email tools away from viewers', async () => {
+    const { status } = await request('GET', '/api/emails/failed', { token: viewer });
+    assert.strictEqual(status, 403);
+  });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer, CUSTOMER } = require('./helpers');
+const templates = require('../services/emailTemplates');
+const { createTransport, createOutboxTransport } = require('../services/emailTransports');
+
+test('email templates', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, mailer, checkout } = server;
+
+  await t.test('escapes what customers typed in the HTML part only', async () => {
+    const customerInfo = { ...CUSTOMER, firstName: '<img src=x onerror=alert(1)>', address: '12 "Market" St & Co' };
+    const { body } = await request('POST', '/api/orders', { body: checkout({ customerInfo }) });
+
+    // Confirmations go out in the background
+    for (let wait = 0; wait < 50; wait++) {
+      const [message] = await store.outbox.find({ orderId: body.orderId });
+      if (message.status === 'sent') break;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const message = mailer.sent.find(sent => sent.subject.includes(body.orderNumber));
+    assert.ok(message.html.includes('Hi &lt;img src=x onerror=alert(1)&gt;,'));
+    assert.ok(message.html.includes('12 &quot;Market&quot; St &amp; Co'));
+    assert.ok(!message.html.includes('<img'));
+    assert.ok(message.text.includes('Hi <img src=x onerror=alert(1)>,'));
+    assert.ok(message.text.includes('Total: $33.76'));
+  });
+
+  await t.test('leaves markup built with the html tag alone', () => {
+    const link = templates.html`<a href="${'https://example.com/?a=1&b=2'}">${'Track <box>'}</a>`;
+    const page = templates.html`<p>${link} ${['<', templates.html`<br>`]}</p>`;
+    assert.strictEqual(String(page), '<p><a href="https://example.com/?a=1&amp;b=2">Track &lt;box&gt;</a> &lt;<br></p>');
+  });
+
+  await t.test('labels status updates for customers', () => {
+    const order = { orderNumber: 'MHD-1', orderStatus: 'processing', customerInfo: CUSTOMER };
+    const { subject, text } = templates.statusUpdate(order);
+    assert.strictEqual(subject, 'Order #MHD-1 update: Being prepared');
+    assert.match(text, /is now: Being prepared\./);
+  });
+});
+
+test('email transports', async (t) => {
+  await t.test('picks the transport from the environment', () => {
+    assert.strictEqual(createTransport({ transport: 'outbox', env: {} }).name, 'outbox');
+    assert.strictEqual(createTransport({ transport: 'resend', env: { RESEND_API_KEY: 're_test' } }).name, 'resend');
+    assert.throws(() => createTransport({ transport: 'resend', env: {} }), /RESEND_API_KEY is required/);
+    assert.throws(() => createTransport({ transport: 'smtp', env: {} }), /SMTP_HOST is required/);
+    assert.throws(() => createTransport({ transport: 'pigeon', env: {} }), /Unknown EMAIL_TRANSPORT: pigeon/);
+  });
+
+  await t.test('writes outbox messages to disk with an HTML copy', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhd-outbox-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const transport = createOutboxTransport({ dir });
+    const { id } = await transport.send({ to: 'dana@example.com', subject: 'Hello', html: '<p>Hi</p>', text: 'Hi' });
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8'));
+    assert.strictEqual(saved.subject, 'Hello');
+    assert.strictEqual(fs.readFileSync(path.join(dir, `${id}.html`), 'utf8'), '<p>Hi</p>');
+  });
+});
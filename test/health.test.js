@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+test('health checks and metrics', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, payments, checkout, loginAs } = server;
+
+  await t.test('liveness only says the process is up', async () => {
+    const { status, body } = await request('GET', '/api/health/live');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'ok');
+  });
+
+  await t.test('readiness probes storage, payments and email', async () => {
+    const { status, body } = await request('GET', '/api/health/ready');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'ready');
+    assert.strictEqual(body.checks.storage.status, 'ok');
+    assert.strictEqual(body.checks.payments.provider, 'fake');
+    assert.strictEqual(body.checks.email.transport, 'recording');
+  });
+
+  await t.test('readiness reports an unreachable payment provider without failing', async (t) => {
+    t.mock.method(payments, 'ping', async () => {
+      throw new Error('Square is down');
+    });
+
+    const { status, body } = await request('GET', '/api/health/ready');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'ready');
+    assert.deepStrictEqual(
+      { status: body.checks.payments.status, error: body.checks.payments.error, required: body.checks.payments.required },
+      { status: 'error', error: 'Square is down', required: false }
+    );
+    assert.strictEqual(body.checks.storage.status, 'ok');
+  });
+
+  await t.test('readiness fails when storage is unreachable', async (t) => {
+    t.mock.method(server.store, 'ping', async () => {
+      throw new Error('Disk full');
+    });
+
+    const { status, body } = await request('GET', '/api/health/ready');
+    assert.strictEqual(status, 503);
+    assert.strictEqual(body.status, 'not_ready');
+    assert.strictEqual(body.checks.storage.error, 'Disk full');
+  });
+
+  await t.test('metrics need a staff login when no metrics token is set', async () => {
+    const anonymous = await request('GET', '/metrics');
+    assert.strictEqual(anonymous.status, 401);
+
+    const viewer = await request('GET', '/metrics', { token: await loginAs('viewer') });
+    assert.strictEqual(viewer.status, 200);
+  });
+
+  await t.test('exposes order, payment and latency metrics', async () => {
+    await request('POST', '/api/orders', { body: checkout() });
+    await request('POST', '/api/orders', { body: checkout({ paymentToken: 'fake-insufficient-funds' }) });
+
+    const { status, headers, body } = await request('GET', '/metrics', { token: await loginAs('viewer') });
+    assert.strictEqual(status, 200);
+    assert.match(headers.get('content-type'), /^text\/plain/);
+    assert.match(body, /^mhd_orders\{status="paid"\} 1$/m);
+    assert.match(body, /^mhd_payment_charges_total\{outcome="success",code="NONE"\} 1$/m);
+    assert.match(body, /^mhd_payment_charges_total\{outcome="failure",code="INSUFFICIENT_FUNDS"\} 1$/m);
+    assert.match(body, /^mhd_email_messages\{status="failed"\} 0$/m);
+    assert.match(body, /^mhd_http_request_duration_seconds_count\{method="POST",route="\/api\/orders",status="200"\} 1$/m);
+  });
+});
+
+test('metrics with a metrics token', async (t) => {
+  const server = await startTestServer({ config: { metricsToken: 'scrape-secret' } });
+  t.after(() => server.close());
+  const { request, loginAs } = server;
+
+  await t.test('accept the token or a staff login', async () => {
+    const scraper = await request('GET', '/metrics', { headers: { Authorization: 'Bearer scrape-secret' } });
+    assert.strictEqual(scraper.status, 200);
+
+    const staff = await request('GET', '/metrics', { token: await loginAs('viewer') });
+    assert.strictEqual(staff.status, 200);
+  });
+
+  await t.test('reject a wrong token', async () => {
+    const { status } = await request('GET', '/metrics', { headers: { Authorization: 'Bearer guess' } });
+    assert.strictEqual(status, 401);
+  });
+});
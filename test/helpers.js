@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-secret';
+
+// node --test reads each test file's stdout, so the app's JSON logs are off unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { createApp } = require('../app');
+const { createStore } = require('../repositories');
+const { createFakeGateway } = require('../services/paymentGateways');
+const { hashPassword } = require('../services/authService');
+
+// Shared fixtures and an in-process server for the end-to-end tests. Each server gets its
+// own temporary data directory, the fake payment gateway, a mailer that only records
+// messages and a clock that moves only when a test says so.
+
+const PRODUCTS = [
+  { sku: 'TEA-100', name: 'Green Tea Tin', description: '', price: 12.5, weight: 0.5, active: true },
+  { sku: 'MUG-200', name: 'Stoneware Mug', description: '', price: 18, weight: 1.5, active: true }
+];
+
+const CUSTOMER = {
+  firstName: 'Dana',
+  lastName: 'Rivera',
+  email: 'dana@example.com',
+  phone: '555-123-4567',
+  address: '12 Market St',
+  city: 'Oakland',
+  state: 'CA',
+  zipCode: '94607'
+};
+
+function createTestClock(start = '2026-03-02T15:00:00.000Z') {
+  let current = new Date(start).getTime();
+  return {
+    now: () => new Date(current),
+    set(time) {
+      current = new Date(time).getTime();
+    },
+    advance(ms) {
+      current += ms;
+    }
+  };
+}
+
+function createRecordingMailer() {
+  const sent = [];
+  return {
+    name: 'recording',
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { id: `test-email-${sent.length}` };
+    }
+  };
+}
+
+async function startTestServer({ products = PRODUCTS, config = {} } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhd-test-'));
+  fs.writeFileSync(path.join(dataDir, 'products.json'), JSON.stringify(products));
+
+  const clock = createTestClock();
+  const store = createStore({ backend: 'json', dataDir, clock });
+  const payments = createFakeGateway({ clock });
+  const mailer = createRecordingMailer();
+  const app = createApp({ store, payments, mailer, clock, config: { dataDir, adminPanel: false, metricsToken: null, ...config } });
+
+  await store.connect();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Resolves with { status, headers, body }; body is parsed JSON when the response is JSON
+  async function request(method, url, { body, token, headers = {} } = {}) {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'content-type': 'application/json' }),
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const type = response.headers.get('content-type') || '';
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: type.includes('application/json') ? await response.json() : await response.text()
+    };
+  }
+
+  // Create a staff account with `role` and log in as it through the API
+  async function loginAs(role) {
+    const email = `${role}@mandhdistributions.com`;
+    const password = `${role}-password-123`;
+    if (!(await store.staff.findByEmail(email))) {
+      await store.staff.create({ email, role, passwordHash: hashPassword(password) });
+    }
+    const { body } = await request('POST', '/api/auth/login', { body: { email, password } });
+    return body.token;
+  }
+
+  function checkout({ items = [{ sku: 'TEA-100', quantity: 2 }], paymentToken = 'cnon:card-nonce-ok', ...rest } = {}) {
+    return { paymentToken, items, customerInfo: CUSTOMER, ...rest };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { baseUrl, store, payments, mailer, clock, request, loginAs, checkout, close };
+}
+
+module.exports = {
+  PRODUCTS,
+  CUSTOMER,
+  createTestClock,
+  createRecordingMailer,
+  startTestServer
+};
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+const inventory = require('../services/inventory');
+const { runMaintenance } = require('../services/maintenance');
+
+test('inventory', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, payments, clock, checkout, loginAs } = server;
+
+  const fulfillment = await loginAs('fulfillment');
+  const viewer = await loginAs('viewer');
+
+  async function stock(sku) {
+    const { body } = await request('GET', `/api/admin/inventory/${sku}`, { token: viewer });
+    return body.item;
+  }
+
+  await t.test('starts tracking a SKU with its first adjustment', async () => {
+    const { status } = await request('POST', '/api/admin/inventory/tea-100/adjustments', {
+      token: fulfillment,
+      body: { change: 5, reason: 'PO 1042 received' }
+    });
+    assert.strictEqual(status, 201);
+
+    const { body } = await request('GET', '/api/admin/inventory/TEA-100', { token: viewer });
+    assert.strictEqual(body.item.onHand, 5);
+    assert.strictEqual(body.item.available, 5);
+    assert.deepStrictEqual(body.adjustments.map(({ change, reason }) => ({ change, reason })), [
+      { change: 5, reason: 'PO 1042 received' }
+    ]);
+  });
+
+  await t.test('takes sold stock off hand', async () => {
+    const { status, body } = await request('POST', '/api/orders', { body: checkout() });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.order.inventory.committed, [{ sku: 'TEA-100', quantity: 2 }]);
+
+    const item = await stock('TEA-100');
+    assert.strictEqual(item.onHand, 3);
+    assert.strictEqual(item.reserved, 0);
+  });
+
+  await t.test('refuses a cart that would oversell without charging the card', async (t) => {
+    const charge = t.mock.method(payments, 'charge');
+    const { status, body } = await request('POST', '/api/orders', {
+      body: checkout({ items: [{ sku: 'TEA-100', quantity: 4 }] })
+    });
+    assert.strictEqual(status, 409);
+    assert.match(body.error, /Only 3 of TEA-100 left/);
+    assert.strictEqual(charge.mock.callCount(), 0);
+    assert.strictEqual((await stock('TEA-100')).reserved, 0);
+  });
+
+  await t.test('gives stock back when the card is declined', async () => {
+    const { status } = await request('POST', '/api/orders', { body: checkout({ paymentToken: 'fake-card-declined' }) });
+    assert.strictEqual(status, 400);
+
+    const item = await stock('TEA-100');
+    assert.strictEqual(item.onHand, 3);
+    assert.strictEqual(item.reserved, 0);
+  });
+
+  await t.test('restocks an order once when a cancellation and a refund race', async () => {
+    const { body } = await request('POST', '/api/orders', { body: checkout() });
+    assert.strictEqual((await stock('TEA-100')).onHand, 1);
+
+    const order = await store.orders.findById(body.orderId);
+    await Promise.all([
+      inventory.restockOrder(store, order, { reason: 'Order cancelled', actor: 'test' }),
+      inventory.restockOrder(store, order, { reason: 'Order refunded', actor: 'test' })
+    ]);
+
+    assert.strictEqual((await stock('TEA-100')).onHand, 3);
+    assert.ok((await store.orders.findById(order.id)).inventory.restockedAt);
+  });
+
+  await t.test('releases abandoned reservations and prunes settled ones', async () => {
+    // A checkout that reserved stock and then died before charging
+    const abandoned = await inventory.reserve(store, [{ sku: 'TEA-100', quantity: 1 }]);
+    assert.strictEqual((await stock('TEA-100')).reserved, 1);
+
+    clock.advance(16 * 60 * 1000);
+    const handled = await runMaintenance(store);
+    assert.strictEqual(handled.expiredReservations, 1);
+    assert.strictEqual((await stock('TEA-100')).reserved, 0);
+    assert.strictEqual((await store.stockReservations.findById(abandoned.id)).status, 'released');
+
+    clock.advance(24 * 60 * 60 * 1000);
+    const pruned = await runMaintenance(store);
+    assert.ok(pruned.settledReservations >= 1);
+    assert.strictEqual(await store.stockReservations.count({}), 0);
+  });
+
+  await t.test('does not let a viewer adjust stock', async () => {
+    const { status } = await request('POST', '/api/admin/inventory/TEA-100/adjustments', {
+      token: viewer,
+      body: { change: 1, reason: 'Found one' }
+    });
+    assert.strictEqual(status, 403);
+  });
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, runWithContext } = require('../services/logger');
+const { startTestServer } = require('./helpers');
+
+function captureLogger(options) {
+  const lines = [];
+  const logger = createLogger({ level: 'debug', write: line => lines.push(JSON.parse(line)), ...options });
+  return { logger, lines };
+}
+
+test('logger redacts secrets and personal data', () => {
+  const { logger, lines } = captureLogger();
+
+  logger.info('Processing order', {
+    body: {
+      paymentToken: 'cnon:card-nonce-ok',
+      customerInfo: {
+        firstName: 'Dana',
+        email: 'dana@example.com',
+        phone: '555-123-4567',
+        address: '12 Market St',
+        state: 'CA'
+      }
+    },
+    note: 'Receipt goes to dana@example.com'
+  });
+
+  const [entry] = lines;
+  assert.strictEqual(entry.level, 'info');
+  assert.strictEqual(entry.msg, 'Processing order');
+  assert.strictEqual(entry.body.paymentToken, '[REDACTED]');
+  assert.strictEqual(entry.body.customerInfo.phone, '[REDACTED]');
+  assert.strictEqual(entry.body.customerInfo.address, '[REDACTED]');
+  assert.strictEqual(entry.body.customerInfo.email, 'd***@example.com');
+  assert.strictEqual(entry.body.customerInfo.state, 'CA');
+  assert.strictEqual(entry.note, 'Receipt goes to d***@example.com');
+});
+
+test('logger redacts extra configured fields and serializes errors', () => {
+  const { logger, lines } = captureLogger({ redactFields: new Set(['lastname']) });
+
+  logger.error('Refund failed', { lastName: 'Rivera', err: new Error('Card for dana@example.com expired') });
+
+  assert.strictEqual(lines[0].lastName, '[REDACTED]');
+  assert.strictEqual(lines[0].err.message, 'Card for d***@example.com expired');
+  assert.match(lines[0].err.stack, /^Error: Card for d\*\*\*@example\.com expired/);
+});
+
+test('logger respects the level and carries context fields', () => {
+  const { logger, lines } = captureLogger({ level: 'warn' });
+
+  runWithContext({ requestId: 'req-1' }, () => {
+    logger.info('ignored');
+    logger.warn('kept');
+  });
+
+  assert.deepStrictEqual(lines.map(({ msg, requestId }) => ({ msg, requestId })), [{ msg: 'kept', requestId: 'req-1' }]);
+});
+
+test('every response carries a request ID', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  const generated = await server.request('GET', '/api/health/live');
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const forwarded = await server.request('GET', '/api/health/live', { headers: { 'X-Request-Id': 'lb-1234' } });
+  assert.strictEqual(forwarded.headers.get('x-request-id'), 'lb-1234');
+
+  const unsafe = await server.request('GET', '/api/health/live', { headers: { 'X-Request-Id': 'bad id {}' } });
+  assert.notStrictEqual(unsafe.headers.get('x-request-id'), 'bad id {}');
+});
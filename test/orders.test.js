@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+test('order listing and status updates', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, clock, checkout, loginAs } = server;
+
+  // Three orders on consecutive days
+  const orders = [];
+  for (const day of ['2026-03-02', '2026-03-03', '2026-03-04']) {
+    clock.set(`${day}T15:00:00.000Z`);
+    const { body } = await request('POST', '/api/orders', { body: checkout() });
+    orders.push(body.order);
+  }
+  const viewer = await loginAs('viewer');
+  const fulfillment = await loginAs('fulfillment');
+
+  await t.test('requires a staff login to list orders', async () => {
+    const { status } = await request('GET', '/api/orders');
+    assert.strictEqual(status, 401);
+  });
+
+  await t.test('lists orders newest first, a page at a time', async () => {
+    const { status, body } = await request('GET', '/api/orders?limit=2', { token: viewer });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.total, 3);
+    assert.strictEqual(body.totalPages, 2);
+    assert.deepStrictEqual(body.orders.map(order => order.id), [orders[2].id, orders[1].id]);
+
+    const second = await request('GET', '/api/orders?limit=2&page=2', { token: viewer });
+    assert.deepStrictEqual(second.body.orders.map(order => order.id), [orders[0].id]);
+  });
+
+  await t.test('filters orders by date', async () => {
+    const { body } = await request('GET', '/api/orders?from=2026-03-03&to=2026-03-03', { token: viewer });
+    assert.deepStrictEqual(body.orders.map(order => order.id), [orders[1].id]);
+  });
+
+  await t.test('moves an order through fulfillment and emails the customer', async () => {
+    const orderId = orders[0].id;
+    clock.set('2026-03-05T10:00:00.000Z');
+
+    const processing = await request('PATCH', `/api/orders/${orderId}/status`, {
+      token: fulfillment,
+      body: { status: 'processing' }
+    });
+    assert.strictEqual(processing.status, 200);
+
+    const shipped = await request('PATCH', `/api/orders/${orderId}/status`, {
+      token: fulfillment,
+      body: { status: 'shipped', trackingNumber: '1Z999AA10123456784', carrier: 'UPS' }
+    });
+    assert.strictEqual(shipped.status, 200);
+    assert.strictEqual(shipped.body.order.orderStatus, 'shipped');
+    assert.strictEqual(shipped.body.order.trackingNumber, '1Z999AA10123456784');
+
+    const history = shipped.body.order.statusHistory.map(({ from, to, actor, timestamp }) => ({ from, to, actor, timestamp }));
+    assert.deepStrictEqual(history.slice(1), [
+      { from: 'paid', to: 'processing', actor: 'fulfillment@mandhdistributions.com', timestamp: '2026-03-05T10:00:00.000Z' },
+      { from: 'processing', to: 'shipped', actor: 'fulfillment@mandhdistributions.com', timestamp: '2026-03-05T10:00:00.000Z' }
+    ]);
+
+    const emails = await store.outbox.find({ orderId, kind: 'order_shipped' });
+    assert.strictEqual(emails.length, 1);
+  });
+
+  await t.test('refuses transitions the lifecycle does not allow', async () => {
+    const { status, body } = await request('PATCH', `/api/orders/${orders[0].id}/status`, {
+      token: fulfillment,
+      body: { status: 'cancelled' }
+    });
+    assert.strictEqual(status, 409);
+    assert.deepStrictEqual(body.allowedStatuses, ['delivered']);
+  });
+
+  await t.test('rejects malformed list filters with every bad field', async () => {
+    const { status, body } = await request('GET', '/api/orders?status=lost&page=0&limit=1000&from=someday', { token: viewer });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(Object.keys(body.fields).sort(), ['from', 'limit', 'page', 'status']);
+
+    const backwards = await request('GET', '/api/orders?from=2026-03-04&to=2026-03-02', { token: viewer });
+    assert.strictEqual(backwards.status, 400);
+  });
+
+  await t.test('rejects a malformed status update with every bad field', async () => {
+    const { status, body } = await request('PATCH', `/api/orders/${orders[1].id}/status`, {
+      token: fulfillment,
+      body: { status: 'teleported', notes: 'x'.repeat(1001) }
+    });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(Object.keys(body.fields).sort(), ['notes', 'status']);
+    assert.strictEqual((await store.orders.findById(orders[1].id)).orderStatus, 'paid');
+  });
+
+  await t.test('does not let viewers change orders', async () => {
+    const { status } = await request('PATCH', `/api/orders/${orders[1].id}/status`, {
+      token: viewer,
+      body: { status: 'processing' }
+    });
+    assert.strictEqual(status, 403);
+  });
+});
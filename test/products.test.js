@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+test('product catalog', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, payments, checkout, loginAs } = server;
+
+  const admin = await loginAs('admin');
+  const viewer = await loginAs('viewer');
+
+  await t.test('prices orders from the catalog, not the prices the client sends', async () => {
+    const { status, body } = await request('POST', '/api/orders', {
+      body: checkout({ items: [{ sku: 'tea-100', quantity: 2, price: 0.01, name: 'Free tea' }] })
+    });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(
+      body.order.items.map(({ sku, name, price, quantity }) => ({ sku, name, price, quantity })),
+      [{ sku: 'TEA-100', name: 'Green Tea Tin', price: 12.5, quantity: 2 }]
+    );
+    assert.strictEqual((await payments.getPayment(body.paymentId)).amountCents, 3376);
+  });
+
+  await t.test('adds, reprices and removes products', async () => {
+    const created = await request('POST', '/api/admin/products', {
+      token: admin,
+      body: { sku: ' pot-300 ', name: 'Teapot', price: 29.999, weight: 2 }
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.product.sku, 'POT-300');
+    assert.strictEqual(created.body.product.price, 30);
+
+    const updated = await request('PATCH', '/api/admin/products/pot-300', { token: admin, body: { price: 32 } });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.product.price, 32);
+
+    const { body: order } = await request('POST', '/api/orders', {
+      body: checkout({ items: [{ sku: 'POT-300', quantity: 1 }] })
+    });
+    assert.strictEqual(order.order.items[0].price, 32);
+
+    const removed = await request('DELETE', '/api/admin/products/POT-300', { token: admin });
+    assert.strictEqual(removed.status, 200);
+    assert.strictEqual((await request('GET', '/api/admin/products/POT-300', { token: viewer })).status, 404);
+  });
+
+  await t.test('refuses a duplicate SKU or a negative price and keeps the product as it was', async () => {
+    const duplicate = await request('POST', '/api/admin/products', {
+      token: admin,
+      body: { sku: 'tea-100', name: 'Another tea', price: 5 }
+    });
+    assert.strictEqual(duplicate.status, 409);
+
+    const negative = await request('PATCH', '/api/admin/products/TEA-100', {
+      token: admin,
+      body: { name: 'Renamed tea', description: 'Should not stick', price: -1 }
+    });
+    assert.strictEqual(negative.status, 400);
+
+    const { body } = await request('GET', '/api/admin/products/TEA-100', { token: viewer });
+    assert.strictEqual(body.product.name, 'Green Tea Tin', 'a rejected update changes nothing');
+    assert.strictEqual(body.product.description, '');
+    assert.strictEqual(body.product.price, 12.5);
+  });
+
+  await t.test('hides inactive products from the storefront and checkout', async () => {
+    await request('PATCH', '/api/admin/products/MUG-200', { token: admin, body: { active: false } });
+
+    const { body: storefront } = await request('GET', '/api/products');
+    assert.deepStrictEqual(storefront.products.map(product => product.sku), ['TEA-100']);
+
+    const { body: all } = await request('GET', '/api/admin/products', { token: viewer });
+    assert.strictEqual(all.count, 2);
+
+    const chargesBefore = (await payments.listPayments({})).length;
+    const { status, body } = await request('POST', '/api/orders', {
+      body: checkout({ items: [{ sku: 'MUG-200', quantity: 1 }] })
+    });
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /MUG-200/);
+    assert.strictEqual((await payments.listPayments({})).length, chargesBefore, 'nothing was charged');
+  });
+
+  await t.test('only lets admins change the catalog', async () => {
+    const { status } = await request('POST', '/api/admin/products', {
+      token: viewer,
+      body: { sku: 'CUP-400', name: 'Cup', price: 4 }
+    });
+    assert.strictEqual(status, 403);
+  });
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, CUSTOMER } = require('./helpers');
+
+test('payment reconciliation', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, payments, clock, checkout, loginAs } = server;
+
+  clock.set('2026-07-01T10:00:00.000Z');
+  const { body: matched } = await request('POST', '/api/orders', { body: checkout() });
+
+  clock.set('2026-07-01T11:00:00.000Z');
+  const { body: mismatched } = await request('POST', '/api/orders', { body: checkout() });
+  await store.orders.update(mismatched.order.id, {
+    paymentInfo: { ...mismatched.order.paymentInfo, amount: mismatched.orderTotal + 1 }
+  });
+
+  // Charged, then the server went down before the order was saved
+  clock.set('2026-07-01T12:00:00.000Z');
+  const orphan = await payments.charge({
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'order-lost',
+    amountCents: 2500,
+    buyerEmail: CUSTOMER.email,
+    billingAddress: { addressLine1: '400 Harbor Way', locality: 'Oakland', administrativeDistrictLevel1: 'CA', postalCode: '94607' },
+    note: 'M&H Distributions - Dana Rivera'
+  });
+
+  clock.set('2026-07-01T13:00:00.000Z');
+  const missing = await store.orders.create({
+    customerInfo: CUSTOMER,
+    items: [{ sku: 'TEA-100', name: 'Green Tea Tin', price: 12.5, quantity: 1 }],
+    paymentInfo: { squarePaymentToken: 'fakepay_unknown', amount: 12.5, currency: 'USD', paymentStatus: 'paid' },
+    orderStatus: 'paid'
+  });
+
+  // Outside the range checked below
+  clock.set('2026-07-03T10:00:00.000Z');
+  await payments.charge({ sourceId: 'cnon:card-nonce-ok', idempotencyKey: 'order-later', amountCents: 1000 });
+
+  const admin = await loginAs('admin');
+  const viewer = await loginAs('viewer');
+  const range = '?from=2026-07-01&to=2026-07-01';
+
+  await t.test('reports orphaned payments, orders without payments and amount mismatches', async () => {
+    const { status, body } = await request('GET', `/api/admin/reconciliation${range}`, { token: admin });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.paymentsChecked, 3);
+    assert.strictEqual(body.ordersChecked, 3);
+
+    assert.deepStrictEqual(body.orphanedPayments.map(payment => payment.paymentId), [orphan.id]);
+    assert.strictEqual(body.orphanedPayments[0].amount, 25);
+    assert.strictEqual(body.orphanedPayments[0].buyerEmail, CUSTOMER.email);
+
+    assert.deepStrictEqual(body.ordersWithoutPayments.map(order => [order.orderNumber, order.reason]), [
+      [missing.orderNumber, 'payment_not_found']
+    ]);
+
+    assert.deepStrictEqual(body.amountMismatches, [{
+      orderId: mismatched.order.id,
+      orderNumber: mismatched.orderNumber,
+      paymentId: mismatched.paymentId,
+      orderAmount: mismatched.orderTotal + 1,
+      paymentAmount: mismatched.orderTotal
+    }]);
+    assert.ok(!JSON.stringify(body).includes(matched.orderNumber), 'matching orders are not reported');
+  });
+
+  await t.test('creates a recovery order from an orphaned payment', async () => {
+    const { status, body } = await request('POST', '/api/admin/reconciliation/recovery-orders', {
+      token: admin,
+      body: { paymentId: orphan.id }
+    });
+    assert.strictEqual(status, 201);
+
+    const { order } = body;
+    assert.strictEqual(order.orderStatus, 'pending');
+    assert.strictEqual(order.paymentInfo.squarePaymentToken, orphan.id);
+    assert.strictEqual(order.paymentInfo.amount, 25);
+    assert.strictEqual(order.paymentInfo.paymentStatus, 'paid');
+    assert.strictEqual(order.customerInfo.firstName, 'Dana');
+    assert.strictEqual(order.customerInfo.address, '400 Harbor Way');
+    assert.strictEqual(order.customerInfo.phone, CUSTOMER.phone, 'filled in from the customer record');
+    assert.strictEqual(order.customerId, matched.order.customerId);
+    assert.match(order.statusHistory[0].note, /Recovered from Square payment/);
+
+    const { body: report } = await request('GET', `/api/admin/reconciliation${range}`, { token: admin });
+    assert.deepStrictEqual(report.orphanedPayments, []);
+  });
+
+  await t.test('refuses to recover a payment twice or one Square does not have', async () => {
+    const again = await request('POST', '/api/admin/reconciliation/recovery-orders', {
+      token: admin,
+      body: { paymentId: orphan.id }
+    });
+    assert.strictEqual(again.status, 409);
+
+    const unknown = await request('POST', '/api/admin/reconciliation/recovery-orders', {
+      token: admin,
+      body: { paymentId: 'fakepay_nope' }
+    });
+    assert.strictEqual(unknown.status, 404);
+  });
+
+  await t.test('saves one order per payment when recoveries race', async (t) => {
+    // As if another recovery saved its order between our check and our insert
+    t.mock.method(store.orders, 'findByPaymentId', async () => null);
+
+    const { status } = await request('POST', '/api/admin/reconciliation/recovery-orders', {
+      token: admin,
+      body: { paymentId: orphan.id }
+    });
+    assert.strictEqual(status, 409);
+    assert.strictEqual(await store.orders.count({ 'paymentInfo.squarePaymentToken': orphan.id }), 1);
+  });
+
+  await t.test('requires a payment ID to recover', async () => {
+    const { status, body } = await request('POST', '/api/admin/reconciliation/recovery-orders', {
+      token: admin,
+      body: {}
+    });
+    assert.strictEqual(status, 400);
+    assert.ok(body.fields.paymentId);
+  });
+
+  await t.test('is admin only', async () => {
+    const { status } = await request('GET', '/api/admin/reconciliation', { token: viewer });
+    assert.strictEqual(status, 403);
+  });
+
+  await t.test('rejects a range that ends before it starts', async () => {
+    const { status } = await request('GET', '/api/admin/reconciliation?from=2026-07-02&to=2026-07-01', { token: admin });
+    assert.strictEqual(status, 400);
+  });
+});
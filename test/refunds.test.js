@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+const { PaymentError } = require('../services/paymentGateways');
+
+test('refunds', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, payments, checkout, loginAs } = server;
+
+  const admin = await loginAs('admin');
+  const fulfillment = await loginAs('fulfillment');
+
+  async function placeOrder() {
+    const { body } = await request('POST', '/api/orders', { body: checkout() });
+    return body.order;
+  }
+
+  function refund(orderId, body, headers) {
+    return request('POST', `/api/orders/${orderId}/refunds`, { token: admin, body, headers });
+  }
+
+  // Hold Square refund calls until a second one arrives, so both requests read the order
+  // before either saves its refund
+  function overlapRefunds(t) {
+    const refundPayment = payments.refund.bind(payments);
+    let release;
+    const bothArrived = new Promise(resolve => { release = resolve; });
+    const squareRefund = t.mock.method(payments, 'refund', async (args) => {
+      if (squareRefund.mock.callCount() === 1) release();
+      await bothArrived;
+      return refundPayment(args);
+    });
+  }
+
+  await t.test('refunds part of a payment, then the rest', async () => {
+    const order = await placeOrder();
+
+    const partial = await refund(order.id, { amount: 10, reason: 'Dented tin' });
+    assert.strictEqual(partial.status, 200);
+    assert.strictEqual(partial.body.refund.amount, 10);
+    assert.strictEqual(partial.body.order.paymentInfo.paymentStatus, 'partially_refunded');
+
+    const rest = await refund(order.id, { reason: 'Customer returned the order' });
+    assert.strictEqual(rest.status, 200);
+    assert.strictEqual(rest.body.refund.amount, 23.76);
+    assert.strictEqual(rest.body.order.paymentInfo.paymentStatus, 'refunded');
+    assert.strictEqual(rest.body.order.refunds.length, 2);
+
+    const again = await refund(order.id, { reason: 'Once more' });
+    assert.strictEqual(again.status, 409);
+  });
+
+  await t.test('refunds a request retried with the same Idempotency-Key once', async (t) => {
+    const order = await placeOrder();
+    const squareRefund = t.mock.method(payments, 'refund');
+    const headers = { 'Idempotency-Key': 'refund-dented-tin' };
+
+    const first = await refund(order.id, { amount: 10, reason: 'Dented tin' }, headers);
+    const retry = await refund(order.id, { amount: 10, reason: 'Dented tin' }, headers);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(retry.status, 200);
+    assert.strictEqual(retry.body.refund.squareRefundId, first.body.refund.squareRefundId);
+    assert.strictEqual(
+      squareRefund.mock.calls[1].arguments[0].idempotencyKey,
+      squareRefund.mock.calls[0].arguments[0].idempotencyKey
+    );
+
+    const saved = await store.orders.findById(order.id);
+    assert.strictEqual(saved.refunds.length, 1);
+    assert.strictEqual(saved.paymentInfo.paymentStatus, 'partially_refunded');
+  });
+
+  await t.test('refunds a double-submitted form once', async (t) => {
+    const order = await placeOrder();
+    overlapRefunds(t);
+
+    const results = await Promise.all([
+      refund(order.id, { amount: 5, reason: 'Late delivery' }),
+      refund(order.id, { amount: 5, reason: 'Late delivery' })
+    ]);
+    assert.deepStrictEqual(results.map(result => result.status), [200, 200]);
+
+    const saved = await store.orders.findById(order.id);
+    assert.strictEqual(saved.refunds.length, 1);
+  });
+
+  await t.test('keeps every refund when two are issued at once', async (t) => {
+    const order = await placeOrder();
+    overlapRefunds(t);
+
+    const results = await Promise.all([
+      refund(order.id, { amount: 5, reason: 'Late delivery' }, { 'Idempotency-Key': 'refund-a' }),
+      refund(order.id, { amount: 6, reason: 'Chipped mug' }, { 'Idempotency-Key': 'refund-b' })
+    ]);
+    assert.deepStrictEqual(results.map(result => result.status), [200, 200]);
+
+    const saved = await store.orders.findById(order.id);
+    assert.deepStrictEqual(saved.refunds.map(each => each.amount).sort(), [5, 6]);
+    assert.strictEqual(saved.paymentInfo.paymentStatus, 'partially_refunded');
+  });
+
+  await t.test('reports a refund the payment provider rejects as a bad gateway', async (t) => {
+    const order = await placeOrder();
+    t.mock.method(payments, 'refund', async () => {
+      throw new PaymentError('REFUND_DECLINED', 'The card issuer declined the refund');
+    });
+
+    const { status, body } = await refund(order.id, { reason: 'Dented tin' });
+    assert.strictEqual(status, 502);
+    assert.match(body.error, /declined the refund/);
+    assert.deepStrictEqual((await store.orders.findById(order.id)).refunds, []);
+  });
+
+  await t.test('rejects a refund larger than what is left', async () => {
+    const order = await placeOrder();
+    const { status } = await refund(order.id, { amount: 40, reason: 'Too much' });
+    assert.strictEqual(status, 400);
+  });
+
+  await t.test('is admin only', async () => {
+    const order = await placeOrder();
+    const { status } = await request('POST', `/api/orders/${order.id}/refunds`, {
+      token: fulfillment,
+      body: { reason: 'Dented tin' }
+    });
+    assert.strictEqual(status, 403);
+  });
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, CUSTOMER } = require('./helpers');
+
+function parseCsv(text) {
+  return text.trim().split('\r\n').map(line => line.match(/("([^"]|"")*"|[^,]*)(,|$)/g)
+    .slice(0, -1)
+    .map(cell => cell.replace(/,$/, '').replace(/^"(.*)"$/, '$1').replace(/""/g, '"')));
+}
+
+test('sales report and order export', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, clock, checkout, loginAs } = server;
+
+  const admin = await loginAs('admin');
+  const viewer = await loginAs('viewer');
+
+  // Monday and Tuesday of the same week, then the next month
+  clock.set('2026-06-01T15:00:00.000Z');
+  const { body: california } = await request('POST', '/api/orders', { body: checkout() });
+  clock.set('2026-06-02T15:00:00.000Z');
+  const { body: newYork } = await request('POST', '/api/orders', {
+    body: checkout({
+      items: [{ sku: 'MUG-200', quantity: 1 }],
+      customerInfo: {
+        ...CUSTOMER,
+        lastName: '=HYPERLINK("http://evil")',
+        address: '5 Main St, Apt 2',
+        state: 'NY',
+        zipCode: '10001'
+      }
+    })
+  });
+  clock.set('2026-07-15T15:00:00.000Z');
+  const { body: july } = await request('POST', '/api/orders', { body: checkout() });
+
+  // Never paid, so never sold
+  await store.orders.create({
+    customerInfo: CUSTOMER,
+    items: [{ sku: 'TEA-100', name: 'Green Tea Tin', price: 12.5, quantity: 1 }],
+    paymentInfo: { amount: 12.5, currency: 'USD', paymentStatus: 'pending' },
+    orderStatus: 'pending'
+  });
+
+  await request('POST', `/api/orders/${california.order.id}/refunds`, {
+    token: admin,
+    body: { amount: 10, reason: 'Dented tin' }
+  });
+
+  const round = value => Math.round(value * 100) / 100;
+
+  await t.test('totals paid orders with refunds netted out', async () => {
+    const { status, body } = await request('GET', '/api/reports/sales?from=2026-06-01&to=2026-06-30', { token: viewer });
+    assert.strictEqual(status, 200);
+
+    const gross = round(california.orderTotal + newYork.orderTotal);
+    assert.deepStrictEqual(body.totals, {
+      orders: 2,
+      grossRevenue: gross,
+      refunds: 10,
+      netRevenue: round(gross - 10),
+      averageOrderValue: round((gross - 10) / 2)
+    });
+    assert.deepStrictEqual(body.periods.map(period => [period.period, period.orders]), [['2026-06-01', 1], ['2026-06-02', 1]]);
+    assert.deepStrictEqual(body.byState.map(row => row.state).sort(), ['CA', 'NY']);
+
+    const tea = body.byProduct.find(product => product.sku === 'TEA-100');
+    assert.strictEqual(tea.quantity, 2);
+    assert.ok(tea.refunds > 0 && tea.refunds <= 10, 'the refund is spread over the order lines');
+  });
+
+  await t.test('groups by the Monday of each week or by month', async () => {
+    const weeks = await request('GET', '/api/reports/sales?groupBy=week', { token: viewer });
+    assert.deepStrictEqual(weeks.body.periods.map(period => [period.period, period.orders]), [['2026-06-01', 2], ['2026-07-13', 1]]);
+
+    const months = await request('GET', '/api/reports/sales?groupBy=month', { token: viewer });
+    assert.deepStrictEqual(months.body.periods.map(period => [period.period, period.orders]), [['2026-06', 2], ['2026-07', 1]]);
+    assert.strictEqual(months.body.totals.grossRevenue, round(california.orderTotal + newYork.orderTotal + july.orderTotal));
+  });
+
+  await t.test('rejects an unknown grouping', async () => {
+    const { status } = await request('GET', '/api/reports/sales?groupBy=year', { token: viewer });
+    assert.strictEqual(status, 400);
+  });
+
+  await t.test('exports a row per line item, safe to open in a spreadsheet', async () => {
+    const { status, headers, body } = await request('GET', '/api/orders/export.csv?from=2026-06-01&to=2026-06-30', { token: viewer });
+    assert.strictEqual(status, 200);
+    assert.match(headers.get('content-type'), /^text\/csv/);
+    assert.match(headers.get('content-disposition'), /orders-2026-07-15\.csv/);
+
+    const [columns, ...rows] = parseCsv(body);
+    const records = rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+    assert.deepStrictEqual(records.map(record => record.orderNumber), [newYork.orderNumber, california.orderNumber]);
+
+    const [ny, ca] = records;
+    assert.strictEqual(ny.customerLastName, '\'=HYPERLINK("http://evil")', 'formulas are not run');
+    assert.strictEqual(ny.shipAddress, '5 Main St, Apt 2');
+    assert.strictEqual(ca.paymentStatus, 'partially_refunded');
+    assert.strictEqual(ca.refunded, '10');
+    assert.strictEqual(ca.squarePaymentId, california.paymentId);
+  });
+
+  await t.test('keeps reports and exports behind a staff login', async () => {
+    assert.strictEqual((await request('GET', '/api/reports/sales')).status, 401);
+    assert.strictEqual((await request('GET', '/api/orders/export.csv')).status, 401);
+  });
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+test('multi-shipment fulfillment', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, store, clock, checkout, loginAs } = server;
+
+  clock.set('2026-04-01T15:00:00.000Z');
+  const { body: placed } = await request('POST', '/api/orders', {
+    body: checkout({ items: [{ sku: 'TEA-100', quantity: 6 }, { sku: 'MUG-200', quantity: 2 }] })
+  });
+  const orderId = placed.order.id;
+  const fulfillment = await loginAs('fulfillment');
+  const viewer = await loginAs('viewer');
+
+  let firstShipment;
+
+  await t.test('new orders start unfulfilled', async () => {
+    const { status, body } = await request('GET', `/api/orders/${orderId}/shipments`, { token: viewer });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.fulfillmentStatus, 'unfulfilled');
+    assert.deepStrictEqual(body.shipments, []);
+    assert.deepStrictEqual(body.unshippedItems.map(({ sku, quantity }) => ({ sku, quantity })), [
+      { sku: 'TEA-100', quantity: 6 },
+      { sku: 'MUG-200', quantity: 2 }
+    ]);
+  });
+
+  await t.test('refuses quantities beyond what is left to ship', async () => {
+    const { status, body } = await request('POST', `/api/orders/${orderId}/shipments`, {
+      token: fulfillment,
+      body: { carrier: 'UPS', trackingNumber: '1Z999AA10123456784', items: [{ sku: 'TEA-100', quantity: 7 }, { sku: 'NOPE', quantity: 1 }] }
+    });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.fields, {
+      'items[0].quantity': 'only 6 left to ship',
+      'items[1].sku': 'is not on this order'
+    });
+  });
+
+  await t.test('records a partial shipment with a carrier tracking link', async () => {
+    clock.set('2026-04-02T10:00:00.000Z');
+    // SKUs match in any case, as typed at the packing bench
+    const { status, body } = await request('POST', `/api/orders/${orderId}/shipments`, {
+      token: fulfillment,
+      body: { carrier: 'ups', trackingNumber: '1Z999AA10123456784', items: [{ sku: 'tea-100', quantity: 4 }] }
+    });
+    assert.strictEqual(status, 201);
+    firstShipment = body.shipment;
+
+    assert.strictEqual(firstShipment.carrier, 'UPS');
+    assert.strictEqual(firstShipment.trackingUrl, 'https://www.ups.com/track?loc=en_US&tracknum=1Z999AA10123456784');
+    assert.strictEqual(firstShipment.shippedAt, '2026-04-02T10:00:00.000Z');
+    assert.deepStrictEqual(firstShipment.items, [{ sku: 'TEA-100', name: 'Green Tea Tin', quantity: 4 }]);
+
+    assert.strictEqual(body.order.fulfillmentStatus, 'partially_fulfilled');
+    assert.strictEqual(body.order.orderStatus, 'processing');
+
+    const emails = await store.outbox.find({ orderId, kind: 'shipment' });
+    assert.strictEqual(emails.length, 1);
+    assert.match(emails[0].subject, /^Part of your order/);
+    assert.match(emails[0].text, /Track it: https:\/\/www\.ups\.com/);
+  });
+
+  await t.test('ships the rest by default and marks the order shipped', async () => {
+    clock.set('2026-04-03T10:00:00.000Z');
+    const { status, body } = await request('POST', `/api/orders/${orderId}/shipments`, {
+      token: fulfillment,
+      body: { carrier: 'Local Courier', trackingNumber: 'LC-42' }
+    });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.shipment.carrier, 'Local Courier');
+    assert.strictEqual(body.shipment.trackingUrl, null);
+    assert.deepStrictEqual(body.shipment.items.map(({ sku, quantity }) => ({ sku, quantity })), [
+      { sku: 'TEA-100', quantity: 2 },
+      { sku: 'MUG-200', quantity: 2 }
+    ]);
+
+    assert.strictEqual(body.order.fulfillmentStatus, 'fulfilled');
+    assert.strictEqual(body.order.orderStatus, 'shipped');
+    assert.strictEqual(body.order.trackingNumber, 'LC-42');
+
+    const emails = await store.outbox.find({ orderId, kind: 'shipment' });
+    assert.strictEqual(emails.length, 2);
+    assert.deepStrictEqual(await store.outbox.find({ orderId, kind: 'order_shipped' }), []);
+
+    const more = await request('POST', `/api/orders/${orderId}/shipments`, {
+      token: fulfillment,
+      body: { carrier: 'UPS', trackingNumber: '1Z999AA10123456785' }
+    });
+    assert.strictEqual(more.status, 409);
+  });
+
+  await t.test('shows every shipment on the customer tracking page', async () => {
+    const { status, body } = await request(
+      'GET',
+      `/api/track/${placed.order.orderNumber}?email=dana@example.com&zip=94607`
+    );
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.order.fulfillmentStatus, 'fulfilled');
+    assert.deepStrictEqual(body.order.shipments.map(shipment => shipment.trackingNumber), ['1Z999AA10123456784', 'LC-42']);
+  });
+
+  await t.test('delivers the order once every shipment has arrived', async () => {
+    clock.set('2026-04-05T18:00:00.000Z');
+    const first = await request('PATCH', `/api/orders/${orderId}/shipments/${firstShipment.id}`, {
+      token: fulfillment,
+      body: { status: 'delivered' }
+    });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.shipment.deliveredAt, '2026-04-05T18:00:00.000Z');
+    assert.strictEqual(first.body.order.orderStatus, 'shipped');
+
+    const again = await request('PATCH', `/api/orders/${orderId}/shipments/${firstShipment.id}`, {
+      token: fulfillment,
+      body: { status: 'delivered' }
+    });
+    assert.strictEqual(again.status, 409);
+
+    const second = first.body.order.shipments[1];
+    const last = await request('PATCH', `/api/orders/${orderId}/shipments/${second.id}`, {
+      token: fulfillment,
+      body: { status: 'delivered', deliveredAt: '2026-04-06' }
+    });
+    assert.strictEqual(last.status, 200);
+    assert.strictEqual(last.body.order.orderStatus, 'delivered');
+    assert.deepStrictEqual(last.body.order.shipments.map(shipment => shipment.status), ['delivered', 'delivered']);
+  });
+
+  await t.test('records one shipment when an order is marked shipped directly', async () => {
+    const { body: other } = await request('POST', '/api/orders', { body: checkout() });
+    await request('PATCH', `/api/orders/${other.order.id}/status`, { token: fulfillment, body: { status: 'processing' } });
+
+    const { status, body } = await request('PATCH', `/api/orders/${other.order.id}/status`, {
+      token: fulfillment,
+      body: { status: 'shipped', trackingNumber: '9400111899223100000000', carrier: 'USPS' }
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.order.fulfillmentStatus, 'fulfilled');
+    assert.strictEqual(body.order.shipments.length, 1);
+    assert.strictEqual(
+      body.order.shipments[0].trackingUrl,
+      'https://tools.usps.com/go/TrackConfirmAction?tLabels=9400111899223100000000'
+    );
+  });
+
+  await t.test('does not let viewers record shipments', async () => {
+    const { status } = await request('POST', `/api/orders/${orderId}/shipments`, {
+      token: viewer,
+      body: { carrier: 'UPS', trackingNumber: '1Z999AA10123456786' }
+    });
+    assert.strictEqual(status, 403);
+  });
+});
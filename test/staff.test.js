@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+test('staff accounts', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, loginAs } = server;
+
+  const admin = await loginAs('admin');
+  const { body: me } = await request('GET', '/api/auth/me', { token: admin });
+  let created;
+
+  await t.test('creates an account that can log in', async () => {
+    const { status, body } = await request('POST', '/api/staff', {
+      token: admin,
+      body: { email: ' Packer@MandHDistributions.com ', name: 'Sam Packer', password: 'a long password', role: 'fulfillment' }
+    });
+    assert.strictEqual(status, 201);
+    created = body.user;
+    assert.strictEqual(created.email, 'packer@mandhdistributions.com');
+    assert.strictEqual(created.role, 'fulfillment');
+    assert.strictEqual(created.passwordHash, undefined);
+
+    const login = await request('POST', '/api/auth/login', {
+      body: { email: 'packer@mandhdistributions.com', password: 'a long password' }
+    });
+    assert.strictEqual(login.status, 200);
+  });
+
+  await t.test('rejects a malformed account with every bad field', async () => {
+    const { status, body } = await request('POST', '/api/staff', {
+      token: admin,
+      body: { email: { $gt: '' }, role: 'owner' }
+    });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(Object.keys(body.fields).sort(), ['email', 'password', 'role']);
+  });
+
+  await t.test('refuses a duplicate email or a short password', async () => {
+    const duplicate = await request('POST', '/api/staff', {
+      token: admin,
+      body: { email: 'packer@mandhdistributions.com', password: 'a long password' }
+    });
+    assert.strictEqual(duplicate.status, 409);
+
+    const short = await request('POST', '/api/staff', {
+      token: admin,
+      body: { email: 'short@mandhdistributions.com', password: 'short' }
+    });
+    assert.strictEqual(short.status, 400);
+  });
+
+  await t.test('changes a role and disables an account', async () => {
+    const { status, body } = await request('PATCH', `/api/staff/${created.id}`, {
+      token: admin,
+      body: { role: 'viewer', active: false }
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.user.role, 'viewer');
+    assert.strictEqual(body.user.active, false);
+
+    const invalid = await request('PATCH', `/api/staff/${created.id}`, {
+      token: admin,
+      body: { active: 'sometimes', name: ['Sam'] }
+    });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(Object.keys(invalid.body.fields).sort(), ['active', 'name']);
+  });
+
+  await t.test('does not let an admin demote themselves', async () => {
+    const { status } = await request('PATCH', `/api/staff/${me.user.id}`, {
+      token: admin,
+      body: { role: 'viewer' }
+    });
+    assert.strictEqual(status, 400);
+  });
+
+  await t.test('is admin only', async () => {
+    const viewer = await loginAs('viewer');
+    assert.strictEqual((await request('GET', '/api/staff', { token: viewer })).status, 403);
+  });
+});
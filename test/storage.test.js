@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../repositories');
+const { createTestClock, CUSTOMER } = require('./helpers');
+
+// A record as the old flat orders.json server wrote it
+const LEGACY_ORDER = {
+  id: 'ord_1700000000000',
+  orderNumber: 'MHD-LEGACY-1',
+  customer: 'dana@example.com',
+  customerDetails: {
+    firstName: 'Dana',
+    lastName: 'Rivera',
+    phone: '555-123-4567',
+    address: '12 Market St',
+    city: 'Oakland',
+    state: 'CA',
+    zipCode: '94607'
+  },
+  products: [{ sku: 'TEA-100', title: 'Green Tea Tin', unitPrice: '12.50', qty: 2 }],
+  total: '25.00',
+  status: 'pending',
+  paymentStatus: 'paid',
+  squarePaymentId: 'sq_payment_legacy',
+  squareOrderId: 'sq-1700000000000',
+  shippingStatus: 'shipped',
+  carrier: 'ups',
+  trackingNumber: '1Z999AA10123456784',
+  createdAt: '2025-11-20T10:00:00.000Z'
+};
+
+test('JSON order storage', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mhd-storage-'));
+  fs.writeFileSync(path.join(dataDir, 'orders.json'), JSON.stringify([LEGACY_ORDER]));
+  const clock = createTestClock('2026-04-01T09:00:00.000Z');
+  const store = createStore({ backend: 'json', dataDir, clock });
+  await store.connect();
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  await t.test('reads orders written by the old server in the Order shape', async () => {
+    const order = await store.orders.findById(LEGACY_ORDER.id);
+    assert.strictEqual(order.customerInfo.email, 'dana@example.com');
+    assert.strictEqual(order.customerInfo.zipCode, '94607');
+    assert.deepStrictEqual(
+      order.items.map(({ sku, name, price, quantity }) => ({ sku, name, price, quantity })),
+      [{ sku: 'TEA-100', name: 'Green Tea Tin', price: 12.5, quantity: 2 }]
+    );
+    assert.strictEqual(order.paymentInfo.amount, 25);
+    assert.strictEqual(order.paymentInfo.squarePaymentToken, 'sq_payment_legacy');
+    assert.strictEqual(order.paymentInfo.squareOrderId, undefined, 'placeholder Square order IDs are dropped');
+    assert.strictEqual(order.orderStatus, 'shipped');
+    assert.strictEqual(order.shipments[0].trackingNumber, '1Z999AA10123456784');
+
+    assert.strictEqual((await store.orders.findByPaymentId('sq_payment_legacy')).id, LEGACY_ORDER.id);
+  });
+
+  await t.test('saves new orders next to imported ones and lists them newest first', async () => {
+    const created = await store.orders.create({
+      customerInfo: CUSTOMER,
+      items: [{ sku: 'MUG-200', name: 'Stoneware Mug', price: 18, quantity: 1 }],
+      paymentInfo: { squarePaymentToken: 'sq_payment_new', amount: 18, currency: 'USD', paymentStatus: 'paid' },
+      orderStatus: 'paid'
+    });
+    assert.match(created.orderNumber, /^MHD-20260401-/);
+    assert.strictEqual(created.statusHistory[0].to, 'paid');
+
+    const { orders, total } = await store.orders.list();
+    assert.strictEqual(total, 2);
+    assert.deepStrictEqual(orders.map(order => order.id), [created.id, LEGACY_ORDER.id]);
+
+    const { orders: shipped } = await store.orders.list({ status: ['shipped', 'delivered'] });
+    assert.deepStrictEqual(shipped.map(order => order.id), [LEGACY_ORDER.id]);
+
+    // The file now holds Order-shaped records only
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'orders.json'), 'utf8'));
+    assert.ok(saved.every(record => record.customerInfo));
+  });
+
+  await t.test('only applies an update whose preconditions still hold', async () => {
+    const order = await store.orders.findById(LEGACY_ORDER.id);
+    clock.advance(1000);
+
+    const applied = await store.orders.update(order.id, { orderStatus: 'delivered' }, { where: { orderStatus: 'shipped' } });
+    assert.strictEqual(applied.orderStatus, 'delivered');
+    assert.strictEqual(applied.updatedAt, '2026-04-01T09:00:01.000Z');
+
+    const stale = await store.orders.update(order.id, { orderStatus: 'cancelled' }, { where: { updatedAt: order.updatedAt } });
+    assert.strictEqual(stale, null);
+    assert.strictEqual((await store.orders.findById(order.id)).orderStatus, 'delivered');
+  });
+
+  await t.test('refuses a second order for the same Square payment like a unique index', async () => {
+    await assert.rejects(
+      store.orders.create({
+        customerInfo: CUSTOMER,
+        items: [{ sku: 'MUG-200', name: 'Stoneware Mug', price: 18, quantity: 1 }],
+        paymentInfo: { squarePaymentToken: 'sq_payment_new', amount: 18, currency: 'USD', paymentStatus: 'paid' },
+        orderStatus: 'paid'
+      }),
+      error => error.code === 11000
+    );
+    assert.strictEqual(await store.orders.count(), 2);
+  });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, CUSTOMER } = require('./helpers');
+
+test('customer order tracking', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { request, checkout, loginAs } = server;
+
+  const { body: placed } = await request('POST', '/api/orders', {
+    body: checkout({ customerInfo: { ...CUSTOMER, email: 'Dana@Example.com', zipCode: '94607-1234' } })
+  });
+  const { orderNumber } = placed.order;
+
+  function track(number, query) {
+    return request('GET', `/api/track/${encodeURIComponent(number)}?${new URLSearchParams(query)}`);
+  }
+
+  await t.test('shows the order to whoever knows its email and ZIP code', async () => {
+    const { status, body } = await track(orderNumber, { email: ' dana@example.com ', zip: '94607' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.order.orderNumber, orderNumber);
+    assert.strictEqual(body.order.status, 'paid');
+    assert.deepStrictEqual(body.order.items, [{ sku: 'TEA-100', name: 'Green Tea Tin', quantity: 2 }]);
+    assert.deepStrictEqual(body.order.timeline.map(entry => entry.status), ['paid']);
+  });
+
+  await t.test('leaves out payment details and staff notes', async () => {
+    const fulfillment = await loginAs('fulfillment');
+    await request('PATCH', `/api/orders/${placed.order.id}/status`, {
+      token: fulfillment,
+      body: { status: 'processing', notes: 'Customer is a reseller, check the tax ID' }
+    });
+
+    const { body } = await track(orderNumber, { email: 'dana@example.com', zip: '94607' });
+    const json = JSON.stringify(body);
+    assert.deepStrictEqual(body.order.timeline.map(entry => entry.status), ['paid', 'processing']);
+    assert.ok(!json.includes('paymentInfo'));
+    assert.ok(!json.includes(placed.paymentId));
+    assert.ok(!json.includes('reseller'));
+    assert.ok(!json.includes('fulfillment@mandhdistributions.com'));
+  });
+
+  await t.test('answers a wrong email, a wrong ZIP and an unknown order the same way', async () => {
+    const responses = await Promise.all([
+      track(orderNumber, { email: 'someone@example.com', zip: '94607' }),
+      track(orderNumber, { email: 'dana@example.com', zip: '10001' }),
+      track('MHD-20260302-NOPE', { email: 'dana@example.com', zip: '94607' })
+    ]);
+    assert.deepStrictEqual(responses.map(response => response.status), [404, 404, 404]);
+    assert.strictEqual(new Set(responses.map(response => response.body.error)).size, 1);
+  });
+
+  await t.test('requires the email and ZIP code', async () => {
+    const { status, body } = await track(orderNumber, { email: 'dana@example.com' });
+    assert.strictEqual(status, 400);
+    assert.ok(body.fields.zip);
+  });
+});
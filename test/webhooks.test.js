@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+const { signPayload, SIGNATURE_HEADER } = require('../services/squareWebhook');
+
+const SIGNATURE_KEY = 'test-webhook-key';
+const FIXTURES = path.join(__dirname, 'fixtures', 'square-webhooks');
+// Payment the fixtures were captured for
+const FIXTURE_PAYMENT_ID = 'KkAkhdMsgzn59SM8A89WgKwekxLZY';
+
+test('Square webhooks', async (t) => {
+  process.env.SQUARE_WEBHOOK_SIGNATURE_KEY = SIGNATURE_KEY;
+  const server = await startTestServer();
+  const notificationUrl = `${server.baseUrl}/api/webhooks/square`;
+  t.after(() => {
+    delete process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+    return server.close();
+  });
+  const { request, store, payments, checkout, loginAs } = server;
+
+  const fulfillment = await loginAs('fulfillment');
+  await request('POST', '/api/admin/inventory/TEA-100/adjustments', {
+    token: fulfillment,
+    body: { change: 20, reason: 'Opening stock' }
+  });
+
+  async function placeOrder() {
+    const { body } = await request('POST', '/api/orders', { body: checkout() });
+    return body.order;
+  }
+
+  // A fixture rewritten for one of our payments, with `changes` applied to the event
+  function fixture(name, paymentId, changes = (event) => event) {
+    const raw = fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8');
+    return changes(JSON.parse(raw.split(FIXTURE_PAYMENT_ID).join(paymentId)));
+  }
+
+  async function deliver(event, signature) {
+    const body = JSON.stringify(event);
+    const response = await fetch(notificationUrl, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        [SIGNATURE_HEADER]: signature || signPayload(body, SIGNATURE_KEY, notificationUrl)
+      },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  await t.test('rejects an event with a bad signature', async () => {
+    const order = await placeOrder();
+    const event = fixture('payment.failed', order.paymentInfo.squarePaymentToken);
+
+    const { status } = await deliver(event, signPayload(JSON.stringify(event), 'wrong-key', notificationUrl));
+    assert.strictEqual(status, 401);
+    assert.strictEqual((await store.orders.findById(order.id)).paymentInfo.paymentStatus, 'paid');
+    assert.strictEqual(await store.webhookEvents.count({ eventId: event.event_id }), 0);
+  });
+
+  // A payment event for `paymentId` with Square's payment `status` and its own event ID
+  function paymentEvent(paymentId, status, eventId) {
+    return fixture('payment.updated', paymentId, each => ({
+      ...each,
+      event_id: eventId,
+      data: { ...each.data, object: { payment: { ...each.data.object.payment, status } } }
+    }));
+  }
+
+  await t.test('applies a payment status change', async () => {
+    const order = await placeOrder();
+    await store.orders.update(order.id, { paymentInfo: { ...order.paymentInfo, paymentStatus: 'pending' } });
+    const event = fixture('payment.failed', order.paymentInfo.squarePaymentToken);
+
+    const { status, body } = await deliver(event);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.strictEqual((await store.orders.findById(order.id)).paymentInfo.paymentStatus, 'failed');
+  });
+
+  await t.test('marks a pending payment paid once Square completes it', async () => {
+    const { body } = await request('POST', '/api/orders', { body: checkout({ paymentToken: 'fake-pending' }) });
+    assert.strictEqual(body.order.paymentInfo.paymentStatus, 'pending');
+    assert.strictEqual((await payments.getPayment(body.paymentId)).status, 'APPROVED', 'looking it up does not complete it');
+
+    const { status } = await deliver(await payments.complete(body.paymentId));
+    assert.strictEqual(status, 200);
+    assert.strictEqual((await payments.getPayment(body.paymentId)).status, 'COMPLETED');
+    assert.strictEqual((await store.orders.findById(body.orderId)).paymentInfo.paymentStatus, 'paid');
+  });
+
+  await t.test('keeps a paid order paid when older payment events arrive late', async () => {
+    const order = await placeOrder();
+    const paymentId = order.paymentInfo.squarePaymentToken;
+    await store.orders.update(order.id, { paymentInfo: { ...order.paymentInfo, paymentStatus: 'pending' } });
+
+    await deliver(paymentEvent(paymentId, 'COMPLETED', `${order.id}-completed`));
+    assert.strictEqual((await store.orders.findById(order.id)).paymentInfo.paymentStatus, 'paid');
+
+    const late = await deliver(paymentEvent(paymentId, 'APPROVED', `${order.id}-approved`));
+    assert.strictEqual(late.status, 200);
+    assert.strictEqual((await store.orders.findById(order.id)).paymentInfo.paymentStatus, 'paid');
+
+    await deliver(paymentEvent(paymentId, 'FAILED', `${order.id}-failed`));
+    assert.strictEqual((await store.orders.findById(order.id)).paymentInfo.paymentStatus, 'paid');
+  });
+
+  await t.test('keeps a refunded order refunded when a payment event arrives late', async () => {
+    const order = await placeOrder();
+    const admin = await loginAs('admin');
+    await request('POST', `/api/orders/${order.id}/refunds`, { token: admin, body: { reason: 'Wrong address' } });
+
+    await deliver(paymentEvent(order.paymentInfo.squarePaymentToken, 'CANCELED', `${order.id}-canceled`));
+    assert.strictEqual((await store.orders.findById(order.id)).paymentInfo.paymentStatus, 'refunded');
+  });
+
+  await t.test('ignores an event delivered twice', async () => {
+    const order = await placeOrder();
+    const event = fixture('refund.created', order.paymentInfo.squarePaymentToken, each => ({
+      ...each,
+      event_id: `${each.event_id}-twice`
+    }));
+
+    const first = await deliver(event);
+    const again = await deliver(event);
+    assert.strictEqual(first.body.duplicate, undefined);
+    assert.strictEqual(again.body.duplicate, true);
+
+    const saved = await store.orders.findById(order.id);
+    assert.strictEqual(saved.refunds.length, 1);
+    assert.strictEqual(saved.refunds[0].amount, 10);
+    assert.strictEqual(saved.paymentInfo.paymentStatus, 'partially_refunded');
+  });
+
+  await t.test('keeps a refund made while the event was being applied', async () => {
+    const order = await placeOrder();
+    const event = fixture('refund.created', order.paymentInfo.squarePaymentToken, each => ({
+      ...each,
+      event_id: `${each.event_id}-race`
+    }));
+
+    // Read the order, then let a refund from the API land before the webhook saves
+    const findByPaymentId = store.orders.findByPaymentId;
+    t.mock.method(store.orders, 'findByPaymentId', async (paymentId) => {
+      const found = await findByPaymentId(paymentId);
+      const admin = await loginAs('admin');
+      await request('POST', `/api/orders/${order.id}/refunds`, { token: admin, body: { amount: 5, reason: 'Late delivery' } });
+      return found;
+    });
+
+    const { status } = await deliver(event);
+    assert.strictEqual(status, 200);
+    const saved = await store.orders.findById(order.id);
+    assert.deepStrictEqual(saved.refunds.map(refund => refund.amount).sort((a, b) => a - b), [5, 10]);
+  });
+
+  await t.test('records a lost dispute without restocking the order', async () => {
+    const order = await placeOrder();
+    const paymentId = order.paymentInfo.squarePaymentToken;
+
+    await deliver(fixture('dispute.created', paymentId));
+    assert.strictEqual((await store.orders.findById(order.id)).paymentInfo.paymentStatus, 'disputed');
+
+    const lost = fixture('dispute.created', paymentId, each => ({
+      ...each,
+      type: 'dispute.state.changed',
+      event_id: `${each.event_id}-lost`,
+      data: { ...each.data, object: { dispute: { ...each.data.object.dispute, state: 'LOST' } } }
+    }));
+    await deliver(lost);
+
+    const saved = await store.orders.findById(order.id);
+    assert.strictEqual(saved.paymentInfo.paymentStatus, 'refunded');
+    assert.deepStrictEqual(saved.refunds, []);
+    assert.deepStrictEqual(saved.disputes.map(({ squareDisputeId, state, reason, amount }) => ({ squareDisputeId, state, reason, amount })), [
+      { squareDisputeId: 'XDgyFu7yo1E2S5lQGGpYn', state: 'LOST', reason: 'NOT_AS_DESCRIBED', amount: 26 }
+    ]);
+    assert.strictEqual(saved.inventory.committed.length, 1);
+    assert.strictEqual(saved.inventory.restockedAt, undefined);
+  });
+});